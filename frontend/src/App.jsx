@@ -16,15 +16,22 @@ import Withdraw from '@/pages/withdraw/Withdraw';
 import { useWalletStore } from '@/stores/useWalletStore';
 import { Notifier, notify } from '@/components/layout/notifier/Notifier';
 import { useConnectWallet } from '@/hooks/useConnectWallet';
+import { useResumePendingOperations } from '@/hooks/useResumePendingOperations';
+import { useRefreshOnConfirmedTransactions } from '@/hooks/useTokenBalances';
+import { useWalletEvents } from '@/hooks/useWalletEvents';
+import NetworkWarning from '@/components/ui/network-warning/NetworkWarning';
 import OverviewPage from '@/pages/overview/Overview';
 import { ActionModal } from '@/components/ui/action-modal';
 import Stake from '@/pages/stake/Stake';
 import { TELEGRAM_BOT_LINK } from '@/utils/constants';
 import { useCheckMobile } from '@/hooks/useCheckMobile';
 import PositionHistory from '@/pages/position-history/PositionHistory';
+import TransactionHistory from '@/pages/transaction-history/TransactionHistory';
 import WithdrawAll from '@/pages/spotnet/dashboard/withdraw-all/WithdrawAll';
 import { DefiSpringPage } from '@/pages/spotnet/defi-spring/DefiSpring';
 import { AddDeposit } from '@/pages/add-deposit/AddDeposit';
+import { PartialWithdraw } from '@/pages/partial-withdraw/PartialWithdraw';
+import { ContractSettings } from '@/pages/contract-settings/ContractSettings';
 import Leaderboard from '@/pages/leaderboard/Leaderboard';
 
 function App() {
@@ -39,6 +46,10 @@ function App() {
 
   const connectWalletMutation = useConnectWallet(setWalletId);
 
+  useResumePendingOperations();
+  useRefreshOnConfirmedTransactions();
+  useWalletEvents();
+
   const handleConnectWallet = () => {
     connectWalletMutation.mutate();
   };
@@ -81,7 +92,15 @@ function App() {
     }
   }, [window.Telegram?.WebApp?.initDataUnsafe]);
 
-  const narrowSidebarPaths = ['/dashboard', '/dashboard/position-history', '/dashboard/deposit', '/dashboard/withdraw'];
+  const narrowSidebarPaths = [
+    '/dashboard',
+    '/dashboard/position-history',
+    '/dashboard/transaction-history',
+    '/dashboard/deposit',
+    '/dashboard/partial-withdraw',
+    '/dashboard/contract-settings',
+    '/dashboard/withdraw',
+  ];
   const isNarrowSidebar = narrowSidebarPaths.includes(location.pathname);
 
   return (
@@ -101,13 +120,17 @@ function App() {
           document.body
         )}
       <Header onConnectWallet={handleConnectWallet} onLogout={handleLogoutModal} />
+      <NetworkWarning />
       <main>
         <Routes>
           <Route index element={<SpotnetApp onConnectWallet={handleConnectWallet} onLogout={handleLogout} />} />
           <Route path="/dashboard" element={<Dashboard telegramId={window?.Telegram?.WebApp?.initData?.user?.id} />} />
           <Route path="/dashboard/position-history" element={<PositionHistory />} />
+          <Route path="/dashboard/transaction-history" element={<TransactionHistory />} />
           <Route path="/dashboard/withdraw" element={<WithdrawAll />} />
           <Route path="/dashboard/deposit" element={<AddDeposit />} />
+          <Route path="/dashboard/partial-withdraw" element={<PartialWithdraw />} />
+          <Route path="/dashboard/contract-settings" element={<ContractSettings />} />
           <Route path="/withdraw" element={<Withdraw />} />
           <Route path="/overview" element={<OverviewPage />} />
           <Route path="/form" element={<Form />} />
@@ -1,5 +1,15 @@
 const QueryKeys = {
   DashboardData: 'dashboardData',
+  TokenPrices: 'tokenPrices',
+  TokenBalances: 'tokenBalances',
+  TransactionHistory: 'transactionHistory',
+  DefiSpringRewards: 'defiSpringRewards',
+  ContractPortfolio: 'contractPortfolio',
+  ContractUpgrade: 'contractUpgrade',
+  ContractOwnership: 'contractOwnership',
+  UserContract: 'userContract',
+  FeeEstimate: 'feeEstimate',
+  WithdrawAllData: 'withdrawAllData',
 };
 
 export default QueryKeys;
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { ActionModal } from '@/components/ui/action-modal';
+import { Button } from '@/components/ui/custom-button/Button';
+import { useContractUpgradeStatus, useUpgradeContract } from '@/hooks/useContractUpgrade';
+import './upgradeBanner.css';
+
+const shortenHash = (hash) => `${hash.slice(0, 6)}...${hash.slice(-4)}`;
+
+const UpgradeBanner = () => {
+  const {
+    contractAddress,
+    classHash,
+    latestClassHash,
+    version,
+    latestVersion,
+    changelog,
+    isUpgradeAvailable,
+    isOwner,
+  } = useContractUpgradeStatus();
+  const { mutate: upgradeContract, isPending } = useUpgradeContract();
+  const [isPreviewOpen, setPreviewOpen] = useState(false);
+
+  if (!isUpgradeAvailable) return null;
+
+  const previewContent = [
+    `Current version: ${version} (${shortenHash(classHash)})`,
+    `New version: ${latestVersion} (${shortenHash(latestClassHash)})`,
+    ...changelog.flatMap((release) => release.notes.map((note) => `${release.version}: ${note}`)),
+    'Your position and balances stay in the contract.',
+  ];
+
+  const handleUpgrade = () => {
+    setPreviewOpen(false);
+    upgradeContract({ contractAddress, classHash: latestClassHash });
+  };
+
+  return (
+    <div className="upgrade-banner" role="status">
+      <span className="upgrade-banner-text">
+        {isOwner
+          ? 'A new version of your Spotnet contract is available.'
+          : 'A new version of this Spotnet contract is available, only its owner can upgrade it.'}
+      </span>
+      {isOwner && (
+        <Button variant="secondary" size="sm" onClick={() => setPreviewOpen(true)} disabled={isPending}>
+          {isPending ? 'Upgrading...' : 'Review upgrade'}
+        </Button>
+      )}
+      {isPreviewOpen && (
+        <ActionModal
+          isOpen={isPreviewOpen}
+          title="Upgrade Contract"
+          subTitle="Please review the upgrade before signing"
+          content={previewContent}
+          cancelLabel="Cancel"
+          submitLabel="Upgrade"
+          submitAction={handleUpgrade}
+          cancelAction={() => setPreviewOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UpgradeBanner;
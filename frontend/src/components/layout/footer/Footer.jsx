@@ -5,6 +5,7 @@ import TelegramIcon from '@/assets/icons/telegram.svg?react';
 import GithubIcon from '@/assets/icons/github.svg?react';
 import DashboardIcon from '@/assets/icons/dashboard-icon.svg?react';
 import FormIcon from '@/assets/icons/form-icon.svg?react';
+import NetworkSwitch from '@/components/ui/network-switch/NetworkSwitch';
 
 function Footer() {
   const socialLinks = [
@@ -28,8 +29,9 @@ function Footer() {
   return (
     <footer className="px-20 lg:px-[3em] h-[100px] lg:h-[70px] w-full flex items-center bg-[var(--darkish)] relative">
       <div className="w-full lg:flex hidden items-center justify-between">
-        <div className="text-gray-400 text-base">
+        <div className="text-gray-400 text-base flex items-center gap-4">
           <p className="m-0">Copyright©Spotnet2024</p>
+          <NetworkSwitch />
         </div>
         <nav className="flex items-center">
           {[
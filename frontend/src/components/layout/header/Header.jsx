@@ -15,7 +15,10 @@ const STICKY_ROUTES = [
   '/documentation',
   '/dashboard',
   '/dashboard/position-history',
+  '/dashboard/transaction-history',
   '/dashboard/deposit',
+  '/dashboard/partial-withdraw',
+  '/dashboard/contract-settings',
   '/stake',
   '/dashboard/withdraw',
   '/terms-and-conditions',
@@ -12,9 +12,11 @@ const defaultStyles = {
 const ToastWithLink = (message, link, linkMessage) => (
   <div>
     <span>{message}</span>{' '}
-    <a target="_blank" href={link}>
-      {linkMessage}
-    </a>
+    {link && (
+      <a target="_blank" href={link}>
+        {linkMessage}
+      </a>
+    )}
   </div>
 );
 
@@ -1,16 +1,33 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/custom-button/Button';
+import ExplorerSettings from '@/components/ui/explorer-settings/ExplorerSettings';
+import SlippageSettings from '@/components/ui/slippage-settings/SlippageSettings';
+import { notify } from '@/components/layout/notifier/Notifier';
+import { getAddressUrl, resolveExplorer } from '@/services/explorer';
+import { useExplorerSettingsStore } from '@/stores/useExplorerSettingsStore';
 import { useWalletStore } from '@/stores/useWalletStore';
 const WalletSection = ({ onConnectWallet, onLogout }) => {
   const { walletId } = useWalletStore();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 1025);
   const menuRef = useRef(null);
+  const explorerSettings = useExplorerSettingsStore();
+  const explorer = resolveExplorer(explorerSettings);
 
   const toggleMenu = () => {
     setIsMenuOpen((prevState) => !prevState);
   };
 
+  const copyAddress = async () => {
+    try {
+      await navigator.clipboard.writeText(walletId);
+      notify('Address copied', 'success');
+    } catch (error) {
+      console.error('Error copying address:', error);
+      notify('Could not copy the address', 'error');
+    }
+  };
+
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (menuRef.current && !menuRef.current.contains(event.target) && !event.target.closest('.menu-dots')) {
@@ -66,6 +83,23 @@ const WalletSection = ({ onConnectWallet, onLogout }) => {
                   <div>
                     <span className="wallet-id">{`${walletId.slice(0, 4)}...${walletId.slice(-4)}`}</span>
                   </div>
+                  <div className="wallet-actions">
+                    <button className="wallet-action" onClick={copyAddress}>
+                      Copy address
+                    </button>
+                    {explorer && (
+                      <a
+                        className="wallet-action"
+                        href={getAddressUrl(walletId)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        View on {explorer.name}
+                      </a>
+                    )}
+                  </div>
+                  <ExplorerSettings />
+                  <SlippageSettings />
                   <button
                     className="logout-button"
                     onClick={() => {
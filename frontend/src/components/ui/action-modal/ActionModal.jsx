@@ -1,4 +1,4 @@
-import React from 'react';
+import PropTypes from 'prop-types';
 import './actionModal.css';
 import { Button } from '@/components/ui/custom-button/Button';
 import useLockBodyScroll from '@/hooks/useLockBodyScroll';
@@ -13,6 +13,7 @@ const ActionModal = ({
   submitLabel,
   submitAction,
   isLoading = false,
+  isSubmitDisabled = false,
 }) => {
   useLockBodyScroll(isOpen);
 
@@ -34,7 +35,7 @@ const ActionModal = ({
             <Button variant="secondary" size="md" className="modal-btn" onClick={cancelAction} disabled={isLoading}>
               {cancelLabel}
             </Button>
-            <Button variant="primary" size="md" onClick={submitAction} disabled={isLoading}>
+            <Button variant="primary" size="md" onClick={submitAction} disabled={isLoading || isSubmitDisabled}>
               {isLoading ? 'Loading...' : submitLabel}
             </Button>
           </div>
@@ -44,4 +45,17 @@ const ActionModal = ({
   );
 };
 
+ActionModal.propTypes = {
+  isOpen: PropTypes.bool,
+  title: PropTypes.node,
+  subTitle: PropTypes.node,
+  content: PropTypes.arrayOf(PropTypes.node),
+  cancelLabel: PropTypes.string,
+  cancelAction: PropTypes.func,
+  submitLabel: PropTypes.string,
+  submitAction: PropTypes.func,
+  isLoading: PropTypes.bool,
+  isSubmitDisabled: PropTypes.bool,
+};
+
 export default ActionModal;
@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import { NUMBER_REGEX } from '@/utils/regex';
+import { formatAmount } from '@/utils/amount';
+import { cn } from '@/utils/cn';
+import './amountInput.css';
+
+const SHORTCUTS = [
+  { label: '25%', percent: 25n },
+  { label: '50%', percent: 50n },
+  { label: '75%', percent: 75n },
+  { label: 'MAX', percent: 100n },
+];
+
+const AmountInput = ({
+  value,
+  onChange,
+  token,
+  balance,
+  maxAmount,
+  error,
+  disabled = false,
+  className,
+  fieldClassName,
+  inputClassName,
+  placeholder = '0.00',
+  children,
+}) => {
+  const handleChange = (e) => {
+    if (NUMBER_REGEX.test(e.target.value)) {
+      onChange(e.target.value);
+    }
+  };
+
+  const handleShortcut = (percent) => {
+    const units = (maxAmount * percent) / 100n;
+    onChange(formatAmount(units, token.decimals, { precision: token.decimals, trimZeros: true }));
+  };
+
+  const hasBalance = balance !== null && balance !== undefined;
+
+  return (
+    <div className={cn('amount-input', className)}>
+      <div className={fieldClassName}>
+        <input
+          type="text"
+          inputMode="decimal"
+          value={value}
+          onChange={handleChange}
+          className={inputClassName}
+          placeholder={placeholder}
+          disabled={disabled}
+          aria-invalid={!!error}
+        />
+        {children}
+      </div>
+      <div className="amount-input-shortcuts">
+        {SHORTCUTS.map(({ label, percent }) => (
+          <button
+            type="button"
+            key={label}
+            className="amount-input-shortcut"
+            onClick={() => handleShortcut(percent)}
+            disabled={disabled || !maxAmount}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {hasBalance && (
+        <p className="amount-input-balance">
+          Balance: {formatAmount(balance, token.decimals)} {token.symbol}
+        </p>
+      )}
+      {error && value !== '' && <p className="amount-input-error">{error}</p>}
+    </div>
+  );
+};
+
+AmountInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  token: PropTypes.shape({ symbol: PropTypes.string, decimals: PropTypes.number }).isRequired,
+  balance: PropTypes.bigint,
+  maxAmount: PropTypes.bigint,
+  error: PropTypes.string,
+  disabled: PropTypes.bool,
+  className: PropTypes.string,
+  fieldClassName: PropTypes.string,
+  inputClassName: PropTypes.string,
+  placeholder: PropTypes.string,
+  children: PropTypes.node,
+};
+
+export default AmountInput;
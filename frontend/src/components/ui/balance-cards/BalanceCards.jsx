@@ -1,27 +1,20 @@
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import { useMatchMedia } from '@/hooks/useMatchMedia';
-import { getBalances } from '@/services/wallet';
-import { useWalletStore } from '@/stores/useWalletStore';
-
-import ETH from '@/assets/icons/ethereum.svg?react';
-import USDC from '@/assets/icons/borrow_usdc.svg?react';
-import STRK from '@/assets/icons/strk.svg?react';
+import { useTokenBalances } from '@/hooks/useTokenBalances';
+import { formatAmount } from '@/utils/amount';
+import { TOKENS } from '@/utils/tokens';
 import './balanceCards.css';
 
 const BalanceCards = ({ className }) => {
-  const { walletId } = useWalletStore();
+  const { balances: tokenBalances } = useTokenBalances();
 
   const isMobile = useMatchMedia('(max-width: 768px)');
 
-  useEffect(() => {
-    getBalances(walletId, setBalances);
-  }, [walletId]);
-
-  const [balances, setBalances] = useState([
-    { icon: <ETH />, title: 'ETH', balance: '0.00' },
-    { icon: <USDC />, title: 'USDC', balance: '0.00' },
-    { icon: <STRK />, title: 'STRK', balance: '0.00' },
-  ]);
+  const balances = TOKENS.map(({ symbol, decimals, icon: Icon }) => ({
+    icon: <Icon />,
+    title: symbol,
+    balance: tokenBalances[symbol] !== undefined ? formatAmount(tokenBalances[symbol], decimals) : '0.00',
+  }));
 
   return (
     <div className={`balance-card ${className}`}>
@@ -0,0 +1,39 @@
+import { EXPLORERS, getAvailableExplorers, resolveExplorer } from '@/services/explorer';
+import { useExplorerSettingsStore } from '@/stores/useExplorerSettingsStore';
+import './explorerSettings.css';
+
+const ExplorerSettings = () => {
+  const { explorer, customExplorerUrl, setExplorer, setCustomExplorerUrl } = useExplorerSettingsStore();
+  const activeExplorer = resolveExplorer({ explorer, customExplorerUrl });
+
+  return (
+    <div className="explorer-settings">
+      <label className="explorer-settings-label" htmlFor="explorer-select">
+        Block explorer
+      </label>
+      <select
+        id="explorer-select"
+        className="explorer-settings-field"
+        value={explorer || activeExplorer?.id || ''}
+        onChange={(e) => setExplorer(e.target.value)}
+      >
+        {getAvailableExplorers().map((id) => (
+          <option key={id} value={id}>
+            {EXPLORERS[id].name}
+          </option>
+        ))}
+      </select>
+      {explorer === 'custom' && (
+        <input
+          type="url"
+          className="explorer-settings-field"
+          placeholder="https://explorer.example.com"
+          value={customExplorerUrl}
+          onChange={(e) => setCustomExplorerUrl(e.target.value.trim())}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ExplorerSettings;
@@ -1,4 +1,5 @@
-import React, { useMemo, useCallback, useState, useRef, useEffect } from 'react';
+import { useMemo, useCallback, useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { useMaxMultiplier } from '@/hooks/useMaxMultiplier';
 import sliderThumb from '@/assets/icons/slider_thumb.svg';
 import './multiplier.css';
@@ -152,4 +153,9 @@ const MultiplierSelector = ({ setSelectedMultiplier, selectedToken }) => {
   );
 };
 
+MultiplierSelector.propTypes = {
+  setSelectedMultiplier: PropTypes.func.isRequired,
+  selectedToken: PropTypes.string,
+};
+
 export default MultiplierSelector;
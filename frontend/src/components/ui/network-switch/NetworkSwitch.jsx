@@ -0,0 +1,23 @@
+import { getSelectedNetworkId, IS_NETWORK_SWITCH_ENABLED, NETWORKS, selectNetwork } from '@/utils/networks';
+
+// Lets QA point the app at Sepolia or a local devnet without rebuilding
+const NetworkSwitch = () => {
+  if (!IS_NETWORK_SWITCH_ENABLED) return null;
+
+  return (
+    <select
+      aria-label="Network"
+      value={getSelectedNetworkId()}
+      onChange={(e) => selectNetwork(e.target.value)}
+      className="bg-[var(--darkish)] text-gray-400 text-sm border border-[var(--nav-divider-bg)] rounded-md px-2 py-1 cursor-pointer"
+    >
+      {Object.values(NETWORKS).map(({ id, name }) => (
+        <option key={id} value={id}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default NetworkSwitch;
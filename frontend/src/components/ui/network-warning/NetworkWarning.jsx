@@ -0,0 +1,18 @@
+import { useWalletStore } from '@/stores/useWalletStore';
+import { APP_CHAIN_ID } from '@/utils/constants';
+import { getChainName, NETWORK } from '@/utils/networks';
+import './networkWarning.css';
+
+const NetworkWarning = () => {
+  const { walletId, chainId } = useWalletStore();
+
+  if (!walletId || !chainId || chainId === APP_CHAIN_ID) return null;
+
+  return (
+    <div className="network-warning" role="alert">
+      Your wallet is connected to {getChainName(chainId)}. Switch to {NETWORK.name} in your wallet to use Spotnet.
+    </div>
+  );
+};
+
+export default NetworkWarning;
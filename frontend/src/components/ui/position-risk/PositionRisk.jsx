@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import './positionRisk.css';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+const MAX_CHART_HEALTH_FACTOR = 3;
+
+const formatNumber = (value, precision = 2) =>
+  Number.isFinite(value) ? value.toLocaleString('en-US', { maximumFractionDigits: precision }) : '∞';
+
+const HealthFactorCurve = ({ curve }) => {
+  const lowestPrice = curve[0].price;
+  const priceRange = curve[curve.length - 1].price - lowestPrice;
+
+  const toX = (price) => ((price - lowestPrice) / priceRange) * CHART_WIDTH;
+  const toY = (healthFactor) =>
+    CHART_HEIGHT - (Math.min(healthFactor, MAX_CHART_HEALTH_FACTOR) / MAX_CHART_HEALTH_FACTOR) * CHART_HEIGHT;
+
+  const points = curve.map(({ price, healthFactor }) => `${toX(price)},${toY(healthFactor)}`).join(' ');
+
+  return (
+    <svg
+      className="position-risk-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      aria-label="Health factor by price"
+    >
+      <line className="position-risk-liquidation-line" x1="0" x2={CHART_WIDTH} y1={toY(1)} y2={toY(1)} />
+      <line className="position-risk-price-line" x1={CHART_WIDTH / 2} x2={CHART_WIDTH / 2} y1="0" y2={CHART_HEIGHT} />
+      <polyline className="position-risk-curve" points={points} />
+    </svg>
+  );
+};
+
+const curvePropType = PropTypes.arrayOf(
+  PropTypes.shape({ price: PropTypes.number.isRequired, healthFactor: PropTypes.number.isRequired })
+);
+
+HealthFactorCurve.propTypes = {
+  curve: curvePropType.isRequired,
+};
+
+const PositionRisk = ({ risk, selectedToken, isPriceStale = false }) => {
+  if (!risk) return null;
+
+  const metrics = [
+    // Without debt or when a falling price cannot liquidate the position there is no liquidation price
+    ...(risk.liquidationPrice === null
+      ? [{ title: 'Liquidation price', value: 'None' }]
+      : [
+          { title: 'Liquidation price', value: `$${formatNumber(risk.liquidationPrice)}` },
+          { title: 'Distance to liquidation', value: `${formatNumber(risk.liquidationDistance)}%` },
+        ]),
+    { title: 'Borrowed', value: `${formatNumber(risk.debtAmount, 6)} ${risk.debtToken}` },
+    {
+      title: 'Total exposure',
+      value: `${formatNumber(risk.totalExposure, 6)} ${selectedToken} ($${formatNumber(risk.totalExposureUsd)})`,
+    },
+  ];
+
+  return (
+    <div className="position-risk">
+      {isPriceStale && <p className="position-risk-warning">Prices are outdated, these values may be inaccurate</p>}
+      <ul className="position-risk-metrics">
+        {metrics.map(({ title, value }) => (
+          <li key={title}>
+            <span>{title}:</span>
+            <span>{value}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="position-risk-curve-wrapper">
+        <p>Health factor vs {selectedToken} price (±50%)</p>
+        <HealthFactorCurve curve={risk.curve} />
+      </div>
+    </div>
+  );
+};
+
+PositionRisk.propTypes = {
+  risk: PropTypes.shape({
+    liquidationPrice: PropTypes.number,
+    liquidationDistance: PropTypes.number,
+    debtToken: PropTypes.string,
+    debtAmount: PropTypes.number,
+    totalExposure: PropTypes.number,
+    totalExposureUsd: PropTypes.number,
+    curve: curvePropType,
+  }),
+  selectedToken: PropTypes.string,
+  isPriceStale: PropTypes.bool,
+};
+
+export default PositionRisk;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SLIPPAGE_PRESETS, validateSlippage } from '@/services/slippage';
+import { DEFAULT_SLIPPAGE, useSlippageStore } from '@/stores/useSlippageStore';
+import { useWalletStore } from '@/stores/useWalletStore';
+import { NUMBER_REGEX } from '@/utils/regex';
+import { cn } from '@/utils/cn';
+import './slippageSettings.css';
+
+const SlippageSettings = ({ className }) => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const setSlippage = useSlippageStore((state) => state.setSlippage);
+  const slippage = useSlippageStore((state) => state.slippages[walletId] ?? DEFAULT_SLIPPAGE);
+  const [customSlippage, setCustomSlippage] = useState(SLIPPAGE_PRESETS.includes(slippage) ? '' : String(slippage));
+
+  const error = customSlippage ? validateSlippage(customSlippage) : null;
+
+  const handlePreset = (preset) => {
+    setCustomSlippage('');
+    setSlippage(walletId, preset);
+  };
+
+  const handleCustomChange = (e) => {
+    const { value } = e.target;
+    if (!NUMBER_REGEX.test(value)) return;
+
+    setCustomSlippage(value);
+    if (!validateSlippage(value)) {
+      setSlippage(walletId, Number(value));
+    }
+  };
+
+  return (
+    <div className={cn('slippage-settings', className)}>
+      <span className="slippage-settings-label">Slippage tolerance</span>
+      <div className="slippage-settings-options">
+        {SLIPPAGE_PRESETS.map((preset) => (
+          <button
+            type="button"
+            key={preset}
+            className={cn('slippage-settings-option', !customSlippage && slippage === preset && 'active')}
+            onClick={() => handlePreset(preset)}
+            disabled={!walletId}
+          >
+            {preset}%
+          </button>
+        ))}
+        <input
+          type="text"
+          inputMode="decimal"
+          className={cn('slippage-settings-option', 'slippage-settings-custom', customSlippage && !error && 'active')}
+          placeholder="Custom %"
+          value={customSlippage}
+          onChange={handleCustomChange}
+          disabled={!walletId}
+          aria-invalid={!!error}
+        />
+      </div>
+      {error && <p className="slippage-settings-error">{error}</p>}
+    </div>
+  );
+};
+
+SlippageSettings.propTypes = {
+  className: PropTypes.string,
+};
+
+export default SlippageSettings;
@@ -1,16 +1,17 @@
-import React from 'react';
-import ETH from '@/assets/icons/ethereum.svg?react';
-import USDC from '@/assets/icons/borrow_usdc.svg?react';
-import STRK from '@/assets/icons/strk.svg?react';
+import PropTypes from 'prop-types';
+import { LEVERAGE_TOKENS } from '@/utils/tokens';
 import './tokenSelector.css';
 
-const Tokens = [
-  { id: 'ethOption', component: <ETH />, label: 'ETH' },
-  { id: 'usdcOption', component: <USDC />, label: 'USDC' },
-  { id: 'strkOption', component: <STRK />, label: 'STRK' },
-];
+const toOptions = (tokens) =>
+  tokens.map(({ symbol, icon: Icon }) => ({
+    id: `${symbol.toLowerCase()}Option`,
+    component: <Icon />,
+    label: symbol,
+  }));
+
+const TokenSelector = ({ selectedToken, setSelectedToken, className, tokens = LEVERAGE_TOKENS }) => {
+  const Tokens = toOptions(tokens);
 
-const TokenSelector = ({ selectedToken, setSelectedToken, className }) => {
   const handleTokenChange = (token) => {
     setSelectedToken(token.label);
   };
@@ -47,4 +48,11 @@ const TokenSelector = ({ selectedToken, setSelectedToken, className }) => {
   );
 };
 
+TokenSelector.propTypes = {
+  selectedToken: PropTypes.string,
+  setSelectedToken: PropTypes.func.isRequired,
+  className: PropTypes.string,
+  tokens: PropTypes.arrayOf(PropTypes.shape({ symbol: PropTypes.string, icon: PropTypes.elementType })),
+};
+
 export default TokenSelector;
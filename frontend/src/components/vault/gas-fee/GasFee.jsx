@@ -1,13 +1,80 @@
-import React from 'react';
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
 import SettingIcon from '@/assets/icons/settings.svg?react';
+import { useFeeEstimate } from '@/hooks/useFeeEstimate';
+import { useClickOutside } from '@/hooks/useClickOutside';
+import { useFeeSettingsStore } from '@/stores/useFeeSettingsStore';
+import { FEE_TOKEN_VERSIONS, MAX_FEE_MULTIPLIERS, formatFee } from '@/services/fee';
+import { cn } from '@/utils/cn';
+
+export default function GasFee({ calls = [] }) {
+  const [showSettings, setShowSettings] = useState(false);
+  const settingsRef = useRef(null);
+  const { feeToken, maxFeeMultiplier, setFeeToken, setMaxFeeMultiplier } = useFeeSettingsStore();
+  const { fee, maxFee, isLoading, isError } = useFeeEstimate(calls);
+
+  useClickOutside([settingsRef], () => setShowSettings(false));
+
+  const getFeeLabel = () => {
+    if (isLoading) return 'Estimating...';
+    if (isError) return 'Unavailable';
+    if (fee === null) return `0.00 ${feeToken}`;
+    return `${formatFee(fee)} ${feeToken} (max ${formatFee(maxFee)})`;
+  };
 
-export default function GasFee() {
   return (
     <div className="w-full flex flex-row  items-center justify-between gap-2 py-3 px-2 border-t border-[#36294e]">
-      <div className="bg-[#201338] rounded-full p-2">
-        <SettingIcon />
+      <div className="relative" ref={settingsRef}>
+        <button
+          type="button"
+          className="bg-[#201338] rounded-full p-2 cursor-pointer"
+          onClick={() => setShowSettings((prev) => !prev)}
+          aria-label="Gas fee settings"
+        >
+          <SettingIcon />
+        </button>
+        {showSettings && (
+          <div className="absolute bottom-[110%] left-0 z-[20] w-[240px] bg-[#120721] border border-[#36294e] rounded-lg p-4 text-sm text-[#83919F]">
+            <p className="mb-2 text-white">Pay fee in</p>
+            <div className="flex gap-2 mb-4">
+              {Object.entries(FEE_TOKEN_VERSIONS).map(([token, version]) => (
+                <button
+                  type="button"
+                  key={token}
+                  className={cn(
+                    'flex-1 py-1 rounded-lg border border-[#36294e] cursor-pointer',
+                    feeToken === token && 'bg-[#201338] text-white'
+                  )}
+                  onClick={() => setFeeToken(token)}
+                >
+                  {token} (v{version})
+                </button>
+              ))}
+            </div>
+            <p className="mb-2 text-white">Max fee multiplier</p>
+            <div className="flex gap-2">
+              {MAX_FEE_MULTIPLIERS.map((multiplier) => (
+                <button
+                  type="button"
+                  key={multiplier}
+                  className={cn(
+                    'flex-1 py-1 rounded-lg border border-[#36294e] cursor-pointer',
+                    maxFeeMultiplier === multiplier && 'bg-[#201338] text-white'
+                  )}
+                  onClick={() => setMaxFeeMultiplier(multiplier)}
+                >
+                  x{multiplier}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
-      <div className="text-sm text-[#83919F] font-normal ">Gas fee: 0.00 STRK</div>
+      <div className="text-sm text-[#83919F] font-normal ">Gas fee: {getFeeLabel()}</div>
     </div>
   );
 }
+
+GasFee.propTypes = {
+  calls: PropTypes.arrayOf(PropTypes.object),
+};
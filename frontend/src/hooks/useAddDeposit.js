@@ -1,8 +1,11 @@
+import { useMemo } from 'react';
 import { useMutation } from '@tanstack/react-query';
 import { axiosInstance } from '../utils/axios';
 import { notify } from '../components/layout/notifier/Notifier';
 import { getWallet } from '../services/wallet';
-import { sendExtraDepositTransaction } from '../services/transaction';
+import { buildExtraDepositCalls, buildExtraDepositData, sendExtraDepositTransaction } from '../services/transaction';
+import { completePendingOperation, OPERATION_KIND } from '../services/pendingOperations';
+import { useUserContract } from './useUserContract';
 
 export const useAddDeposit = () => {
   const mutation = useMutation({
@@ -10,36 +13,49 @@ export const useAddDeposit = () => {
       if (!positionId || positionId === '0') {
         return notify('No position found', 'error');
       }
+      // Prepare extra deposit data
+      const depositData = buildExtraDepositData(tokenSymbol, amount);
+
       // Get wallet and check/deploy contract
       const wallet = await getWallet();
       const walletId = wallet.selectedAddress;
       const { data: contractAddress } = await axiosInstance.get(`/api/get-user-contract?wallet_id=${walletId}`);
 
-      // Prepare extra deposit data
-      const { data: prepare_data } = await axiosInstance.get(`/api/get-add-deposit-data/${positionId}`, {
-        params: {
-          amount: amount,
-          token_symbol: tokenSymbol,
-        },
-      });
-
       // Send transaction
-      const { transaction_hash } = await sendExtraDepositTransaction(prepare_data.deposit_data, contractAddress);
+      const operation = {
+        kind: OPERATION_KIND.EXTRA_DEPOSIT,
+        positionId,
+        walletId,
+        tokenSymbol,
+        amount,
+      };
+      const { transaction_hash } = await sendExtraDepositTransaction(depositData, contractAddress, operation);
 
       // Send transaction hash to backend
-      return await axiosInstance.post(`/api/add-extra-deposit/${positionId}`, {
-        transaction_hash: transaction_hash,
-        token_symbol: tokenSymbol,
-        amount: amount,
-      });
+      return await completePendingOperation({ ...operation, transactionHash: transaction_hash });
     },
     onSuccess: () => {
       notify('Successfully deposited!', 'success');
     },
     onError: (error) => {
-      notify(error.response?.data?.message || 'Failed to process deposit', 'error');
+      notify(error.response?.data?.message || error.message || 'Failed to process deposit', 'error');
     },
   });
 
   return mutation;
 };
+
+export const useAddDepositCalls = (positionId, amount, tokenSymbol) => {
+  const { contractAddress } = useUserContract();
+
+  return useMemo(() => {
+    if (!contractAddress || !positionId || positionId === '0') return [];
+
+    try {
+      const depositData = buildExtraDepositData(tokenSymbol, amount);
+      return depositData.token_amount > 0n ? buildExtraDepositCalls(depositData, contractAddress) : [];
+    } catch {
+      return [];
+    }
+  }, [contractAddress, positionId, amount, tokenSymbol]);
+};
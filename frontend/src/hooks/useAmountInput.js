@@ -0,0 +1,27 @@
+import { useFeeSettingsStore } from '../stores/useFeeSettingsStore';
+import { useTokenBalance } from './useTokenBalances';
+import { getMaxAmount, parseAmount, validateAmount } from '../utils/amount';
+import { getToken } from '../utils/tokens';
+
+/**
+ * Validation state of an amount typed for `symbol`: the live balance, the largest spendable
+ * amount (keeping gas aside when the token pays the fees) and the reason the amount is invalid.
+ */
+export const useAmountInput = (amount, symbol) => {
+  const feeToken = useFeeSettingsStore((state) => state.feeToken);
+  const { balance, isLoading } = useTokenBalance(symbol);
+  const token = getToken(symbol);
+
+  const reserve = feeToken === symbol ? parseAmount(token.gasReserve, token.decimals) : 0n;
+  const maxAmount = balance === null ? null : getMaxAmount(balance, reserve);
+
+  const error = validateAmount(amount, {
+    symbol,
+    decimals: token.decimals,
+    balance,
+    minAmount: parseAmount(token.minAmount, token.decimals),
+    reserve,
+  });
+
+  return { token, balance, maxAmount, error, isValid: !error, isLoading };
+};
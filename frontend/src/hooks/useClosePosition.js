@@ -1,6 +1,9 @@
 import { useMutation, useQuery } from '@tanstack/react-query';
 import { axiosInstance } from '../utils/axios';
 import { closePosition } from '../services/transaction';
+import { applySlippage } from '../services/slippage';
+import { getSlippage } from '../stores/useSlippageStore';
+import { completePendingOperation, OPERATION_KIND } from '../services/pendingOperations';
 import { useWalletStore } from '../stores/useWalletStore';
 import { notify } from '../components/layout/notifier/Notifier';
 
@@ -18,14 +21,15 @@ export const useClosePosition = () => {
           wallet_id: walletId,
         },
       });
-      const transactionResult = await closePosition(response.data);
+      const operation = {
+        kind: OPERATION_KIND.CLOSE_POSITION,
+        positionId: response.data.position_id,
+        walletId,
+      };
+      const repayData = await applySlippage(response.data, getSlippage(walletId));
+      const transactionResult = await closePosition(repayData, operation);
       console.log('TransactionResult', transactionResult);
-      await axiosInstance.get('/api/close-position', {
-        params: {
-          position_id: response.data.position_id,
-          transaction_hash: transactionResult.transaction_hash,
-        },
-      });
+      await completePendingOperation({ ...operation, transactionHash: transactionResult.transaction_hash });
     },
     onError: (error) => {
       console.error('Error during closePositionEvent', error);
@@ -0,0 +1,76 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { notify } from '../components/layout/notifier/Notifier';
+import { fetchContractOwnership, registerUserContract } from '../services/contract';
+import { sendAcceptOwnershipTransaction, sendTransferOwnershipTransaction } from '../services/transaction';
+import { useWalletStore } from '../stores/useWalletStore';
+import { isSameAddress, validateAddress } from '../utils/address';
+
+// Owner and pending owner of any Spotnet contract, the receiving wallet of a transfer reads a contract it is not linked to
+export const useContractOwnership = (contractAddress) => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const isValidAddress = !!contractAddress && !validateAddress(contractAddress);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.ContractOwnership, contractAddress],
+    queryFn: () => fetchContractOwnership(contractAddress),
+    enabled: isValidAddress,
+    retry: false,
+  });
+
+  return {
+    owner: data?.owner ?? null,
+    pendingOwner: data?.pendingOwner ?? null,
+    isOwner: isSameAddress(data?.owner, walletId),
+    isPendingOwner: isSameAddress(data?.pendingOwner, walletId),
+    isLoading: isValidAddress && isLoading,
+    isError: !!error,
+  };
+};
+
+const invalidateOwnership = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: [QueryKeys.ContractOwnership] });
+  queryClient.invalidateQueries({ queryKey: [QueryKeys.ContractUpgrade] });
+};
+
+export const useTransferOwnership = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ contractAddress, newOwner }) => sendTransferOwnershipTransaction(contractAddress, newOwner.trim()),
+    onSuccess: () => {
+      notify('The new wallet can now accept the ownership', 'success');
+      invalidateOwnership(queryClient);
+    },
+    onError: (error) => {
+      notify(error.message || 'Failed to transfer ownership', 'error');
+    },
+  });
+};
+
+/**
+ * Accepts a pending transfer with the connected wallet. A wallet without a contract of its own is linked
+ * to the accepted one, so the dashboard follows the migrated position.
+ */
+export const useAcceptOwnership = () => {
+  const queryClient = useQueryClient();
+  const walletId = useWalletStore((state) => state.walletId);
+
+  return useMutation({
+    mutationFn: async ({ contractAddress, hasOwnContract }) => {
+      const result = await sendAcceptOwnershipTransaction(contractAddress);
+      if (!hasOwnContract) {
+        await registerUserContract(walletId, contractAddress);
+      }
+      return result;
+    },
+    onSuccess: () => {
+      notify('You now own the contract', 'success');
+      invalidateOwnership(queryClient);
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.UserContract] });
+    },
+    onError: (error) => {
+      notify(error.message || 'Failed to accept ownership', 'error');
+    },
+  });
+};
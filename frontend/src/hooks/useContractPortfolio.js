@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { fetchContractPortfolio } from '../services/portfolio';
+import { useUserContract } from './useUserContract';
+
+// zkLend collateral and debt of the connected wallet's contract, in base units keyed by symbol
+export const useContractPortfolio = () => {
+  const { contractAddress, isLoading: isContractLoading } = useUserContract();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.ContractPortfolio, contractAddress],
+    queryFn: () => fetchContractPortfolio(contractAddress),
+    enabled: !!contractAddress,
+    staleTime: 30000,
+  });
+
+  return {
+    portfolio: data || {},
+    contractAddress,
+    isLoading: isContractLoading || (!!contractAddress && isLoading),
+    isError: !!error,
+  };
+};
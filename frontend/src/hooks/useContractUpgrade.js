@@ -0,0 +1,37 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { notify } from '../components/layout/notifier/Notifier';
+import { fetchContractUpgradeStatus } from '../services/contract';
+import { sendUpgradeTransaction } from '../services/transaction';
+import { useWalletStore } from '../stores/useWalletStore';
+import { useUserContract } from './useUserContract';
+
+// Whether the connected wallet's contract runs an older class than the one new contracts are deployed from
+export const useContractUpgradeStatus = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const { contractAddress } = useUserContract();
+
+  const { data, isLoading } = useQuery({
+    queryKey: [QueryKeys.ContractUpgrade, contractAddress, walletId],
+    queryFn: () => fetchContractUpgradeStatus(contractAddress, walletId),
+    enabled: !!contractAddress,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  return { ...data, contractAddress, isLoading };
+};
+
+export const useUpgradeContract = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ contractAddress, classHash }) => sendUpgradeTransaction(contractAddress, classHash),
+    onSuccess: () => {
+      notify('Contract upgraded!', 'success');
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.ContractUpgrade] });
+    },
+    onError: (error) => {
+      notify(error.message || 'Failed to upgrade contract', 'error');
+    },
+  });
+};
@@ -1,81 +1,101 @@
+import { useMemo } from "react";
 import { useQuery } from "@tanstack/react-query";
 import QueryKeys from "../QueryKeys/QueryKeys";
 import { axiosInstance } from "../utils/axios";
 import { useWalletStore } from "../stores/useWalletStore";
-import EthIcon from "@/assets/icons/ethereum.svg?react";
-import StrkIcon from "@/assets/icons/strk.svg?react";
-import UsdIcon from "@/assets/icons/usd_coin.svg?react";
+import { getToken, TOKENS } from "../utils/tokens";
+import { buildChainDashboard, hasDashboardDiscrepancy } from "../services/portfolio";
+import { useContractPortfolio } from "./useContractPortfolio";
+import { useTokenPrices } from "./useTokenPrices";
+import { toTokenPortfolio } from "./useWithdraw";
 import CollateralIcon from "@/assets/icons/collateral_dynamic.svg?react";
 import BorrowIcon from "@/assets/icons/borrow_dynamic.svg?react";
 
+const EMPTY_DEPOSITED_DATA = Object.fromEntries(TOKENS.map(({ symbol }) => [symbol.toLowerCase(), 0]));
+
+// Where the dashboard figures come from, the chain stands in while the backend is down or lagging
+export const DASHBOARD_SOURCES = {
+  BACKEND: "backend",
+  CHAIN: "chain",
+};
+
 export const fetchDashboardData = async (walletId) => {
   if (!walletId) throw new Error("Wallet ID is undefined");
   const { data } = await axiosInstance.get(`/api/dashboard?wallet_id=${walletId}`);
   return data;
 };
 
+const toDashboardData = ({
+  health_ratio = "0.00",
+  current_sum = 0,
+  start_sum = 0,
+  borrowed = 0,
+  multipliers = {},
+  balance = 0,
+  deposit_data = [],
+  position_id = null,
+}) => {
+  const depositedData = deposit_data.reduce(
+    (acc, { token, amount }) => ({
+      ...acc,
+      [token.toLowerCase()]: (acc[token.toLowerCase()] || 0) + Number(amount),
+    }),
+    EMPTY_DEPOSITED_DATA
+  );
+
+  const { name: currencyName, icon: currencyIcon } =
+    Object.keys(multipliers).map(getToken).find(Boolean) || getToken("ETH");
+
+  const cardData = [
+    {
+      title: "Collateral & Earnings",
+      icon: CollateralIcon,
+      balance,
+      currencyName,
+      currencyIcon,
+    },
+    {
+      title: "Borrow",
+      icon: BorrowIcon,
+      balance: borrowed,
+      currencyName: getToken("USDC").name,
+      currencyIcon: getToken("USDC").icon,
+    },
+  ];
+
+  return {
+    cardData,
+    healthFactor: health_ratio,
+    startSum: start_sum,
+    currentSum: current_sum,
+    depositedData,
+    position_id,
+  };
+};
+
 const useDashboardData = () => {
   const walletId = useWalletStore((state) => state.walletId);
 
-  const { data, isLoading, error } = useQuery({
+  const { data: backendData, isLoading, error } = useQuery({
     queryKey: [QueryKeys.DashboardData, walletId],
     queryFn: () => fetchDashboardData(walletId),
     enabled: !!walletId,
-    select: ({
-      health_ratio = "0.00",
-      current_sum = 0,
-      start_sum = 0,
-      borrowed = 0,
-      multipliers = {},
-      balance = 0,
-      deposit_data = [],
-      position_id = null,
-    }) => {
-      const depositedData = deposit_data.reduce(
-        (acc, { token, amount }) => ({
-          ...acc,
-          [token.toLowerCase()]: (acc[token.toLowerCase()] || 0) + Number(amount),
-        }),
-        { eth: 0, strk: 0, usdc: 0, usdt: 0 }
-      );
-
-      const currencyMap = {
-        STRK: { name: "STRK", icon: StrkIcon },
-        ETH: { name: "Ethereum", icon: EthIcon },
-        USDC: { name: "USDC", icon: UsdIcon },
-      };
+    onError: (error) => console.error("Error fetching dashboard data:", error),
+  });
 
-      const { name: currencyName, icon: currencyIcon } =
-        Object.entries(multipliers).find(([key]) => currencyMap[key])?.[1] || currencyMap.ETH;
+  const { portfolio } = useContractPortfolio();
+  const { prices } = useTokenPrices();
+  const chainData = useMemo(() => buildChainDashboard(toTokenPortfolio(portfolio), prices), [portfolio, prices]);
 
-      const cardData = [
-        {
-          title: "Collateral & Earnings",
-          icon: CollateralIcon,
-          balance,
-          currencyName,
-          currencyIcon,
-        },
-        {
-          title: "Borrow",
-          icon: BorrowIcon,
-          balance: borrowed,
-          currencyName: "USD Coin",
-          currencyIcon: UsdIcon,
-        },
-      ];
+  // A backend without the live position is down or has not seen it yet
+  const isBackendStale = !!chainData && (!!error || (!!backendData && !Number(backendData.balance)));
+  const source = isBackendStale ? DASHBOARD_SOURCES.CHAIN : DASHBOARD_SOURCES.BACKEND;
+  const hasDiscrepancy = !isBackendStale && !!chainData && !!backendData && hasDashboardDiscrepancy(backendData, chainData);
 
-      return {
-        cardData,
-        healthFactor: health_ratio,
-        startSum: start_sum,
-        currentSum: current_sum,
-        depositedData,
-        position_id,
-      };
-    },
-    onError: (error) => console.error("Error fetching dashboard data:", error),
-  });
+  const data = useMemo(() => {
+    const rawData = isBackendStale ? chainData : backendData;
+    return rawData ? toDashboardData(rawData) : null;
+  }, [isBackendStale, chainData, backendData]);
 
   return {
     data: {
@@ -87,9 +107,11 @@ const useDashboardData = () => {
     healthFactor: data?.healthFactor || "0.00",
     startSum: data?.startSum || 0,
     currentSum: data?.currentSum || 0,
-    depositedData: data?.depositedData || { eth: 0, strk: 0, usdc: 0, usdt: 0 },
-    isLoading,
-    error,
+    depositedData: data?.depositedData || EMPTY_DEPOSITED_DATA,
+    source,
+    hasDiscrepancy,
+    isLoading: isLoading && !isBackendStale,
+    error: isBackendStale ? null : error,
   };
 };
 
@@ -0,0 +1,61 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import {
+  claimDefiSpringRewards,
+  fetchDefiSpringRewards,
+  getUserClaimableAmount,
+  splitClaimableRewards,
+} from '../services/defiSpring';
+import { notify } from '../components/layout/notifier/Notifier';
+import { useUserContract } from './useUserContract';
+import { useWalletStore } from '../stores/useWalletStore';
+import { formatAmount } from '../utils/amount';
+import { getToken } from '../utils/tokens';
+
+// Unclaimed DeFi Spring rewards of the connected wallet's contract, amounts are the user's share in STRK base units.
+// Rewards still missing their claim data are reported apart as `unclaimableAmount`
+export const useDefiSpringRewards = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.DefiSpringRewards, walletId],
+    queryFn: () => fetchDefiSpringRewards(walletId),
+    enabled: !!walletId,
+    staleTime: 60000,
+  });
+
+  const { claimable: claims, unclaimable } = splitClaimableRewards(data || []);
+
+  return {
+    claims,
+    claimableAmount: getUserClaimableAmount(claims),
+    unclaimableAmount: getUserClaimableAmount(unclaimable),
+    isLoading: !!walletId && isLoading,
+    isError: !!error,
+  };
+};
+
+export const useClaimRewards = () => {
+  const queryClient = useQueryClient();
+  const { claims } = useDefiSpringRewards();
+  const { contractAddress } = useUserContract();
+
+  const mutation = useMutation({
+    mutationFn: () => claimDefiSpringRewards(claims, contractAddress),
+    onSuccess: ({ claimedAmount }) => {
+      const { symbol, decimals } = getToken('STRK');
+      notify(`${formatAmount(claimedAmount, decimals)} ${symbol} added to your position`, 'success');
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.DefiSpringRewards] });
+    },
+    onError: (error) => {
+      console.error('Error claiming rewards:', error);
+      notify(`Error claiming rewards: ${error.message}`, 'error');
+    },
+  });
+
+  return {
+    claimRewards: mutation.mutate,
+    isClaiming: mutation.isPending,
+    canClaim: claims.length > 0 && !!contractAddress,
+  };
+};
@@ -0,0 +1,28 @@
+import { useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { estimateFee, applyMultiplier } from '../services/fee';
+import { useFeeSettingsStore } from '../stores/useFeeSettingsStore';
+import { useWalletStore } from '../stores/useWalletStore';
+
+const FEE_REFRESH_INTERVAL = 30000;
+
+export const useFeeEstimate = (calls = []) => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const { feeToken, maxFeeMultiplier } = useFeeSettingsStore();
+
+  const { data, isFetching, error } = useQuery({
+    queryKey: [QueryKeys.FeeEstimate, walletId, feeToken, calls],
+    queryFn: () => estimateFee(calls, feeToken),
+    enabled: !!walletId && calls.length > 0,
+    refetchInterval: FEE_REFRESH_INTERVAL,
+    retry: false,
+  });
+
+  return {
+    fee: data ? BigInt(data.overall_fee) : null,
+    maxFee: data ? applyMultiplier(data.overall_fee, maxFeeMultiplier) : null,
+    feeToken,
+    isLoading: isFetching && !data,
+    isError: !!error,
+  };
+};
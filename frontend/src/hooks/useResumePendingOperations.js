@@ -0,0 +1,13 @@
+import { useEffect } from 'react';
+import { resumePendingOperations } from '../services/pendingOperations';
+import { useWalletStore } from '../stores/useWalletStore';
+
+export const useResumePendingOperations = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+
+  useEffect(() => {
+    if (walletId) {
+      resumePendingOperations(walletId);
+    }
+  }, [walletId]);
+};
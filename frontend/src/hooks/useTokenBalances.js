@@ -0,0 +1,56 @@
+import { useEffect } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { getTokenBalances, getWallet } from '../services/wallet';
+import { TRANSACTION_STATUS } from '../services/transactionTracker';
+import { useTransactionStore } from '../stores/useTransactionStore';
+import { useWalletStore } from '../stores/useWalletStore';
+
+// Balances of every registry token in base units, cached per wallet
+export const useTokenBalances = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.TokenBalances, walletId],
+    queryFn: async () => {
+      const wallet = await getWallet();
+      return await getTokenBalances(walletId, wallet);
+    },
+    enabled: !!walletId,
+    staleTime: 30000,
+  });
+
+  return {
+    balances: data || {},
+    isLoading: !!walletId && isLoading,
+    isError: !!error,
+  };
+};
+
+export const useTokenBalance = (symbol) => {
+  const { balances, isLoading } = useTokenBalances();
+
+  return { balance: balances[symbol] ?? null, isLoading };
+};
+
+const hasNewlyConfirmed = (transactions, previousTransactions) =>
+  Object.values(transactions).some(
+    ({ hash, status }) => status === TRANSACTION_STATUS.ACCEPTED_ON_L2 && previousTransactions[hash]?.status !== status
+  );
+
+// Refetches balances, the transaction history and the contract portfolio whenever a transaction tracked by `trackTransaction` is accepted
+export const useRefreshOnConfirmedTransactions = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(
+    () =>
+      useTransactionStore.subscribe((state, previousState) => {
+        if (hasNewlyConfirmed(state.transactions, previousState.transactions)) {
+          queryClient.invalidateQueries({ queryKey: [QueryKeys.TokenBalances] });
+          queryClient.invalidateQueries({ queryKey: [QueryKeys.TransactionHistory] });
+          queryClient.invalidateQueries({ queryKey: [QueryKeys.ContractPortfolio] });
+        }
+      }),
+    [queryClient]
+  );
+};
@@ -0,0 +1,34 @@
+import { useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { fetchTokenPrices, PRICE_SYMBOLS } from '../services/price';
+
+const PRICE_REFRESH_INTERVAL = 60000;
+
+// Every USD value in the app reads from this single query, all symbols are fetched together
+export const useTokenPrices = () => {
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.TokenPrices],
+    queryFn: () => fetchTokenPrices(PRICE_SYMBOLS),
+    staleTime: 30000,
+    refetchInterval: PRICE_REFRESH_INTERVAL,
+  });
+
+  return {
+    prices: data?.prices || {},
+    staleSymbols: data?.staleSymbols || [],
+    updatedAt: data?.updatedAt,
+    isLoading,
+    isError: !!error,
+  };
+};
+
+export const useTokenPrice = (symbol) => {
+  const { prices, staleSymbols, isLoading, isError } = useTokenPrices();
+
+  return {
+    price: prices[symbol] || 0,
+    isStale: staleSymbols.includes(symbol),
+    isLoading,
+    isError,
+  };
+};
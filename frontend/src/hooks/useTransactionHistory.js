@@ -0,0 +1,34 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { getReadProvider } from '../services/provider';
+import { fetchTransactionHistory, mergeTransactionHistory } from '../services/transactionHistory';
+import { useTransactionStore } from '../stores/useTransactionStore';
+import { useWalletStore } from '../stores/useWalletStore';
+import { useUserContract } from './useUserContract';
+
+export const useTransactionHistory = (type = null) => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const transactions = useTransactionStore((state) => state.transactions);
+  const { contractAddress, isLoading: isContractLoading } = useUserContract();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.TransactionHistory, walletId, contractAddress],
+    queryFn: () => fetchTransactionHistory({ walletId, contractAddress, provider: getReadProvider() }),
+    enabled: !!walletId && !isContractLoading,
+    staleTime: 60000,
+  });
+
+  // Transactions sent from this browser are merged live so pending ones show up right away
+  const history = useMemo(() => {
+    const localTransactions = Object.values(transactions).filter((transaction) => transaction.walletId === walletId);
+    return mergeTransactionHistory({ ...data, localTransactions });
+  }, [data, transactions, walletId]);
+
+  return {
+    transactions: type ? history.filter((transaction) => transaction.type === type) : history,
+    failedSources: data?.failedSources || [],
+    isLoading: !!walletId && (isLoading || isContractLoading),
+    isError: !!error,
+  };
+};
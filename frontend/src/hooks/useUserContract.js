@@ -0,0 +1,51 @@
+import { useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { axiosInstance } from '../utils/axios';
+import { isContractDeployed, precomputeContractAddress } from '../services/contract';
+import { useWalletStore } from '../stores/useWalletStore';
+
+// Without the backend the contract is looked for at the address derived from the wallet
+const getFallbackAddress = (walletId) => {
+  try {
+    return precomputeContractAddress(walletId);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Address of the Spotnet contract deployed for the connected wallet. When the backend is unavailable the derived
+ * address is only used once code is found there, otherwise the contract is reported as unknown.
+ */
+export const useUserContract = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: [QueryKeys.UserContract, walletId],
+    queryFn: async () => {
+      const { data } = await axiosInstance.get(`/api/get-user-contract?wallet_id=${walletId}`);
+      return data;
+    },
+    enabled: !!walletId,
+  });
+
+  const fallbackAddress = error && walletId ? getFallbackAddress(walletId) : null;
+  const { data: isFallbackDeployed, isLoading: isFallbackLoading } = useQuery({
+    queryKey: [QueryKeys.UserContract, walletId, fallbackAddress],
+    queryFn: () => isContractDeployed(fallbackAddress),
+    enabled: !!fallbackAddress,
+  });
+
+  if (error && walletId) {
+    if (isFallbackDeployed) {
+      return { contractAddress: fallbackAddress, isLoading: false, isFallback: true, isUnknown: false };
+    }
+    return {
+      contractAddress: null,
+      isLoading: !!fallbackAddress && isFallbackLoading,
+      isFallback: false,
+      isUnknown: true,
+    };
+  }
+  return { contractAddress: data && data !== '0' ? data : null, isLoading, isFallback: false, isUnknown: false };
+};
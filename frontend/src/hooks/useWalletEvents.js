@@ -0,0 +1,93 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { notify } from '../components/layout/notifier/Notifier';
+import { checkForCRMToken, getWallet, getWalletChainId, subscribeToWalletEvents } from '../services/wallet';
+import { useWalletStore } from '../stores/useWalletStore';
+import { isSameAddress } from '../utils/address';
+import { APP_CHAIN_ID } from '../utils/constants';
+import { NETWORK } from '../utils/networks';
+
+// Every wallet-scoped query carries the wallet address in its key
+const isWalletQuery = (walletId) => (query) => query.queryKey.includes(walletId);
+
+const warnIfWrongChain = (chainId) => {
+  if (chainId && chainId !== APP_CHAIN_ID) {
+    notify(`Please switch your wallet to ${NETWORK.name}`, 'warning', 5000);
+  }
+};
+
+/**
+ * Keeps the wallet store in sync with account and network switches made inside Argent X / Braavos
+ * and drops the cached data of the previous account.
+ */
+export const useWalletEvents = () => {
+  const queryClient = useQueryClient();
+  const walletId = useWalletStore((state) => state.walletId);
+  const setWalletId = useWalletStore((state) => state.setWalletId);
+  const removeWalletId = useWalletStore((state) => state.removeWalletId);
+  const setChainId = useWalletStore((state) => state.setChainId);
+
+  useEffect(() => {
+    if (!walletId) return;
+
+    let unsubscribe = () => {};
+    let isActive = true;
+
+    const handleAccountsChanged = async (address) => {
+      if (address && isSameAddress(address, walletId)) return;
+
+      queryClient.removeQueries({ predicate: isWalletQuery(walletId) });
+
+      if (!address) {
+        removeWalletId();
+        notify('Wallet disconnected', 'warning');
+        return;
+      }
+
+      try {
+        const hasCRMToken = await checkForCRMToken(address);
+        if (!hasCRMToken) {
+          removeWalletId();
+          return;
+        }
+        setWalletId(address);
+        notify('Switched to the account selected in your wallet', 'info');
+      } catch (error) {
+        console.error('Error switching wallet account:', error);
+        removeWalletId();
+      }
+    };
+
+    const handleNetworkChanged = (chainId, address) => {
+      setChainId(chainId);
+      warnIfWrongChain(chainId);
+      queryClient.invalidateQueries({ predicate: isWalletQuery(walletId) });
+
+      if (address) {
+        handleAccountsChanged(address);
+      }
+    };
+
+    getWallet()
+      .then(async (wallet) => {
+        if (!isActive) return;
+
+        unsubscribe = subscribeToWalletEvents(wallet, {
+          onAccountsChanged: handleAccountsChanged,
+          onNetworkChanged: handleNetworkChanged,
+        });
+
+        const chainId = await getWalletChainId(wallet);
+        if (isActive) {
+          setChainId(chainId);
+          warnIfWrongChain(chainId);
+        }
+      })
+      .catch((error) => console.error('Error subscribing to wallet events:', error));
+
+    return () => {
+      isActive = false;
+      unsubscribe();
+    };
+  }, [walletId, queryClient, setWalletId, removeWalletId, setChainId]);
+};
@@ -0,0 +1,104 @@
+import { useMemo } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
+import { notify } from '../components/layout/notifier/Notifier';
+import {
+  calculatePortfolioHealthFactor,
+  calculateWithdrawHealthFactor,
+  LIQUIDATION_HEALTH_FACTOR,
+} from '../services/risk';
+import { buildWithdrawCalls, sendWithdrawTransaction } from '../services/transaction';
+import { formatAmount, parseAmount, validateAmount } from '../utils/amount';
+import { getToken, TOKENS } from '../utils/tokens';
+import { useContractPortfolio } from './useContractPortfolio';
+import { useTokenPrices } from './useTokenPrices';
+
+const toTokenUnits = (units, decimals) => Number(formatAmount(units, decimals, { precision: decimals }));
+
+// Portfolio in token units, as expected by the health factor helpers
+export const toTokenPortfolio = (portfolio) =>
+  Object.fromEntries(
+    Object.entries(portfolio).map(([symbol, { supplied, debt }]) => {
+      const { decimals } = getToken(symbol);
+      return [symbol, { supplied: toTokenUnits(supplied, decimals), debt: toTokenUnits(debt, decimals) }];
+    })
+  );
+
+const parseWithdrawAmount = (amount, decimals) => {
+  try {
+    return toTokenUnits(parseAmount(amount, decimals), decimals);
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * State of the withdraw form: the tokens the contract supplies to zkLend, the selected token's
+ * supplied balance, the health factor before and after the withdrawal and the reason it cannot be sent.
+ */
+export const useWithdrawForm = (amount, tokenSymbol) => {
+  const { portfolio, contractAddress, isLoading, isError } = useContractPortfolio();
+  const { prices } = useTokenPrices();
+  const token = getToken(tokenSymbol);
+
+  const heldTokens = TOKENS.filter(({ symbol }) => portfolio[symbol]?.supplied > 0n);
+  const balance = portfolio[tokenSymbol]?.supplied ?? null;
+
+  const tokenPortfolio = toTokenPortfolio(portfolio);
+  const healthFactor = calculatePortfolioHealthFactor(tokenPortfolio, prices);
+  const healthFactorAfter = calculateWithdrawHealthFactor(
+    tokenPortfolio,
+    prices,
+    tokenSymbol,
+    parseWithdrawAmount(amount, token.decimals)
+  );
+
+  const getError = () => {
+    if (!contractAddress && !isLoading) return 'No Spotnet contract found';
+    if (balance === 0n) return `No ${tokenSymbol} to withdraw`;
+
+    const amountError = validateAmount(amount, { symbol: tokenSymbol, decimals: token.decimals, balance });
+    if (amountError) return amountError;
+    if (healthFactorAfter !== null && healthFactorAfter < LIQUIDATION_HEALTH_FACTOR) {
+      return 'Withdrawal would make the position liquidatable';
+    }
+    return null;
+  };
+
+  const error = getError();
+
+  const calls = useMemo(() => {
+    if (!contractAddress || error) return [];
+    return buildWithdrawCalls(tokenSymbol, amount, contractAddress);
+  }, [contractAddress, error, tokenSymbol, amount]);
+
+  return {
+    token,
+    heldTokens,
+    balance,
+    healthFactor,
+    healthFactorAfter,
+    error,
+    calls,
+    contractAddress,
+    isLoading,
+    isError,
+  };
+};
+
+export const useWithdraw = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ tokenSymbol, amount, contractAddress }) =>
+      sendWithdrawTransaction(tokenSymbol, amount, contractAddress),
+    onSuccess: () => {
+      notify('Successfully withdrawn!', 'success');
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.ContractPortfolio] });
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.DashboardData] });
+    },
+    onError: (error) => {
+      notify(error.message || 'Failed to withdraw', 'error');
+    },
+  });
+};
@@ -1,23 +1,32 @@
-import { useMutation } from '@tanstack/react-query';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import QueryKeys from '../QueryKeys/QueryKeys';
 import { axiosInstance } from '../utils/axios';
 import { notify } from '../components/layout/notifier/Notifier';
-import { sendWithdrawAllTransaction } from '../services/transaction';
+import { buildWithdrawAllCalls, sendWithdrawAllTransaction } from '../services/transaction';
+import { completePendingOperation, OPERATION_KIND } from '../services/pendingOperations';
+import { applySlippage } from '../services/slippage';
+import { getSlippage } from '../stores/useSlippageStore';
 
 const useWithdrawAll = () => {
   const mutation = useMutation({
     mutationFn: async (walletId) => {
       if (!walletId) throw new Error('Wallet ID is required.');
 
-      const { data: withdraw_data } = await axiosInstance.get(`/api/get-withdraw-all-data?wallet_id=${walletId}`);
+      const { data } = await axiosInstance.get(`/api/get-withdraw-all-data?wallet_id=${walletId}`);
+      const withdraw_data = { ...data, repay_data: await applySlippage(data.repay_data, getSlippage(walletId)) };
 
+      const operation = {
+        kind: OPERATION_KIND.CLOSE_POSITION,
+        positionId: withdraw_data.repay_data.position_id,
+        walletId,
+      };
       const { transaction_hash } = await sendWithdrawAllTransaction(
         withdraw_data,
-        withdraw_data.repay_data.contract_address
+        withdraw_data.repay_data.contract_address,
+        operation
       );
 
-      await axiosInstance.get('/api/close-position', {
-        params: { transaction_hash: transaction_hash, position_id: withdraw_data.repay_data.position_id },
-      });
+      await completePendingOperation({ ...operation, transactionHash: transaction_hash });
     },
     onSuccess: () => {
       notify('Withdraw All operation completed successfully!', 'success');
@@ -33,4 +42,17 @@ const useWithdrawAll = () => {
   };
 };
 
+export const useWithdrawAllCalls = (walletId) => {
+  const { data: calls = [] } = useQuery({
+    queryKey: [QueryKeys.WithdrawAllData, walletId],
+    queryFn: async () => {
+      const { data } = await axiosInstance.get(`/api/get-withdraw-all-data?wallet_id=${walletId}`);
+      return buildWithdrawAllCalls(data, data.repay_data.contract_address);
+    },
+    enabled: !!walletId,
+  });
+
+  return calls;
+};
+
 export default useWithdrawAll;
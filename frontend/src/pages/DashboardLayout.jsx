@@ -5,6 +5,8 @@ import clockIcon from '@/assets/icons/clock.svg';
 import computerIcon from '@/assets/icons/computer-icon.svg';
 import depositIcon from '@/assets/icons/deposit.svg';
 import withdrawIcon from '@/assets/icons/withdraw.svg';
+import timeIcon from '@/assets/icons/time.svg';
+import settingsIcon from '@/assets/icons/settings.svg';
 
 const dashboardItems = [
   {
@@ -19,18 +21,36 @@ const dashboardItems = [
     link: '/dashboard/position-history',
     icon: clockIcon,
   },
+  {
+    id: 'transaction_history',
+    name: 'Transaction History',
+    link: '/dashboard/transaction-history',
+    icon: timeIcon,
+  },
   {
     id: 'deposit',
     name: 'Add Deposit',
     link: '/dashboard/deposit',
     icon: depositIcon,
   },
+  {
+    id: 'partial_withdraw',
+    name: 'Withdraw',
+    link: '/dashboard/partial-withdraw',
+    icon: withdrawIcon,
+  },
   {
     id: 'withdraw',
     name: 'Withdraw All',
     link: '/dashboard/withdraw',
     icon: withdrawIcon,
   },
+  {
+    id: 'contract_settings',
+    name: 'Contract Settings',
+    link: '/dashboard/contract-settings',
+    icon: settingsIcon,
+  },
 ];
 
 export default function DashboardLayout({ children, title = 'zkLend Position' }) {
@@ -3,9 +3,11 @@ import HealthIcon from '@/assets/icons/health.svg?react';
 import Card from '@/components/ui/card/Card';
 import { Button } from '@/components/ui/custom-button/Button';
 import TokenSelector from '@/components/ui/token-selector/TokenSelector';
-import { useAddDeposit } from '@/hooks/useAddDeposit';
+import { useAddDeposit, useAddDepositCalls } from '@/hooks/useAddDeposit';
+import GasFee from '@/components/vault/gas-fee/GasFee';
 import useDashboardData from '@/hooks/useDashboardData';
-import { NUMBER_REGEX } from '@/utils/regex';
+import AmountInput from '@/components/ui/amount-input/AmountInput';
+import { useAmountInput } from '@/hooks/useAmountInput';
 import { useState } from 'react';
 import DashboardLayout from '../DashboardLayout';
 import './addDeposit.css';
@@ -17,18 +19,14 @@ export const AddDeposit = () => {
     return currency ? `$${number.toFixed(2)}` : number.toFixed();
   };
 
-  const [amount, setAmount] = useState('0');
+  const [amount, setAmount] = useState('');
   const [selectedToken, setSelectedToken] = useState('STRK');
   const { data: dashboardData, isLoading: isDashboardLoading } = useDashboardData();
 
   const { mutate: addDeposit, isLoading } = useAddDeposit();
+  const depositCalls = useAddDepositCalls(dashboardData?.position_id, amount, selectedToken);
 
-  const handleAmountChange = (e) => {
-    const value = e.target.value;
-    if (NUMBER_REGEX.test(value)) {
-      setAmount(value);
-    }
-  };
+  const { token, balance, maxAmount, error: amountError } = useAmountInput(amount, selectedToken);
 
   const handleDeposit = () => {
     addDeposit(
@@ -39,7 +37,7 @@ export const AddDeposit = () => {
       },
       {
         onSuccess: () => {
-          setAmount('0');
+          setAmount('');
           setSelectedToken('STRK');
         },
       }
@@ -64,32 +62,33 @@ export const AddDeposit = () => {
         setSelectedToken={setSelectedToken}
         className="deposit-token-selector"
       />
-      <div className="amount-input-deposit" aria-labelledby="amount-input-label">
-        <input
-          type="text"
-          id="amount-field"
-          value={amount}
-          onChange={handleAmountChange}
-          pattern="^\d*\.?\d*$"
-          className="amount-field-deposit"
-          aria-describedby="currency-symbol"
-          placeholder="0.00"
-          disabled={isLoading || isDashboardLoading}
-        />
+      <AmountInput
+        value={amount}
+        onChange={setAmount}
+        token={token}
+        balance={balance}
+        maxAmount={maxAmount}
+        error={amountError}
+        fieldClassName="amount-input-deposit"
+        inputClassName="amount-field-deposit"
+        disabled={isLoading || isDashboardLoading}
+      >
         <span id="currency-symbol" className="currency-deposit">
           {selectedToken}
         </span>
-      </div>
+      </AmountInput>
+      <GasFee calls={depositCalls} />
 
       <Button
         size="lg"
         className="redeem-btn"
         variant="primary"
         onClick={handleDeposit}
-        disabled={isLoading || isDashboardLoading || amount === '0'}
+        disabled={isLoading || isDashboardLoading || !!amountError}
+        title={amountError || undefined}
       >
-        {isLoading ? 'Processing...' : 'Deposit'}
+        {isLoading ? 'Processing...' : amountError || 'Deposit'}
       </Button>
     </DashboardLayout>
   );
-};
\ No newline at end of file
+};
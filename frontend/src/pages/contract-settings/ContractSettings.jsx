@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/custom-button/Button';
+import { useAcceptOwnership, useContractOwnership, useTransferOwnership } from '@/hooks/useContractOwnership';
+import { useUserContract } from '@/hooks/useUserContract';
+import { getAddressUrl, getContractUrl } from '@/services/explorer';
+import { shortenAddress, validateAddress, validateNewOwner } from '@/utils/address';
+import DashboardLayout from '../DashboardLayout';
+import './contractSettings.css';
+
+// Typed by the owner before a transfer, a wrong address cannot be corrected once the new wallet accepts
+export const TRANSFER_CONFIRMATION = 'TRANSFER';
+
+const AddressLink = ({ address, href }) =>
+  address ? (
+    <a href={href} target="_blank" rel="noopener noreferrer">
+      {shortenAddress(address)}
+    </a>
+  ) : (
+    'None'
+  );
+
+AddressLink.propTypes = {
+  address: PropTypes.string,
+  href: PropTypes.string,
+};
+
+const OwnershipDetails = ({ contractAddress, owner, pendingOwner }) => (
+  <dl className="contract-settings-details">
+    <dt>Contract</dt>
+    <dd>
+      <AddressLink address={contractAddress} href={getContractUrl(contractAddress)} />
+    </dd>
+    <dt>Owner</dt>
+    <dd>
+      <AddressLink address={owner} href={getAddressUrl(owner)} />
+    </dd>
+    <dt>Pending owner</dt>
+    <dd>
+      <AddressLink address={pendingOwner} href={getAddressUrl(pendingOwner)} />
+    </dd>
+  </dl>
+);
+
+OwnershipDetails.propTypes = {
+  contractAddress: PropTypes.string.isRequired,
+  owner: PropTypes.string,
+  pendingOwner: PropTypes.string,
+};
+
+const TransferOwnership = ({ contractAddress, owner }) => {
+  const [newOwner, setNewOwner] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const { mutate: transferOwnership, isPending } = useTransferOwnership();
+
+  const error =
+    validateNewOwner(newOwner, owner) ||
+    (confirmation !== TRANSFER_CONFIRMATION ? `Type ${TRANSFER_CONFIRMATION} to confirm` : null);
+
+  const handleTransfer = () => {
+    transferOwnership(
+      { contractAddress, newOwner },
+      {
+        onSuccess: () => {
+          setNewOwner('');
+          setConfirmation('');
+        },
+      }
+    );
+  };
+
+  return (
+    <section className="contract-settings-section">
+      <h2>Transfer ownership</h2>
+      <p className="contract-settings-info">
+        The new wallet becomes the owner once it accepts the transfer from this page. Until then this wallet stays the
+        owner and can start a new transfer.
+      </p>
+      <input
+        className="contract-settings-input"
+        value={newOwner}
+        onChange={(e) => setNewOwner(e.target.value)}
+        placeholder="New owner address (0x...)"
+        spellCheck={false}
+      />
+      <input
+        className="contract-settings-input"
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        placeholder={`Type ${TRANSFER_CONFIRMATION} to confirm`}
+        spellCheck={false}
+      />
+      <Button
+        size="lg"
+        className="contract-settings-btn"
+        variant="primary"
+        onClick={handleTransfer}
+        disabled={isPending || !!error}
+        title={error || undefined}
+      >
+        {isPending ? 'Processing...' : error || 'Start Transfer'}
+      </Button>
+    </section>
+  );
+};
+
+TransferOwnership.propTypes = {
+  contractAddress: PropTypes.string.isRequired,
+  owner: PropTypes.string,
+};
+
+const AcceptOwnership = ({ ownContractAddress }) => {
+  const [contractAddress, setContractAddress] = useState('');
+  const address = contractAddress.trim();
+  const addressError = validateAddress(address);
+  const { pendingOwner, isPendingOwner, isLoading, isError } = useContractOwnership(addressError ? null : address);
+  const { mutate: acceptOwnership, isPending } = useAcceptOwnership();
+
+  const getError = () => {
+    if (!address) return 'Enter a contract address';
+    if (addressError) return addressError;
+    if (isError) return 'Not a Spotnet contract';
+    if (isLoading) return 'Loading...';
+    if (!isPendingOwner) return pendingOwner ? 'Transfer is pending for another wallet' : 'No pending transfer';
+    return null;
+  };
+  const error = getError();
+
+  const handleAccept = () => {
+    acceptOwnership({ contractAddress: address, hasOwnContract: !!ownContractAddress });
+  };
+
+  return (
+    <section className="contract-settings-section">
+      <h2>Accept ownership</h2>
+      <p className="contract-settings-info">
+        Connect the wallet that received the transfer and enter the address of the contract to take it over.
+      </p>
+      <input
+        className="contract-settings-input"
+        value={contractAddress}
+        onChange={(e) => setContractAddress(e.target.value)}
+        placeholder="Contract address (0x...)"
+        spellCheck={false}
+      />
+      <Button
+        size="lg"
+        className="contract-settings-btn"
+        variant="primary"
+        onClick={handleAccept}
+        disabled={isPending || !!error}
+        title={error || undefined}
+      >
+        {isPending ? 'Processing...' : error || 'Accept Ownership'}
+      </Button>
+    </section>
+  );
+};
+
+AcceptOwnership.propTypes = {
+  ownContractAddress: PropTypes.string,
+};
+
+export const ContractSettings = () => {
+  const { contractAddress, isUnknown } = useUserContract();
+  const { owner, pendingOwner, isOwner } = useContractOwnership(contractAddress);
+
+  return (
+    <DashboardLayout title="Contract Settings">
+      {contractAddress ? (
+        <OwnershipDetails contractAddress={contractAddress} owner={owner} pendingOwner={pendingOwner} />
+      ) : (
+        <p className="contract-settings-info">
+          {isUnknown
+            ? 'Your Spotnet contract cannot be looked up right now.'
+            : 'This wallet has no Spotnet contract yet.'}
+        </p>
+      )}
+      {isOwner && <TransferOwnership contractAddress={contractAddress} owner={owner} />}
+      <AcceptOwnership ownContractAddress={contractAddress} />
+    </DashboardLayout>
+  );
+};
@@ -4,10 +4,11 @@ import Card from "@/components/ui/card/Card"
 import { Button } from "@/components/ui/custom-button/Button"
 import Spinner from "@/components/ui/spinner/Spinner"
 import { useCheckPosition, useClosePosition } from "@/hooks/useClosePosition"
-import useDashboardData from "@/hooks/useDashboardData"
+import useDashboardData, { DASHBOARD_SOURCES } from "@/hooks/useDashboardData"
 import { useWalletStore } from "@/stores/useWalletStore"
 import DashboardLayout from "../DashboardLayout"
 import DashboardInfoCard from "@/components/dashboard/dashboardCard/DashboardInfoCard"
+import UpgradeBanner from "@/components/dashboard/upgrade-banner/UpgradeBanner"
 import { TelegramNotification } from "@/components/ui/telegram-notification/TelegramNotification";
 
 
@@ -20,6 +21,8 @@ export default function DashboardPage({ telegramId }) {
     startSum, 
     currentSum, 
     depositedData, 
+    source,
+    hasDiscrepancy,
     isLoading } = useDashboardData()
 
   const { 
@@ -36,6 +39,17 @@ export default function DashboardPage({ telegramId }) {
   return (
     <DashboardLayout>
       {isLoading && <Spinner loading={isLoading} />}
+      <UpgradeBanner />
+      {source === DASHBOARD_SOURCES.CHAIN && (
+        <div className="dashboard-data-notice" role="status">
+          Spotnet servers are unavailable, showing your position as read from the chain.
+        </div>
+      )}
+      {hasDiscrepancy && (
+        <div className="dashboard-data-notice" role="status">
+          These figures differ from your on-chain position and may be outdated.
+        </div>
+      )}
       <div className="top-cards-dashboard">
         <Card label="Health Factor" value={healthFactor} icon={<HealthIcon className="icon" />} />
         <Card label="Borrow Balance" cardData={cardData} icon={<EthIcon className="icon" />} />
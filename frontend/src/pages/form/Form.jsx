@@ -1,8 +1,8 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import TokenSelector from '@/components/ui/token-selector/TokenSelector';
 import BalanceCards from '@/components/ui/balance-cards/BalanceCards';
 import MultiplierSelector from '@/components/ui/multiplier-selector/MultiplierSelector';
-import { handleTransaction } from '@/services/transaction';
+import { handleTransaction, previewPosition } from '@/services/transaction';
 import Spinner from '@/components/ui/spinner/Spinner';
 import './form.css';
 import { Button } from '@/components/ui/custom-button/Button';
@@ -13,6 +13,12 @@ import { useNavigate } from 'react-router-dom';
 import { ActionModal } from '@/components/ui/action-modal';
 import { useHealthFactor } from '@/hooks/useHealthRatio';
 import { notify } from '@/components/layout/notifier/Notifier';
+import GasFee from '@/components/vault/gas-fee/GasFee';
+import SlippageSettings from '@/components/ui/slippage-settings/SlippageSettings';
+import PositionRisk from '@/components/ui/position-risk/PositionRisk';
+import AmountInput from '@/components/ui/amount-input/AmountInput';
+import { useAmountInput } from '@/hooks/useAmountInput';
+import { formatFee } from '@/services/fee';
 
 const Form = () => {
   const navigate = useNavigate();
@@ -21,16 +27,22 @@ const Form = () => {
   const [selectedToken, setSelectedToken] = useState('ETH');
   const [selectedMultiplier, setSelectedMultiplier] = useState('');
   const [loading, setLoading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewOpen, setPreviewOpen] = useState(false);
 
   const [isClosePositionOpen, setClosePositionOpen] = useState(false);
   const connectWalletMutation = useConnectWallet(setWalletId);
   const { data: positionData, refetch: refetchPosition } = useCheckPosition();
 
-  const { healthFactor, isLoading: isHealthFactorLoading } = useHealthFactor(
-    selectedToken,
-    tokenAmount,
-    selectedMultiplier
-  );
+  const {
+    healthFactor,
+    risk,
+    isPriceStale,
+    isLoading: isHealthFactorLoading,
+  } = useHealthFactor(selectedToken, tokenAmount, selectedMultiplier);
+
+  const { token: amountToken, balance, maxAmount, error: amountError } = useAmountInput(tokenAmount, selectedToken);
+  const isSubmitDisabled = !!walletId && !!amountError;
 
   const connectWalletHandler = () => {
     if (!walletId) {
@@ -64,9 +76,39 @@ const Form = () => {
       amount: tokenAmount,
       multiplier: selectedMultiplier,
     };
-    await handleTransaction(connectedWalletId, formData, setTokenAmount, setLoading);
+    setLoading(true);
+    const positionPreview = await previewPosition(connectedWalletId, formData);
+    setLoading(false);
+    setPreview(positionPreview);
+    setPreviewOpen(!!positionPreview);
+  };
+
+  const handleConfirmTransaction = async () => {
+    setPreviewOpen(false);
+    await handleTransaction(walletId, preview, setTokenAmount, setLoading);
+    setPreview(null);
+  };
+
+  const getPreviewContent = () => {
+    const content = [
+      `Deposit: ${tokenAmount} ${selectedToken}`,
+      `Multiplier: x${selectedMultiplier}`,
+      `Slippage tolerance: ${preview.slippage}%`,
+    ];
+    if (preview.deploysContract) {
+      content.push('Your Spotnet contract is deployed in the same transaction');
+    }
+    if (preview.error) {
+      return [...content, `Simulation failed: ${preview.error}`];
+    }
+    return [...content, `Estimated fee: ${formatFee(preview.fee)} ${preview.feeToken}`];
   };
 
+  useEffect(() => {
+    // A preview is only valid for the inputs it was built from
+    setPreview(null);
+  }, [tokenAmount, selectedToken, selectedMultiplier]);
+
   const handleCloseModal = () => {
     setClosePositionOpen(false);
   };
@@ -95,6 +137,19 @@ const Form = () => {
           cancelAction={handleCloseModal}
         />
       )}
+      {isPreviewOpen && preview && (
+        <ActionModal
+          isOpen={isPreviewOpen}
+          title="Confirm Position"
+          subTitle={preview.error ? 'This transaction would fail' : 'Please review your position before signing'}
+          content={getPreviewContent()}
+          cancelLabel="Cancel"
+          submitLabel="Open Position"
+          submitAction={handleConfirmTransaction}
+          cancelAction={() => setPreviewOpen(false)}
+          isSubmitDisabled={!!preview.error}
+        />
+      )}
       <form className="form-container" onSubmit={handleSubmit}>
         <div className="form-title">
           <h1>Please submit your leverage details</h1>
@@ -113,11 +168,16 @@ const Form = () => {
         />
         <div className="token-label">
           <label className="token-amount">Token Amount</label>
-          <input
-            type="number"
-            placeholder="Enter Token Amount"
+          <AmountInput
             value={tokenAmount}
-            onChange={(e) => setTokenAmount(e.target.value)}
+            onChange={setTokenAmount}
+            token={amountToken}
+            balance={balance}
+            maxAmount={maxAmount}
+            error={walletId ? amountError : null}
+            className="form-amount-input"
+            fieldClassName="form-amount-field"
+            placeholder="Enter Token Amount"
           />
         </div>
         <div>
@@ -125,8 +185,18 @@ const Form = () => {
             <p>Estimated Health Factor Level:</p>
             <p>{isHealthFactorLoading ? 'Loading...' : healthFactor}</p>
           </div>
-          <Button variant="secondary" size="lg" type="submit" className="form-button">
-            Submit
+          <PositionRisk risk={risk} selectedToken={selectedToken} isPriceStale={isPriceStale} />
+          <SlippageSettings className="form-slippage-settings" />
+          <GasFee calls={preview?.calls} />
+          <Button
+            variant="secondary"
+            size="lg"
+            type="submit"
+            className="form-button"
+            disabled={isSubmitDisabled}
+            title={isSubmitDisabled ? amountError : undefined}
+          >
+            {isSubmitDisabled ? amountError : 'Submit'}
           </Button>
         </div>
       </form>
@@ -1,7 +1,5 @@
 import React from 'react';
-import UsdIcon from '@/assets/icons/usd_coin.svg?react';
-import StrkIcon from '@/assets/icons/strk.svg?react';
-import EthIcon from '@/assets/icons/ethereum.svg?react';
+import { TOKENS } from '@/utils/tokens';
 
 const Leaderboard = () => {
   const stats = {
@@ -10,11 +8,9 @@ const Leaderboard = () => {
     strgPosition: 89002039,
   };
 
-  const tokenIcon = {
-    STRK: <StrkIcon className="token-icon" />,
-    USDC: <UsdIcon className="token-icon" />,
-    ETH: <EthIcon className="token-icon" />,
-  };
+  const tokenIcon = Object.fromEntries(
+    TOKENS.map(({ symbol, icon: Icon }) => [symbol, <Icon key={symbol} className="token-icon" />])
+  );
 
   const leaderboardData = [
     { id: 1, name: 'Name', address: '0x2326cE85ff591f2aBC3f5c2559...', positions: 98 },
@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import HealthIcon from '@/assets/icons/health.svg?react';
+import AmountInput from '@/components/ui/amount-input/AmountInput';
+import Card from '@/components/ui/card/Card';
+import { Button } from '@/components/ui/custom-button/Button';
+import TokenSelector from '@/components/ui/token-selector/TokenSelector';
+import GasFee from '@/components/vault/gas-fee/GasFee';
+import { useWithdraw, useWithdrawForm } from '@/hooks/useWithdraw';
+import DashboardLayout from '../DashboardLayout';
+import './partialWithdraw.css';
+
+const formatHealthFactor = (healthFactor) => {
+  if (healthFactor === null) return '-';
+  return Number.isFinite(healthFactor) ? healthFactor.toFixed(2) : '∞';
+};
+
+export const PartialWithdraw = () => {
+  const [amount, setAmount] = useState('');
+  const [selectedToken, setSelectedToken] = useState('ETH');
+
+  const { token, heldTokens, balance, healthFactor, healthFactorAfter, error, calls, contractAddress, isLoading } =
+    useWithdrawForm(amount, selectedToken);
+  const { mutate: withdraw, isPending } = useWithdraw();
+
+  // Default to a token the contract actually holds
+  useEffect(() => {
+    if (heldTokens.length && !heldTokens.some(({ symbol }) => symbol === selectedToken)) {
+      setSelectedToken(heldTokens[0].symbol);
+    }
+  }, [heldTokens, selectedToken]);
+
+  const handleWithdraw = () => {
+    withdraw({ tokenSymbol: selectedToken, amount, contractAddress }, { onSuccess: () => setAmount('') });
+  };
+
+  return (
+    <DashboardLayout title="Withdraw">
+      <div className="partial-withdraw-cards">
+        <Card label="Health Factor" value={formatHealthFactor(healthFactor)} icon={<HealthIcon className="icon" />} />
+        <Card
+          label="After Withdraw"
+          value={amount ? formatHealthFactor(healthFactorAfter) : '-'}
+          icon={<HealthIcon className="icon" />}
+        />
+      </div>
+      <p className="partial-withdraw-info">
+        Withdraw collateral supplied by your Spotnet contract without closing the position.
+      </p>
+      {heldTokens.length > 0 && (
+        <TokenSelector
+          selectedToken={selectedToken}
+          setSelectedToken={setSelectedToken}
+          tokens={heldTokens}
+          className="partial-withdraw-token-selector"
+        />
+      )}
+      <AmountInput
+        value={amount}
+        onChange={setAmount}
+        token={token}
+        balance={balance}
+        maxAmount={balance}
+        error={error}
+        fieldClassName="partial-withdraw-amount"
+        inputClassName="partial-withdraw-amount-field"
+        disabled={isPending || isLoading}
+      >
+        <span className="partial-withdraw-currency">{selectedToken}</span>
+      </AmountInput>
+      <GasFee calls={calls} />
+      <Button
+        size="lg"
+        className="partial-withdraw-btn"
+        variant="primary"
+        onClick={handleWithdraw}
+        disabled={isPending || isLoading || !!error}
+        title={error || undefined}
+      >
+        {isPending ? 'Processing...' : error || 'Withdraw'}
+      </Button>
+    </DashboardLayout>
+  );
+};
@@ -1,14 +1,16 @@
 import EthIcon from '@/assets/icons/ethereum.svg?react';
 import filterIcon from '@/assets/icons/filter-horizontal.svg';
 import HealthIcon from '@/assets/icons/health.svg?react';
-import StrkIcon from '@/assets/icons/strk.svg?react';
-import UsdIcon from '@/assets/icons/usd_coin.svg?react';
 import Card from '@/components/ui/card/Card';
 import Spinner from '@/components/ui/spinner/Spinner';
 import useDashboardData from '@/hooks/useDashboardData';
 import { usePositionHistoryTable } from '@/hooks/usePositionHistory';
+import { useUserContract } from '@/hooks/useUserContract';
 import PositionHistoryModal from '@/pages/position-history/PositionHistoryModal';
 import PositionPagination from '@/pages/position-history/PositionPagination';
+import { getContractUrl, resolveExplorer } from '@/services/explorer';
+import { useExplorerSettingsStore } from '@/stores/useExplorerSettingsStore';
+import { TOKENS } from '@/utils/tokens';
 import { useState } from 'react';
 import DashboardLayout from '../DashboardLayout';
 import './positionHistory.css';
@@ -20,12 +22,12 @@ function PositionHistory() {
 
   const { data: tableData, isPending } = usePositionHistoryTable(currentPage, positionsOnPage);
   const { data: cardData } = useDashboardData();
+  const { contractAddress } = useUserContract();
+  const explorer = resolveExplorer(useExplorerSettingsStore());
 
-  const tokenIconMap = {
-    STRK: <StrkIcon className="token-icon" />,
-    USDC: <UsdIcon className="token-icon" />,
-    ETH: <EthIcon className="token-icon" />,
-  };
+  const tokenIconMap = Object.fromEntries(
+    TOKENS.map(({ symbol, icon: Icon }) => [symbol, <Icon key={symbol} className="token-icon" />])
+  );
 
   const statusStyles = {
     opened: 'status-opened',
@@ -45,6 +47,16 @@ function PositionHistory() {
       <div className="position-content-table">
         <div className="position-table-title">
           <p>Position History</p>
+          {contractAddress && explorer && (
+            <a
+              className="position-explorer-link"
+              href={getContractUrl(contractAddress)}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              View contract on {explorer.name}
+            </a>
+          )}
         </div>
 
         <div className="position-table">
@@ -1,6 +1,7 @@
 import BalanceCards from '@/components/ui/balance-cards/BalanceCards';
 import { Button } from '@/components/ui/custom-button/Button';
-import useWithdrawAll from '@/hooks/useWithdrawAll';
+import useWithdrawAll, { useWithdrawAllCalls } from '@/hooks/useWithdrawAll';
+import GasFee from '@/components/vault/gas-fee/GasFee';
 import { useWalletStore } from '@/stores/useWalletStore';
 import './withdraw_all.css';
 
@@ -11,6 +12,7 @@ import './withdraw_all.css';
 const WithdrawAll = () => {
   const { walletId } = useWalletStore();
   const { withdrawAll, isLoading } = useWithdrawAll();
+  const withdrawAllCalls = useWithdrawAllCalls(walletId);
 
   const handleWithdrawAll = () => {
     withdrawAll(walletId);
@@ -28,6 +30,7 @@ const WithdrawAll = () => {
           Clicking on the `Withdraw All` button means you are agreeing to close all positions and get all tokens
           transferred to your wallet.
         </div>
+        <GasFee calls={withdrawAllCalls} />
         <Button
           variant="primary"
           className="withdraw-all-btn"
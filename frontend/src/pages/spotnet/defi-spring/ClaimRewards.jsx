@@ -0,0 +1,56 @@
+import { Button } from '@/components/ui/custom-button/Button';
+import { useClaimRewards, useDefiSpringRewards } from '@/hooks/useDefiSpringRewards';
+import { useWalletStore } from '@/stores/useWalletStore';
+import { formatAmount } from '@/utils/amount';
+import { getToken } from '@/utils/tokens';
+
+const STRK = getToken('STRK');
+
+const getStatusText = ({ walletId, isLoading, isError, claims }) => {
+  if (!walletId) return 'Connect your wallet to see your rewards.';
+  if (isLoading) return 'Loading your rewards...';
+  if (isError) return 'Rewards are unavailable right now, please try again later.';
+  if (!claims.length) return 'You have no rewards to claim yet.';
+  return null;
+};
+
+export const ClaimRewards = () => {
+  const walletId = useWalletStore((state) => state.walletId);
+  const { claims, claimableAmount, unclaimableAmount, isLoading, isError } = useDefiSpringRewards();
+  const { claimRewards, isClaiming, canClaim } = useClaimRewards();
+
+  const statusText = getStatusText({ walletId, isLoading, isError, claims });
+
+  return (
+    <section
+      id="claim"
+      className="border border-[#36294E] rounded-lg py-[16px] px-[24px] mb-8 flex flex-col md:flex-row md:items-center justify-between gap-4"
+    >
+      <div>
+        <div className="text-[14px] text-gray-400">Your claimable rewards</div>
+        <div className="text-[24px] font-bold text-[#F0F0F0]">
+          {formatAmount(claimableAmount, STRK.decimals)} {STRK.symbol}
+        </div>
+        <p className="text-[14px] text-gray-400 mt-1">
+          Half of each reward goes to the Spotnet treasury. Your share is added to your position as zkLend collateral,
+          not sent to your wallet.
+        </p>
+        {statusText && <p className="text-[14px] text-gray-400 mt-1">{statusText}</p>}
+        {unclaimableAmount > 0n && (
+          <p className="text-[14px] text-gray-400 mt-1">
+            {formatAmount(unclaimableAmount, STRK.decimals)} {STRK.symbol} is not claimable yet.
+          </p>
+        )}
+      </div>
+      <Button
+        variant="primary"
+        size="md"
+        type="button"
+        onClick={() => claimRewards()}
+        disabled={!canClaim || isClaiming}
+      >
+        {isClaiming ? 'Claiming...' : 'Claim rewards'}
+      </Button>
+    </section>
+  );
+};
@@ -2,6 +2,7 @@ import React, { useEffect } from 'react';
 import ScrollButton from '@/components/ui/scroll-button/ScrollButton';
 import Sections from '@/components/layout/sections/Sections';
 import Sidebar from '@/components/layout/sidebar/Sidebar';
+import { ClaimRewards } from './ClaimRewards';
 
 export const DefiSpringPage = () => {
   useEffect(() => {
@@ -59,7 +60,7 @@ export const DefiSpringPage = () => {
           type: 'list',
           items: [
             'Reward Phases: Rewards are earned in phases, each lasting from Thursday to Wednesday. After each phase ends, it will take about 1 day for the rewards to be claimable.',
-            'Reward Claims: Rewards can be claimed via zkLend Rewards.',
+            'Reward Claims: Rewards earned by your Spotnet position can be claimed at the top of this page, half of each claim goes to the Spotnet treasury and the rest is added to your position as STRK collateral.',
             'Accrued Rewards: The total rewards earned will be visible at the end of the program. You can claim your rewards all at once at that time.',
             'Final Claim Deadline: Be sure to claim your rewards before the DeFi Spring program ends. Any unclaimed rewards will be returned to the Starknet Foundation.',
           ],
@@ -105,6 +106,7 @@ export const DefiSpringPage = () => {
       <div className="ml-4 flex-1 relative min-h-screen px-7 md:px-4 py-6 md:py-12">
         <h1 className="text-white text-3xl font-bold mt-16 mb-8">DeFi Spring Documentation</h1>
         <div className="ml-8">
+          <ClaimRewards />
           <Sections sections={sectionsData} />
         </div>
       </div>
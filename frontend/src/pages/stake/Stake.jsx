@@ -5,10 +5,12 @@ import USDCc from '@/assets/icons/apy_icon.svg';
 import { VaultLayout } from '@/components/vault/VaultLayout';
 import { cn } from '@/utils/cn';
 import GasFee from '@/components/vault/gas-fee/GasFee';
+import AmountInput from '@/components/ui/amount-input/AmountInput';
+import { useAmountInput } from '@/hooks/useAmountInput';
 
 function Stake() {
   const [selectedNetwork, setSelectedNetwork] = useState('Starknet');
-  const [amount, setAmount] = useState('0');
+  const [amount, setAmount] = useState('');
   const [showDrop, setShowDrop] = useState(false);
 
   const networks = [
@@ -18,13 +20,7 @@ function Stake() {
     setSelectedNetwork(network.name);
   };
 
-  const handleAmountChange = (e) => {
-    const value = e.target.value;
-    const regex = /^\d*\.?\d*$/;
-    if (regex.test(value)) {
-      setAmount(value);
-    }
-  };
+  const { token, balance, maxAmount, error: amountError } = useAmountInput(amount, 'STRK');
   return (
     <VaultLayout>
       <div className="w-screen h-full  min-h-screen p-[7%]  2xl:h-screen flex flex-col justify-center items-center lg:ml-32">
@@ -94,22 +90,19 @@ function Stake() {
               </div>
 
               <div
-                className="w h-[158px] flex flex-row justify-center items-center my-15"
+                className="w min-h-[158px] flex flex-row justify-center items-center my-15"
                 aria-labelledby="amount-input-label"
               >
-                <label className="w-full text-[#393942] min-w-[142px] max-w-[140px]  font-semibold flex flex-col  justify-center gap-3 ">
-                  <input
-                    type="text"
-                    id="amount-field"
+                <label className="w-full text-[#393942] min-w-[142px] max-w-[260px]  font-semibold flex flex-col  justify-center gap-3 ">
+                  <AmountInput
                     value={amount}
-                    onChange={handleAmountChange}
-                    pattern="^\d*\.?\d*$"
-                    className="amount-field  bg-transparent border-none text-[#83919f] text-[64px] font-semibold outline-none text-center w-full "
-                    aria-describedby="currency-symbol"
-                    placeholder="0.00"
-                    style={{
-                      fontSize: '64px',
-                    }}
+                    onChange={setAmount}
+                    token={token}
+                    balance={balance}
+                    maxAmount={maxAmount}
+                    error={amountError}
+                    fieldClassName="w-full"
+                    inputClassName="amount-field  bg-transparent border-none text-[#83919f] text-[64px] font-semibold outline-none text-center w-full "
                   />
                   <h3 className="font-semibold text-sm text-center">$0.00 APY / year</h3>
                 </label>
@@ -121,8 +114,12 @@ function Stake() {
             </div>
             <div class="relative p-[1px] rounded-lg bg-gradient-to-r from-[#74d6fd] to-[#e01dee] mb-5 mt-5 
 hover:from-[#e01dee] hover:to-[#74d6fd] transition duration-100 ease-in-out ">
-              <button class="w-full h-full bg-[rgb(18,7,33)] text-white px-4 py-4 rounded-lg font-semibold cursor-pointer">
-                Stake
+              <button
+                class="w-full h-full bg-[rgb(18,7,33)] text-white px-4 py-4 rounded-lg font-semibold cursor-pointer disabled:cursor-not-allowed disabled:opacity-50"
+                disabled={!!amountError}
+                title={amountError || undefined}
+              >
+                {amountError || 'Stake'}
               </button>
             </div>
           </div>
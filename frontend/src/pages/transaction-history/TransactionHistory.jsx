@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import Spinner from '@/components/ui/spinner/Spinner';
+import { useTransactionHistory } from '@/hooks/useTransactionHistory';
+import { getTxUrl, resolveExplorer } from '@/services/explorer';
+import { HISTORY_TYPE_LABELS } from '@/services/transactionHistory';
+import { TRANSACTION_STATUS } from '@/services/transactionTracker';
+import { useExplorerSettingsStore } from '@/stores/useExplorerSettingsStore';
+import { cn } from '@/utils/cn';
+import { formatDate } from '@/utils/formatDate';
+import DashboardLayout from '../DashboardLayout';
+import './transactionHistory.css';
+
+const STATUS_LABELS = {
+  [TRANSACTION_STATUS.PENDING]: 'Pending',
+  [TRANSACTION_STATUS.ACCEPTED_ON_L2]: 'Confirmed',
+  [TRANSACTION_STATUS.REVERTED]: 'Reverted',
+  [TRANSACTION_STATUS.REJECTED]: 'Rejected',
+  [TRANSACTION_STATUS.TIMEOUT]: 'Unconfirmed',
+};
+
+const SOURCE_LABELS = {
+  chain: 'contract events',
+  backend: 'Spotnet records',
+};
+
+const shortenHash = (hash) => `${hash.slice(0, 6)}...${hash.slice(-4)}`;
+
+function TransactionHistory() {
+  const [typeFilter, setTypeFilter] = useState(null);
+  const { transactions, failedSources, isLoading, isError } = useTransactionHistory(typeFilter);
+  const explorer = resolveExplorer(useExplorerSettingsStore());
+
+  return (
+    <DashboardLayout title="Transaction History">
+      <div className="transaction-history">
+        <div className="transaction-filters" role="group" aria-label="Filter by type">
+          {[[null, 'All'], ...Object.entries(HISTORY_TYPE_LABELS)].map(([type, label]) => (
+            <button
+              key={label}
+              type="button"
+              className={cn('transaction-filter', typeFilter === type && 'active')}
+              onClick={() => setTypeFilter(type)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {failedSources.length > 0 && (
+          <p className="transaction-history-warning">
+            Could not load {failedSources.map((source) => SOURCE_LABELS[source]).join(' and ')}, some transactions may
+            be missing.
+          </p>
+        )}
+
+        <div className="transaction-table">
+          {isLoading ? (
+            <div className="spinner-container">
+              <Spinner loading={isLoading} />
+            </div>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Date</th>
+                  <th>Status</th>
+                  <th>Transaction</th>
+                </tr>
+              </thead>
+              <tbody>
+                {isError || transactions.length === 0 ? (
+                  <tr>
+                    <td colSpan="5">{isError ? 'Transaction history is unavailable' : 'No transactions'}</td>
+                  </tr>
+                ) : (
+                  transactions.map((transaction) => (
+                    <tr key={transaction.hash}>
+                      <td>{HISTORY_TYPE_LABELS[transaction.type] || transaction.type}</td>
+                      <td>
+                        {transaction.amounts.length
+                          ? transaction.amounts.map(({ tokenSymbol, amount }) => `${amount} ${tokenSymbol}`).join(', ')
+                          : '-'}
+                      </td>
+                      <td>{transaction.timestamp ? formatDate(transaction.timestamp) : '-'}</td>
+                      <td className={cn('transaction-status', `transaction-status-${transaction.status}`)}>
+                        {STATUS_LABELS[transaction.status] || transaction.status}
+                      </td>
+                      <td>
+                        {explorer ? (
+                          <a
+                            className="transaction-link"
+                            href={getTxUrl(transaction.hash)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title={`View on ${explorer.name}`}
+                          >
+                            {shortenHash(transaction.hash)}
+                          </a>
+                        ) : (
+                          shortenHash(transaction.hash)
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+}
+
+export default TransactionHistory;
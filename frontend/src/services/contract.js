@@ -1,7 +1,103 @@
+import { constants, hash } from 'starknet';
 import { getWallet } from './wallet';
-import { getDeployContractData } from '../utils/constants';
+import { getReadProvider } from './provider';
+import { recordConfirmedTransaction, TRANSACTION_KIND } from './transactionTracker';
+import { CLASS_HASH, CONTRACT_RELEASES, getDeployContractData, SUPERSEDED_CLASS_HASHES } from '../utils/constants';
 import { axiosInstance } from '../utils/axios';
+import { isSameAddress } from '../utils/address';
 import { notify, ToastWithLink } from '../components/layout/notifier/Notifier';
+import { getContractUrl } from './explorer';
+
+// Deployed through the UDC with `unique: false`, so the deployer does not take part in the address.
+// `classHash` defaults to the class new contracts are deployed from
+export function precomputeContractAddress(walletId, classHash) {
+  const { classHash: latestClassHash, salt, constructorCalldata } = getDeployContractData(walletId);
+  return hash.calculateContractAddressFromHash(salt, classHash || latestClassHash, constructorCalldata, 0);
+}
+
+// UDC call deploying the contract of `walletId`, lets the deployment share a multicall with its first position
+export function buildDeployContractCall(walletId) {
+  const { classHash, salt, unique, constructorCalldata } = getDeployContractData(walletId);
+  return {
+    contractAddress: constants.UDC.ADDRESS,
+    entrypoint: constants.UDC.ENTRYPOINT,
+    calldata: [classHash, salt, unique ? '0x1' : '0x0', constructorCalldata.length, ...constructorCalldata],
+  };
+}
+
+export async function isContractDeployed(contractAddress, provider = getReadProvider()) {
+  try {
+    await provider.getClassHashAt(contractAddress);
+    return true;
+  } catch (error) {
+    if (/contract not found/i.test(error?.message)) return false;
+    throw error;
+  }
+}
+
+// Class hashes are compared as numbers, RPC nodes may drop the leading zeros
+export const isSameClassHash = (classHash, otherClassHash) => BigInt(classHash) === BigInt(otherClassHash);
+
+export async function fetchContractOwner(contractAddress, provider = getReadProvider()) {
+  const [owner] = await provider.callContract({ contractAddress, entrypoint: 'owner', calldata: [] });
+  return owner;
+}
+
+// Owner and pending owner of a two-step ownership transfer, `pendingOwner` is null when no transfer was started
+export async function fetchContractOwnership(contractAddress, provider = getReadProvider()) {
+  try {
+    const [owner, [pendingOwner]] = await Promise.all([
+      fetchContractOwner(contractAddress, provider),
+      provider.callContract({ contractAddress, entrypoint: 'pending_owner', calldata: [] }),
+    ]);
+    return { owner, pendingOwner: BigInt(pendingOwner) === 0n ? null : pendingOwner };
+  } catch (error) {
+    console.error('Error fetching contract ownership:', error);
+    throw error;
+  }
+}
+
+// Position of the release `classHash` belongs to in CONTRACT_RELEASES, -1 for an unknown class
+const findReleaseIndex = (classHash) =>
+  classHash ? CONTRACT_RELEASES.findIndex((release) => isSameClassHash(release.classHash, classHash)) : -1;
+
+/**
+ * Reads the class run by the user contract. An upgrade to the class new contracts are deployed from is only
+ * offered when the contract runs an older known release, and only the owner can submit it. `changelog` lists
+ * the releases the upgrade brings.
+ */
+export async function fetchContractUpgradeStatus(contractAddress, walletId, provider = getReadProvider()) {
+  try {
+    const [classHash, owner] = await Promise.all([
+      provider.getClassHashAt(contractAddress),
+      fetchContractOwner(contractAddress, provider),
+    ]);
+
+    const releaseIndex = findReleaseIndex(classHash);
+    const latestIndex = findReleaseIndex(CLASS_HASH);
+    const isUpgradeAvailable = releaseIndex !== -1 && latestIndex > releaseIndex;
+
+    return {
+      classHash,
+      latestClassHash: CLASS_HASH,
+      version: CONTRACT_RELEASES[releaseIndex]?.version || null,
+      latestVersion: CONTRACT_RELEASES[latestIndex]?.version || null,
+      changelog: isUpgradeAvailable ? CONTRACT_RELEASES.slice(releaseIndex + 1, latestIndex + 1) : [],
+      isUpgradeAvailable,
+      isOwner: isSameAddress(owner, walletId),
+    };
+  } catch (error) {
+    console.error('Error fetching contract class:', error);
+    throw error;
+  }
+}
+
+export async function registerUserContract(walletId, contractAddress) {
+  await axiosInstance.post(`/api/update-user-contract`, {
+    wallet_id: walletId,
+    contract_address: contractAddress,
+  });
+}
 
 export async function deployContract(walletId) {
   try {
@@ -16,6 +112,7 @@ export async function deployContract(walletId) {
     const result = await wallet.account.deployContract(deployContractTransaction);
     console.log('Contract deployed successfully:', result);
     await wallet.account.waitForTransaction(result.transaction_hash);
+    recordConfirmedTransaction(result.transaction_hash, TRANSACTION_KIND.DEPLOY);
     return {
       transactionHash: result.transaction_hash,
       contractAddress: result.contract_address,
@@ -26,37 +123,55 @@ export async function deployContract(walletId) {
   }
 }
 
+/**
+ * Makes sure the backend knows the contract of `walletId` if it exists. A contract found on-chain at the
+ * precomputed address of the current or a superseded class, e.g. deployed during a visit whose backend update
+ * failed, is registered instead of being deployed a second time. Resolves `{ isDeployed, contractAddress }`,
+ * where the address is only known when it was computed here.
+ */
+export async function prepareUserContract(walletId) {
+  const response = await axiosInstance.get(`/api/check-user?wallet_id=${walletId}`);
+  if (response.data.is_contract_deployed) {
+    return { isDeployed: true, contractAddress: null };
+  }
+
+  const contractAddress = precomputeContractAddress(walletId);
+  const candidates = [
+    contractAddress,
+    ...SUPERSEDED_CLASS_HASHES.map((classHash) => precomputeContractAddress(walletId, classHash)),
+  ];
+  const deployed = await Promise.all(candidates.map((candidate) => isContractDeployed(candidate)));
+  const existingAddress = candidates.find((_, index) => deployed[index]);
+
+  if (existingAddress) {
+    await registerUserContract(walletId, existingAddress);
+    notify(ToastWithLink('Existing contract recovered', getContractUrl(existingAddress), 'View contract'), 'success');
+    return { isDeployed: true, contractAddress: existingAddress };
+  }
+
+  return { isDeployed: false, contractAddress };
+}
+
+// Deploys the contract of `walletId` on its own transaction unless it exists, throws when it could not be deployed or registered
 export async function checkAndDeployContract(walletId) {
   try {
-    console.log('Checking if contract is deployed for wallet ID:', walletId);
-    const response = await axiosInstance.get(`/api/check-user?wallet_id=${walletId}`);
-    console.log('Backend response:', response.data);
-
-    if (!response.data.is_contract_deployed) {
-      console.log('Contract not deployed. Deploying...');
-      const result = await deployContract(walletId);
-      const contractAddress = result.contractAddress;
-
-      notify(
-        ToastWithLink(
-          'Contract Deployed Successfully',
-          `https://starkscan.co/tx/${result.transactionHash}`,
-          'Transaction ID'
-        ),
-        'success'
-      );
-      console.log('Contract address:', contractAddress);
-
-      // Update the backend with transaction hash and wallet ID
-      await axiosInstance.post(`/api/update-user-contract`, {
-        wallet_id: walletId,
-        contract_address: contractAddress,
-      });
-      console.log('Backend updated with deployment information.');
-    } else {
-      console.log('Contract is already deployed for wallet ID:', walletId);
-    }
+    const { isDeployed } = await prepareUserContract(walletId);
+    if (isDeployed) return;
+
+    console.log('Contract not deployed. Deploying...');
+    const { contractAddress } = await deployContract(walletId);
+
+    notify(
+      ToastWithLink('Contract Deployed Successfully', getContractUrl(contractAddress), 'View contract'),
+      'success'
+    );
+    console.log('Contract address:', contractAddress);
+
+    // Update the backend with transaction hash and wallet ID
+    await registerUserContract(walletId, contractAddress);
+    console.log('Backend updated with deployment information.');
   } catch (error) {
     console.error('Error checking contract status:', error);
+    throw error;
   }
 }
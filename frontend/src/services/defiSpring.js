@@ -0,0 +1,50 @@
+import { axiosInstance } from '../utils/axios';
+import { decodeReceiptEvents } from './events';
+import { isClaimableReward, sendClaimRewardTransaction } from './transaction';
+
+/**
+ * Fetches the unclaimed DeFi Spring rewards of the wallet's Spotnet contract, each with the
+ * claim data and Merkle proof expected by `claim_reward`. A wallet without a deployed contract
+ * has nothing to claim.
+ */
+export async function fetchDefiSpringRewards(walletId) {
+  try {
+    const { data } = await axiosInstance.get(`/api/defispring-rewards?wallet_id=${walletId}`);
+    return data.airdrops;
+  } catch (error) {
+    if (error.response?.status === 404) return [];
+    console.error('Error fetching DeFi Spring rewards:', error);
+    throw error;
+  }
+}
+
+// claim_reward sends half of each claim (rounded up) to the treasury and deposits the rest into the position
+export const getUserRewardAmount = (amount) => BigInt(amount) / 2n;
+
+// STRK of the given claims the user keeps, in base units
+export const getUserClaimableAmount = (claims) =>
+  claims.reduce((total, { amount }) => total + getUserRewardAmount(amount), 0n);
+
+// Splits the rewards into the ones `claim_reward` accepts and the ones still missing their claim data
+export const splitClaimableRewards = (claims) => ({
+  claimable: claims.filter(isClaimableReward),
+  unclaimable: claims.filter((claim) => !isClaimableReward(claim)),
+});
+
+/**
+ * Claims every claimable reward through the user contract in one transaction and reads the
+ * STRK the user received from the RewardClaimed events of the receipt.
+ */
+export async function claimDefiSpringRewards(claims, userContractAddress) {
+  const { claimable } = splitClaimableRewards(claims);
+  if (!claimable.length) {
+    throw new Error('No rewards to claim');
+  }
+
+  const { transaction_hash, receipt } = await sendClaimRewardTransaction(claimable, userContractAddress);
+  const claimedAmount = decodeReceiptEvents(receipt, userContractAddress)
+    .filter(({ name }) => name === 'RewardClaimed')
+    .reduce((total, { userAmount }) => total + userAmount.units, 0n);
+
+  return { transactionHash: transaction_hash, claimedAmount };
+}
@@ -0,0 +1,161 @@
+import { hash } from 'starknet';
+import { abi } from '../abis/abi';
+import { formatAmount, fromU256 } from '../utils/amount';
+import { getTokenByAddress, STRK_ADDRESS } from '../utils/tokens';
+
+const DEPOSIT_EVENT_ENUM = 'spotnet::deposit::Deposit::Event';
+const EVENTS_CHUNK_SIZE = 100;
+
+export const DEPOSIT_EVENTS = ['LiquidityLooped', 'PositionClosed', 'Withdraw', 'ExtraDeposit', 'RewardClaimed'];
+
+// Struct definitions of the Deposit events, keyed by variant name
+const eventDefinitions = Object.fromEntries(
+  abi
+    .find(({ type, name }) => type === 'event' && name === DEPOSIT_EVENT_ENUM)
+    .variants.filter(({ name }) => DEPOSIT_EVENTS.includes(name))
+    .map(({ name, type }) => [name, abi.find((item) => item.type === 'event' && item.name === type)])
+);
+
+const selectorToEvent = Object.fromEntries(
+  DEPOSIT_EVENTS.map((name) => [BigInt(hash.getSelectorFromName(name)), name])
+);
+
+export const getEventSelector = (name) => hash.getSelectorFromName(name);
+
+/**
+ * Amount of `units` of the token at `tokenAddress`. `amount` is the exact decimal string,
+ * symbol, decimals and amount are null when the token is not in the registry.
+ */
+export const toTokenAmount = (tokenAddress, units) => {
+  const token = getTokenByAddress(tokenAddress);
+  return {
+    tokenAddress,
+    tokenSymbol: token?.symbol ?? null,
+    decimals: token?.decimals ?? null,
+    units,
+    amount: token ? formatAmount(units, token.decimals, { precision: token.decimals, trimZeros: true }) : null,
+  };
+};
+
+// Turns the decoded struct members of each event into named token amounts
+const EVENT_FIELDS = {
+  LiquidityLooped: ({ initial_amount, deposited, token_deposit, borrowed, token_borrowed }) => ({
+    initialAmount: toTokenAmount(token_deposit, initial_amount),
+    deposited: toTokenAmount(token_deposit, deposited),
+    borrowed: toTokenAmount(token_borrowed, borrowed),
+  }),
+  PositionClosed: ({ deposit_token, debt_token, withdrawn_amount, repaid_amount }) => ({
+    withdrawn: toTokenAmount(deposit_token, withdrawn_amount),
+    repaid: toTokenAmount(debt_token, repaid_amount),
+  }),
+  Withdraw: ({ token, amount }) => ({
+    amount: toTokenAmount(token, amount),
+  }),
+  ExtraDeposit: ({ token, amount, depositor }) => ({
+    amount: toTokenAmount(token, amount),
+    depositor,
+  }),
+  // DeFi Spring rewards are paid in STRK
+  RewardClaimed: ({ treasury_amount, user_amount }) => ({
+    userAmount: toTokenAmount(STRK_ADDRESS, user_amount),
+    treasuryAmount: toTokenAmount(STRK_ADDRESS, treasury_amount),
+  }),
+};
+
+const readMember = (type, felts) => {
+  if (type === 'core::integer::u256') {
+    const [low, high] = felts.splice(0, 2);
+    return fromU256(low, high);
+  }
+  if (type.startsWith('core::integer::')) {
+    return BigInt(felts.shift());
+  }
+  return felts.shift();
+};
+
+const decodeMembers = (name, event) => {
+  const keys = event.keys.slice(1);
+  const data = [...event.data];
+  return Object.fromEntries(
+    eventDefinitions[name].members.map(({ name: member, type, kind }) => [
+      member,
+      readMember(type, kind === 'key' ? keys : data),
+    ])
+  );
+};
+
+/**
+ * Decodes a raw Deposit contract event into a typed object:
+ * - LiquidityLooped: `{ initialAmount, deposited, borrowed }`
+ * - PositionClosed: `{ withdrawn, repaid }`
+ * - Withdraw: `{ amount }`
+ * - ExtraDeposit: `{ amount, depositor }`
+ * - RewardClaimed: `{ userAmount, treasuryAmount }`
+ *
+ * Amounts have the shape returned by `toTokenAmount`, every object also carries `name`,
+ * `transactionHash` and `blockNumber`. Returns null for events that are not one of DEPOSIT_EVENTS.
+ */
+export function decodeDepositEvent(event) {
+  const name = selectorToEvent[BigInt(event.keys[0])];
+  if (!name) return null;
+
+  return {
+    name,
+    transactionHash: event.transaction_hash,
+    blockNumber: event.block_number,
+    ...EVENT_FIELDS[name](decodeMembers(name, event)),
+  };
+}
+
+const isFromContract = (event, contractAddress) =>
+  !contractAddress || BigInt(event.from_address) === BigInt(contractAddress);
+
+/**
+ * Decodes the Deposit events among `events`, skipping events emitted by other contracts
+ * (tokens, zkLend, Ekubo) when `contractAddress` is given.
+ */
+export const decodeDepositEvents = (events, contractAddress) =>
+  events
+    .filter((event) => isFromContract(event, contractAddress))
+    .map(decodeDepositEvent)
+    .filter(Boolean);
+
+// Receipt events do not repeat the transaction they belong to
+export const decodeReceiptEvents = (receipt, contractAddress) =>
+  decodeDepositEvents(
+    (receipt.events || []).map((event) => ({
+      ...event,
+      transaction_hash: receipt.transaction_hash,
+      block_number: receipt.block_number,
+    })),
+    contractAddress
+  );
+
+export const decodeEventsPage = (page, contractAddress) => ({
+  events: decodeDepositEvents(page.events, contractAddress),
+  continuationToken: page.continuation_token,
+});
+
+/**
+ * Pages through every Deposit event emitted by `contractAddress`.
+ */
+export async function fetchDepositEvents(provider, contractAddress, { fromBlock = 0, names = DEPOSIT_EVENTS } = {}) {
+  const events = [];
+  let continuationToken;
+
+  do {
+    const page = await provider.getEvents({
+      address: contractAddress,
+      from_block: { block_number: fromBlock },
+      to_block: 'latest',
+      keys: [names.map(getEventSelector)],
+      chunk_size: EVENTS_CHUNK_SIZE,
+      continuation_token: continuationToken,
+    });
+    const decoded = decodeEventsPage(page, contractAddress);
+    events.push(...decoded.events);
+    continuationToken = decoded.continuationToken;
+  } while (continuationToken);
+
+  return events;
+}
@@ -0,0 +1,44 @@
+import { useExplorerSettingsStore } from '../stores/useExplorerSettingsStore';
+import { NETWORK } from '../utils/networks';
+
+export const EXPLORERS = {
+  starkscan: { name: 'Starkscan', paths: { tx: 'tx', contract: 'contract' } },
+  voyager: { name: 'Voyager', paths: { tx: 'tx', contract: 'contract' } },
+  // Custom explorers are expected to follow the Starkscan / Voyager URL layout
+  custom: { name: 'Custom', paths: { tx: 'tx', contract: 'contract' } },
+};
+
+const DEFAULT_EXPLORER_ORDER = ['custom', 'starkscan', 'voyager'];
+
+// Explorers usable on `network`, a custom URL from the settings is available on every network
+export const getAvailableExplorers = (network = NETWORK) =>
+  Object.keys(EXPLORERS).filter((id) => id === 'custom' || network.explorers[id]);
+
+/**
+ * Picks the explorer links point to: the one chosen in the settings when the network supports it,
+ * otherwise the network default. Returns null when no explorer is available (e.g. on a local devnet).
+ */
+export const resolveExplorer = (settings = useExplorerSettingsStore.getState(), network = NETWORK) => {
+  const { explorer, customExplorerUrl } = settings;
+  const baseUrls =
+    explorer === 'custom' && customExplorerUrl
+      ? { ...network.explorers, custom: customExplorerUrl }
+      : network.explorers;
+
+  const id = baseUrls[explorer] ? explorer : DEFAULT_EXPLORER_ORDER.find((candidate) => baseUrls[candidate]);
+  if (!id) return null;
+
+  return { id, name: EXPLORERS[id].name, baseUrl: baseUrls[id].replace(/\/+$/, ''), paths: EXPLORERS[id].paths };
+};
+
+const buildExplorerUrl = (type, value) => {
+  const explorer = resolveExplorer();
+  return explorer && value ? `${explorer.baseUrl}/${explorer.paths[type]}/${value}` : null;
+};
+
+export const getTxUrl = (transactionHash) => buildExplorerUrl('tx', transactionHash);
+
+export const getContractUrl = (contractAddress) => buildExplorerUrl('contract', contractAddress);
+
+// Starknet accounts are contracts, explorers show wallets on the contract page
+export const getAddressUrl = (address) => buildExplorerUrl('contract', address);
@@ -0,0 +1,63 @@
+import { getWallet } from './wallet';
+import { useFeeSettingsStore } from '../stores/useFeeSettingsStore';
+
+// ETH fees are paid with v1 transactions, STRK fees with v3 transactions
+export const FEE_TOKEN_VERSIONS = {
+  ETH: 1,
+  STRK: 3,
+};
+
+export const MAX_FEE_MULTIPLIERS = [1, 1.25, 1.5, 2];
+
+const FEE_DECIMALS = 18;
+
+const toHex = (value) => `0x${value.toString(16)}`;
+
+export function applyMultiplier(value, multiplier) {
+  return (BigInt(value) * BigInt(Math.round(multiplier * 100))) / 100n;
+}
+
+export function formatFee(fee, precision = 6) {
+  if (fee === null || fee === undefined) return '0.00';
+  return (Number(fee) / 10 ** FEE_DECIMALS).toFixed(precision);
+}
+
+export async function estimateFee(calls, feeToken = useFeeSettingsStore.getState().feeToken) {
+  const wallet = await getWallet();
+  return await wallet.account.estimateInvokeFee(calls, { version: FEE_TOKEN_VERSIONS[feeToken] });
+}
+
+/**
+ * Builds the transaction details passed to `account.execute` from a fee estimate and the user's
+ * fee settings. Without an estimate only the transaction version is set and the wallet decides the fee.
+ */
+export function getExecutionDetails(estimate, { feeToken, maxFeeMultiplier }) {
+  const version = FEE_TOKEN_VERSIONS[feeToken];
+  if (!estimate) return { version };
+
+  if (version === FEE_TOKEN_VERSIONS.STRK && estimate.resourceBounds) {
+    const { l1_gas, l2_gas } = estimate.resourceBounds;
+    return {
+      version,
+      resourceBounds: {
+        l1_gas: { ...l1_gas, max_amount: toHex(applyMultiplier(l1_gas.max_amount, maxFeeMultiplier)) },
+        l2_gas,
+      },
+    };
+  }
+
+  return { version, maxFee: applyMultiplier(estimate.overall_fee, maxFeeMultiplier) };
+}
+
+export async function executeWithFeeSettings(wallet, calls) {
+  const feeSettings = useFeeSettingsStore.getState();
+
+  let estimate = null;
+  try {
+    estimate = await wallet.account.estimateInvokeFee(calls, { version: FEE_TOKEN_VERSIONS[feeSettings.feeToken] });
+  } catch (error) {
+    console.error('Error estimating fee:', error);
+  }
+
+  return await wallet.account.execute(calls, getExecutionDetails(estimate, feeSettings));
+}
@@ -0,0 +1,108 @@
+import { axiosInstance } from '../utils/axios';
+import { useWalletStore } from '../stores/useWalletStore';
+import { useTransactionStore } from '../stores/useTransactionStore';
+import { trackTransaction, TRANSACTION_KIND, TRANSACTION_STATUS } from './transactionTracker';
+import { getReadProvider } from './provider';
+import { registerUserContract } from './contract';
+import { notify } from '../components/layout/notifier/Notifier';
+
+// Operation kinds double as the kind of their tracked transaction
+export const OPERATION_KIND = {
+  OPEN_POSITION: TRANSACTION_KIND.OPEN_POSITION,
+  CLOSE_POSITION: TRANSACTION_KIND.CLOSE_POSITION,
+  EXTRA_DEPOSIT: TRANSACTION_KIND.EXTRA_DEPOSIT,
+};
+
+// Backend calls that must follow a confirmed transaction of each kind
+const backendCallbacks = {
+  // A contract deployed along with the position must be known to the backend before the position is opened
+  [OPERATION_KIND.OPEN_POSITION]: async ({
+    positionId,
+    transactionHash,
+    walletId,
+    contractAddress,
+    deploysContract,
+  }) => {
+    if (deploysContract) {
+      await registerUserContract(walletId, contractAddress);
+    }
+    return axiosInstance.get('/api/open-position', {
+      params: { position_id: positionId, transaction_hash: transactionHash },
+    });
+  },
+  [OPERATION_KIND.CLOSE_POSITION]: ({ positionId, transactionHash }) =>
+    axiosInstance.get('/api/close-position', {
+      params: { position_id: positionId, transaction_hash: transactionHash },
+    }),
+  [OPERATION_KIND.EXTRA_DEPOSIT]: ({ positionId, transactionHash, tokenSymbol, amount }) =>
+    axiosInstance.post(`/api/add-extra-deposit/${positionId}`, {
+      transaction_hash: transactionHash,
+      token_symbol: tokenSymbol,
+      amount: amount,
+    }),
+};
+
+// Operations submitted during this session, they are completed by their own flow
+const activeOperations = new Set();
+
+/**
+ * Persists an operation whose transaction was submitted but whose backend callback has not run yet.
+ *
+ * @param {Object} operation - `{ kind, positionId, walletId, transactionHash, ...extra }`
+ */
+export function savePendingOperation(operation) {
+  activeOperations.add(operation.transactionHash);
+  useWalletStore.getState().addPendingOperation({ ...operation, createdAt: Date.now() });
+}
+
+export async function completePendingOperation(operation) {
+  const response = await backendCallbacks[operation.kind](operation);
+  useWalletStore.getState().removePendingOperation(operation.transactionHash);
+  activeOperations.delete(operation.transactionHash);
+  return response;
+}
+
+/**
+ * Drops an operation whose transaction was reverted or rejected, its backend callback must never run.
+ * Returns whether the operation was dropped.
+ */
+export function discardFailedOperation(transactionHash) {
+  const status = useTransactionStore.getState().transactions[transactionHash]?.status;
+  if (status !== TRANSACTION_STATUS.REVERTED && status !== TRANSACTION_STATUS.REJECTED) {
+    return false;
+  }
+
+  useWalletStore.getState().removePendingOperation(transactionHash);
+  activeOperations.delete(transactionHash);
+  return true;
+}
+
+/**
+ * Resumes confirmation of operations left over from a previous session and replays their
+ * backend callbacks. Operations whose transaction failed on chain are dropped, operations
+ * that are still pending are kept for the next attempt.
+ */
+export async function resumePendingOperations(walletId) {
+  const { pendingOperations } = useWalletStore.getState();
+  const walletOperations = pendingOperations.filter(
+    (operation) => operation.walletId === walletId && !activeOperations.has(operation.transactionHash)
+  );
+
+  for (const operation of walletOperations) {
+    activeOperations.add(operation.transactionHash);
+    try {
+      // Polls through the read provider, the wallet may not be connected yet and must not prompt on load
+      await trackTransaction(operation.transactionHash, { provider: getReadProvider(), kind: operation.kind });
+      await completePendingOperation(operation);
+      notify('Pending transaction from your previous session was completed', 'success');
+    } catch (error) {
+      console.error('Error resuming pending operation:', operation, error);
+
+      if (discardFailedOperation(operation.transactionHash)) {
+        notify('Pending transaction from your previous session failed', 'error');
+      }
+    } finally {
+      activeOperations.delete(operation.transactionHash);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { fromU256 } from '../utils/amount';
+import { calculateMultiplier, calculatePortfolioValues } from './risk';
+import { ZKLEND_ADDRESS } from '../utils/constants';
+import { TOKENS } from '../utils/tokens';
+import { getReadProvider } from './provider';
+
+// zkLend's MarketReserveData starts with `enabled`, `decimals` and `z_token_address`
+const Z_TOKEN_INDEX = 2;
+
+const fetchTokenPosition = async (provider, contractAddress, token) => {
+  const reserve = await provider.callContract({
+    contractAddress: ZKLEND_ADDRESS,
+    entrypoint: 'get_reserve_data',
+    calldata: [token.address],
+  });
+  const [[suppliedLow, suppliedHigh], [debt]] = await Promise.all([
+    provider.callContract({
+      contractAddress: reserve[Z_TOKEN_INDEX],
+      entrypoint: 'balanceOf',
+      calldata: [contractAddress],
+    }),
+    provider.callContract({
+      contractAddress: ZKLEND_ADDRESS,
+      entrypoint: 'get_user_debt_for_token',
+      calldata: [contractAddress, token.address],
+    }),
+  ]);
+
+  return { supplied: fromU256(suppliedLow, suppliedHigh), debt: BigInt(debt) };
+};
+
+/**
+ * Reads what the user's Spotnet contract supplies to and owes zkLend, in base units keyed by symbol.
+ * Tokens the contract never touched are reported with zero balances.
+ */
+export async function fetchContractPortfolio(contractAddress, provider = getReadProvider()) {
+  if (!ZKLEND_ADDRESS) {
+    throw new Error('zkLend is not configured for this network');
+  }
+
+  try {
+    const tokens = TOKENS.filter(({ address }) => address);
+    const positions = await Promise.all(tokens.map((token) => fetchTokenPosition(provider, contractAddress, token)));
+    return Object.fromEntries(tokens.map(({ symbol }, index) => [symbol, positions[index]]));
+  } catch (error) {
+    console.error('Error fetching contract portfolio:', error);
+    throw error;
+  }
+}
+
+// Relative gap between the backend and the chain above which the dashboard warns that its data may be outdated
+export const DISCREPANCY_TOLERANCE = 0.05;
+
+/**
+ * Dashboard figures of a zkLend portfolio in token units, shaped like the `GET /api/dashboard` response so they
+ * can replace it while the backend is down or lagging. As on the backend, the health ratio is the supplied value
+ * over the debt value. The position token is the one supplying most of the collateral and the start of the
+ * position is unknown on-chain. Returns null without a position or while a price is missing.
+ */
+export function buildChainDashboard(portfolio, prices) {
+  const values = calculatePortfolioValues(portfolio, prices);
+  if (!values || !(values.debtValue > 0) || !(values.suppliedValue > 0)) return null;
+
+  const [symbol, { supplied }] = Object.entries(portfolio)
+    .filter(([, position]) => position.supplied > 0)
+    .reduce((largest, entry) =>
+      entry[1].supplied * prices[entry[0]] > largest[1].supplied * prices[largest[0]] ? entry : largest
+    );
+  const multiplier = calculateMultiplier(values.suppliedValue, values.debtValue);
+
+  return {
+    health_ratio: (values.suppliedValue / values.debtValue).toFixed(2),
+    multipliers: multiplier ? { [symbol]: multiplier.toFixed(2) } : {},
+    current_sum: values.suppliedValue,
+    start_sum: 0,
+    borrowed: values.debtValue,
+    balance: supplied,
+    deposit_data: [],
+    position_id: null,
+  };
+}
+
+// Whether the health ratio reported by the backend is off from the one computed from the chain
+export function hasDashboardDiscrepancy(backendData, chainData) {
+  const chainRatio = Number(chainData.health_ratio);
+  return Math.abs(Number(backendData.health_ratio) - chainRatio) > chainRatio * DISCREPANCY_TOLERANCE;
+}
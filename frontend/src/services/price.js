@@ -0,0 +1,145 @@
+import { axiosInstance } from '../utils/axios';
+import { getReadProvider } from './provider';
+import { EKUBO_ADDRESS } from '../utils/constants';
+import { getToken, TOKEN_SYMBOLS, USDC_ADDRESS } from '../utils/tokens';
+import { fromU256 } from '../utils/amount';
+import { EKUBO_POOL_FEE, EKUBO_TICK_SPACING } from './slippage';
+
+export const PRICE_SYMBOLS = TOKEN_SYMBOLS;
+
+// Quotes older than this are ignored while a fresher quote of the same token exists
+export const MAX_PRICE_AGE = 5 * 60 * 1000;
+
+/**
+ * A price source resolves `{ [symbol]: { price, timestamp } }` for the symbols it knows about.
+ * Symbols it cannot price are simply left out.
+ */
+export const coingeckoSource = {
+  name: 'coingecko',
+  fetchPrices: async (symbols) => {
+    const ids = symbols.map((symbol) => getToken(symbol)?.coingeckoId).filter(Boolean);
+    const { data } = await axiosInstance.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: { ids: ids.join(','), vs_currencies: 'usd', include_last_updated_at: true },
+    });
+
+    return symbols.reduce((quotes, symbol) => {
+      const quote = data[getToken(symbol)?.coingeckoId];
+      if (!quote?.usd) return quotes;
+      return { ...quotes, [symbol]: { price: quote.usd, timestamp: quote.last_updated_at * 1000 } };
+    }, {});
+  },
+};
+
+export const backendSource = {
+  name: 'backend',
+  fetchPrices: async (symbols) => {
+    const { data } = await axiosInstance.get('/api/token-prices');
+    const timestamp = Date.now();
+
+    return symbols.reduce((quotes, symbol) => {
+      const price = Number(data[symbol]);
+      if (!price) return quotes;
+      return { ...quotes, [symbol]: { price, timestamp } };
+    }, {});
+  },
+};
+
+const buildUsdcPoolKey = (symbol) => {
+  const [token0, token1] = [getToken(symbol).address, USDC_ADDRESS].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  return { token0, token1 };
+};
+
+const fetchEkuboPrice = async (provider, symbol) => {
+  const { token0, token1 } = buildUsdcPoolKey(symbol);
+  const [sqrtRatioLow, sqrtRatioHigh] = await provider.callContract({
+    contractAddress: EKUBO_ADDRESS,
+    entrypoint: 'get_pool_price',
+    calldata: [token0, token1, EKUBO_POOL_FEE, EKUBO_TICK_SPACING, 0],
+  });
+
+  const sqrtRatio = fromU256(sqrtRatioLow, sqrtRatioHigh);
+  const token0Symbol = token0 === USDC_ADDRESS ? 'USDC' : symbol;
+  const token1Symbol = token1 === USDC_ADDRESS ? 'USDC' : symbol;
+
+  // sqrt_ratio is a Q128.128 square root of the raw token1/token0 ratio
+  const price =
+    (Number(sqrtRatio) / 2 ** 128) ** 2 * 10 ** (getToken(token0Symbol).decimals - getToken(token1Symbol).decimals);
+
+  return token0Symbol === symbol ? price : 1 / price;
+};
+
+export const ekuboSource = {
+  name: 'ekubo',
+  fetchPrices: async (symbols) => {
+    const provider = getReadProvider();
+    const timestamp = Date.now();
+    const pricedSymbols = symbols.filter((symbol) => symbol !== 'USDC' && getToken(symbol));
+    // Each pool read settles on its own so a failing pool only drops its token
+    const results = await Promise.allSettled(pricedSymbols.map((symbol) => fetchEkuboPrice(provider, symbol)));
+
+    return pricedSymbols.reduce((quotes, symbol, index) => {
+      const { status, value, reason } = results[index];
+      if (status === 'rejected') {
+        console.error(`Error fetching Ekubo price of ${symbol}:`, reason);
+        return quotes;
+      }
+      return value ? { ...quotes, [symbol]: { price: value, timestamp } } : quotes;
+    }, {});
+  },
+};
+
+export const DEFAULT_PRICE_SOURCES = [coingeckoSource, ekuboSource, backendSource];
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Queries every source in parallel for all `symbols` and aggregates their quotes. Each token gets
+ * the median of its fresh quotes; when every quote is older than `maxAge` the newest one is used
+ * and the token is reported in `staleSymbols`. Failing sources are skipped and reported in
+ * `failedSources`.
+ */
+export async function fetchTokenPrices(
+  symbols = PRICE_SYMBOLS,
+  { sources = DEFAULT_PRICE_SOURCES, maxAge = MAX_PRICE_AGE } = {}
+) {
+  const results = await Promise.allSettled(sources.map((source) => source.fetchPrices(symbols)));
+  const now = Date.now();
+
+  const failedSources = [];
+  const quotes = results.flatMap((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error fetching prices from ${sources[index].name}:`, result.reason);
+      failedSources.push(sources[index].name);
+      return [];
+    }
+    return [result.value];
+  });
+
+  const prices = {};
+  const staleSymbols = [];
+
+  symbols.forEach((symbol) => {
+    const symbolQuotes = quotes.map((sourceQuotes) => sourceQuotes[symbol]).filter(Boolean);
+    if (!symbolQuotes.length) return;
+
+    const freshQuotes = symbolQuotes.filter(({ timestamp }) => now - timestamp <= maxAge);
+    if (freshQuotes.length) {
+      prices[symbol] = median(freshQuotes.map(({ price }) => price));
+      return;
+    }
+
+    const newestQuote = symbolQuotes.reduce((newest, quote) => (quote.timestamp > newest.timestamp ? quote : newest));
+    prices[symbol] = newestQuote.price;
+    staleSymbols.push(symbol);
+  });
+
+  if (!Object.keys(prices).length) {
+    throw new Error('No price source is available');
+  }
+
+  return { prices, staleSymbols, failedSources, updatedAt: now };
+}
@@ -0,0 +1,12 @@
+import { RpcProvider } from 'starknet';
+import { NETWORK } from '../utils/networks';
+
+let readProvider;
+
+// Read-only provider for the configured network, usable before a wallet is connected
+export const getReadProvider = () => {
+  if (!readProvider) {
+    readProvider = new RpcProvider({ nodeUrl: NETWORK.rpcUrl });
+  }
+  return readProvider;
+};
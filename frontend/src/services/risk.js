@@ -0,0 +1,150 @@
+import { getDebtToken, getToken } from '../utils/tokens';
+
+// zkLend liquidates a position once its health factor falls below this value
+export const LIQUIDATION_HEALTH_FACTOR = 1;
+
+// Collateral value weighted by the collateral factors and debt value divided by the borrow factors
+const getWeightedValues = (portfolio, prices) => {
+  let collateralValue = 0;
+  let adjustedDebtValue = 0;
+
+  for (const [symbol, { supplied, debt }] of Object.entries(portfolio)) {
+    if (!supplied && !debt) continue;
+
+    const token = getToken(symbol);
+    const price = prices[symbol];
+    if (!token || !(price > 0)) return null;
+
+    collateralValue += supplied * price * token.collateralFactor;
+    adjustedDebtValue += (debt * price) / token.borrowFactor;
+  }
+
+  return { collateralValue, adjustedDebtValue };
+};
+
+/**
+ * Health factor of a zkLend portfolio given as `{ [symbol]: { supplied, debt } }` in token units.
+ * Returns null while a price is missing.
+ */
+export function calculatePortfolioHealthFactor(portfolio, prices) {
+  const values = getWeightedValues(portfolio, prices);
+  if (!values) return null;
+
+  const { collateralValue, adjustedDebtValue } = values;
+  return adjustedDebtValue > 0 ? collateralValue / adjustedDebtValue : Infinity;
+}
+
+/**
+ * Price of `symbol` at which the portfolio reaches the liquidation health factor while every other price
+ * stays the same. Returns null while a price is missing or when a falling `symbol` price cannot liquidate it.
+ */
+export function calculateLiquidationPrice(portfolio, prices, symbol) {
+  const token = getToken(symbol);
+  const position = portfolio[symbol];
+  if (!token || !position) return null;
+
+  const otherValues = getWeightedValues({ ...portfolio, [symbol]: { supplied: 0, debt: 0 } }, prices);
+  if (!otherValues) return null;
+
+  const { collateralValue, adjustedDebtValue } = otherValues;
+  const weightPerPrice =
+    position.supplied * token.collateralFactor - (LIQUIDATION_HEALTH_FACTOR * position.debt) / token.borrowFactor;
+  const liquidationPrice = (LIQUIDATION_HEALTH_FACTOR * adjustedDebtValue - collateralValue) / weightPerPrice;
+
+  return weightPerPrice > 0 && liquidationPrice > 0 ? liquidationPrice : null;
+}
+
+const DEFAULT_CURVE_OPTIONS = {
+  points: 11,
+  range: 0.5,
+};
+
+/**
+ * Samples the health factor of a portfolio while the `symbol` price moves `range` (as a fraction)
+ * below and above its current price, every other price staying the same.
+ */
+export function buildHealthFactorCurve(portfolio, prices, symbol, { points, range } = DEFAULT_CURVE_OPTIONS) {
+  const price = prices[symbol];
+  const lowestPrice = price * (1 - range);
+  const step = (price * range * 2) / (points - 1);
+
+  return Array.from({ length: points }, (_, index) => {
+    const pointPrice = lowestPrice + step * index;
+    return {
+      price: pointPrice,
+      healthFactor: calculatePortfolioHealthFactor(portfolio, { ...prices, [symbol]: pointPrice }),
+    };
+  });
+}
+
+/**
+ * Computes the risk metrics of a position opened by looping `amount` of `token` at `multiplier`.
+ * The loop supplies the whole exposure (`amount * multiplier`) as collateral and borrows the looped
+ * part in the debt token, so the position is weighted like any other zkLend portfolio.
+ *
+ * Returns null while any of the inputs or prices is missing or invalid.
+ */
+export function calculatePositionRisk({ token, amount, multiplier, prices }) {
+  const debtToken = getDebtToken(token);
+  const depositAmount = parseFloat(amount);
+  const leverage = parseFloat(multiplier);
+  const price = prices[token];
+  const debtPrice = prices[debtToken];
+
+  if (!getToken(token) || !(depositAmount > 0) || !(leverage >= 1) || !(price > 0) || !(debtPrice > 0)) {
+    return null;
+  }
+
+  const totalExposure = depositAmount * leverage;
+  const debtAmount = (depositAmount * price * (leverage - 1)) / debtPrice;
+  const portfolio = {
+    [token]: { supplied: totalExposure, debt: 0 },
+    [debtToken]: { supplied: 0, debt: debtAmount },
+  };
+
+  const liquidationPrice = calculateLiquidationPrice(portfolio, prices, token);
+
+  return {
+    healthFactor: calculatePortfolioHealthFactor(portfolio, prices),
+    liquidationPrice,
+    liquidationDistance: liquidationPrice === null ? null : ((price - liquidationPrice) / price) * 100,
+    debtToken,
+    debtAmount,
+    totalExposure,
+    totalExposureUsd: totalExposure * price,
+    curve: buildHealthFactorCurve(portfolio, prices, token),
+  };
+}
+
+// Health factor once `amount` of `symbol` has been withdrawn from the supplied collateral
+export function calculateWithdrawHealthFactor(portfolio, prices, symbol, amount) {
+  const position = portfolio[symbol];
+  if (!position) return null;
+
+  return calculatePortfolioHealthFactor(
+    { ...portfolio, [symbol]: { ...position, supplied: Math.max(position.supplied - amount, 0) } },
+    prices
+  );
+}
+
+// USD value a portfolio supplies and owes, null while a used price is missing
+export function calculatePortfolioValues(portfolio, prices) {
+  let suppliedValue = 0;
+  let debtValue = 0;
+
+  for (const [symbol, { supplied, debt }] of Object.entries(portfolio)) {
+    if (!supplied && !debt) continue;
+    if (!(prices[symbol] > 0)) return null;
+
+    suppliedValue += supplied * prices[symbol];
+    debtValue += debt * prices[symbol];
+  }
+
+  return { suppliedValue, debtValue };
+}
+
+// Leverage of a position from the USD value it supplies and owes, null once the debt exceeds the collateral
+export function calculateMultiplier(suppliedValue, debtValue) {
+  const equity = suppliedValue - debtValue;
+  return equity > 0 ? suppliedValue / equity : null;
+}
@@ -0,0 +1,66 @@
+import { getReadProvider } from './provider';
+import { EKUBO_ADDRESS } from '../utils/constants';
+import { fromU256 } from '../utils/amount';
+import { notify } from '../components/layout/notifier/Notifier';
+
+export const SLIPPAGE_PRESETS = [0.1, 0.5, 1];
+export const MAX_SLIPPAGE = 50;
+
+// Bounds of Ekubo's sqrt_ratio, also what the backend sends when it applies no limit
+export const MIN_SQRT_RATIO = 18446748437148339061n;
+export const MAX_SQRT_RATIO = 6277100250585753475930931601400621808602321654880405518632n;
+
+// Pool parameters used by the backend when it builds loop_liquidity and close_position calls
+export const EKUBO_POOL_FEE = '0x20c49ba5e353f80000000000000000';
+export const EKUBO_TICK_SPACING = 1000;
+
+const FACTOR_SCALE = 10n ** 18n;
+
+export function validateSlippage(slippage) {
+  const value = Number(slippage);
+  if (slippage === '' || !Number.isFinite(value) || value <= 0) return 'Enter a slippage tolerance';
+  if (value > MAX_SLIPPAGE) return `Slippage cannot exceed ${MAX_SLIPPAGE}%`;
+  return null;
+}
+
+const scaleSqrtRatio = (sqrtRatio, priceFactor) =>
+  (sqrtRatio * BigInt(Math.round(Math.sqrt(priceFactor) * Number(FACTOR_SCALE)))) / FACTOR_SCALE;
+
+/**
+ * EkuboSlippageLimits allowing the pool price to move `slippage` percent either way from `sqrtRatio`.
+ * The price is the square of the sqrt ratio, so the bounds scale by the square root of the price change.
+ */
+export function calculateEkuboLimits(sqrtRatio, slippage) {
+  const lower = scaleSqrtRatio(sqrtRatio, 1 - slippage / 100);
+  const upper = scaleSqrtRatio(sqrtRatio, 1 + slippage / 100);
+
+  return {
+    lower: (lower > MIN_SQRT_RATIO ? lower : MIN_SQRT_RATIO).toString(),
+    upper: (upper < MAX_SQRT_RATIO ? upper : MAX_SQRT_RATIO).toString(),
+  };
+}
+
+export async function fetchPoolSqrtRatio(poolKey, provider = getReadProvider()) {
+  const { token0, token1, fee, tick_spacing, extension } = poolKey;
+  const [sqrtRatioLow, sqrtRatioHigh] = await provider.callContract({
+    contractAddress: EKUBO_ADDRESS,
+    entrypoint: 'get_pool_price',
+    calldata: [token0, token1, fee, tick_spacing, extension],
+  });
+  return fromU256(sqrtRatioLow, sqrtRatioHigh);
+}
+
+/**
+ * Replaces the unbounded limits of backend loop_liquidity or close_position data with limits around the pool price.
+ * When the pool price cannot be read the backend limits are kept, so the position can still be closed.
+ */
+export async function applySlippage(transactionData, slippage, provider) {
+  try {
+    const sqrtRatio = await fetchPoolSqrtRatio(transactionData.pool_key, provider);
+    return { ...transactionData, ekubo_limits: calculateEkuboLimits(sqrtRatio, slippage) };
+  } catch (error) {
+    console.error('Error fetching the Ekubo pool price:', error);
+    notify('Could not read the pool price, your slippage tolerance is not applied to this transaction', 'warning');
+    return transactionData;
+  }
+}
@@ -3,43 +3,119 @@ import { CallData } from 'starknet';
 import { erc20abi } from '../abis/erc20';
 import { abi } from '../abis/abi';
 import { axiosInstance } from '../utils/axios';
-import { checkAndDeployContract } from './contract';
+import { buildDeployContractCall, prepareUserContract } from './contract';
+import { trackTransaction, TRANSACTION_KIND } from './transactionTracker';
+import { estimateFee, executeWithFeeSettings } from './fee';
+import {
+  completePendingOperation,
+  discardFailedOperation,
+  OPERATION_KIND,
+  savePendingOperation,
+} from './pendingOperations';
 import { notify, ToastWithLink } from '../components/layout/notifier/Notifier';
+import { getTxUrl } from './explorer';
+import { applySlippage } from './slippage';
+import { getSlippage } from '../stores/useSlippageStore';
+import { parseAmount, toU256 } from '../utils/amount';
+import { getToken } from '../utils/tokens';
 
-export async function sendTransaction(loopLiquidityData, contractAddress) {
-  try {
-    const wallet = await getWallet();
+async function waitForTransaction(wallet, transactionHash, kind, successMessage, operation) {
+  const link = getTxUrl(transactionHash);
+  notify(ToastWithLink('Transaction sent, waiting for confirmation', link, 'Transaction ID'), 'info');
 
-    if (!loopLiquidityData.pool_key || !loopLiquidityData.deposit_data) {
-      throw new Error('Missing or invalid loop_liquidity_data fields');
+  if (operation) {
+    savePendingOperation({ ...operation, transactionHash });
+  }
+
+  let receipt;
+  try {
+    receipt = await trackTransaction(transactionHash, { provider: wallet.provider, kind });
+  } catch (error) {
+    if (operation) {
+      discardFailedOperation(transactionHash);
     }
-    console.log(loopLiquidityData);
-    let approveCalldata = new CallData(erc20abi);
-    const approveTransaction = {
-      contractAddress: loopLiquidityData.deposit_data.token,
-      entrypoint: 'approve',
-      calldata: approveCalldata.compile('approve', [contractAddress, loopLiquidityData.deposit_data.amount]),
+    throw error;
+  }
+
+  notify(ToastWithLink(successMessage, link, 'Transaction ID'), 'success');
+  return receipt;
+}
+
+// Known contract and protocol panics mapped to messages we can show before the wallet prompt
+const SIMULATION_ERRORS = [
+  { pattern: /Approved amount insufficient|insufficient allowance/i, message: 'Insufficient token allowance' },
+  { pattern: /Insufficient balance|u256_sub Overflow/i, message: 'Insufficient token balance' },
+  {
+    pattern: /LIMIT_MAG|LIMIT_DIRECTION|sqrt_ratio/i,
+    message: 'Swap price moved outside the allowed slippage limits',
+  },
+  { pattern: /Open position already exists/, message: 'You already have an open position' },
+  { pattern: /Multiplier not supported/, message: 'Selected multiplier is not supported' },
+];
+
+export function describeSimulationError(error) {
+  const reason = error?.message || String(error);
+  const knownError = SIMULATION_ERRORS.find(({ pattern }) => pattern.test(reason));
+  return knownError ? knownError.message : reason;
+}
+
+export function buildLoopLiquidityCalls(loopLiquidityData, contractAddress) {
+  if (!loopLiquidityData.pool_key || !loopLiquidityData.deposit_data) {
+    throw new Error('Missing or invalid loop_liquidity_data fields');
+  }
+  let approveCalldata = new CallData(erc20abi);
+  const approveTransaction = {
+    contractAddress: loopLiquidityData.deposit_data.token,
+    entrypoint: 'approve',
+    calldata: approveCalldata.compile('approve', [contractAddress, toU256(loopLiquidityData.deposit_data.amount)]),
+  };
+  const callData = new CallData(abi);
+  const compiled = callData.compile('loop_liquidity', loopLiquidityData);
+  const depositTransaction = {
+    contractAddress: contractAddress,
+    entrypoint: 'loop_liquidity',
+    calldata: compiled,
+  };
+  return [approveTransaction, depositTransaction];
+}
+
+/**
+ * Estimates the fee of the given calls, which also simulates them against the current chain state.
+ * Never throws: a failed simulation is returned as a readable `error` instead.
+ */
+export async function simulateCalls(calls) {
+  try {
+    const estimate = await estimateFee(calls);
+
+    return {
+      fee: BigInt(estimate.overall_fee),
+      feeToken: estimate.unit === 'FRI' ? 'STRK' : 'ETH',
+      error: null,
     };
+  } catch (error) {
+    console.error('Transaction simulation failed:', error);
+    return { fee: null, feeToken: null, error: describeSimulationError(error) };
+  }
+}
+
+// With `deployWalletId` the contract of that wallet is deployed in the same multicall, before it is approved and called
+export async function sendTransaction(loopLiquidityData, contractAddress, operation, { deployWalletId } = {}) {
+  try {
+    const wallet = await getWallet();
+
     console.log(loopLiquidityData);
-    const callData = new CallData(abi);
-    const compiled = callData.compile('loop_liquidity', loopLiquidityData);
-    const depositTransaction = {
-      contractAddress: contractAddress,
-      entrypoint: 'loop_liquidity',
-      calldata: compiled,
-    };
-    console.log(depositTransaction);
-    let result = await wallet.account.execute([approveTransaction, depositTransaction]);
+    const loopCalls = buildLoopLiquidityCalls(loopLiquidityData, contractAddress);
+    const calls = deployWalletId ? [buildDeployContractCall(deployWalletId), ...loopCalls] : loopCalls;
+    let result = await executeWithFeeSettings(wallet, calls);
 
     console.log('Resp: ');
     console.log(result);
-    notify(
-      ToastWithLink(
-        'Transaction successfully sent',
-        `https://starkscan.co/tx/${result.transaction_hash}`,
-        'Transaction ID'
-      ),
-      'success'
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.OPEN_POSITION,
+      'Transaction successfully confirmed',
+      operation
     );
 
     return {
@@ -51,93 +127,86 @@ export async function sendTransaction(loopLiquidityData, contractAddress) {
   }
 }
 
-export async function sendWithdrawAllTransaction(data, userContractAddress) {
+export function buildWithdrawAllCalls(data, userContractAddress) {
+  const contractCalldata = new CallData(abi);
+  const closeCalldata = contractCalldata.compile('close_position', data.repay_data);
+  const withdrawCalls = data.tokens.map((token) => ({
+    contractAddress: userContractAddress,
+    entrypoint: 'withdraw',
+    calldata: contractCalldata.compile('withdraw', { token: token, amount: 0 }),
+  }));
+
+  return [
+    { contractAddress: userContractAddress, entrypoint: 'close_position', calldata: closeCalldata },
+    ...withdrawCalls,
+  ];
+}
+
+export async function sendWithdrawAllTransaction(data, userContractAddress, operation) {
   try {
     const wallet = await getWallet();
-    const contractCalldata = new CallData(abi);
-    const closeCalldata = contractCalldata.compile("close_position", data.repay_data);
-    const withdrawCalls = [];
-
-    data.tokens.forEach((token) => {
-      withdrawCalls.push(
-          {
-            contractAddress: userContractAddress,
-            entrypoint: "withdraw",
-            calldata: contractCalldata.compile("withdraw", {token: token, amount: 0})
-          }
-      );
-    });
-    let result = await wallet.account.execute(
-        [
-            {contractAddress: userContractAddress, entrypoint: "close_position", calldata: closeCalldata},
-            ...withdrawCalls
-        ]
-    )
-    notify(
-    ToastWithLink(
-        'Withdraw all successfully sent',
-        `https://starkscan.co/tx/${result.transaction_hash}`,
-        'Transaction ID'
-      ),
-      'success'
+    const calls = buildWithdrawAllCalls(data, userContractAddress);
+    let result = await executeWithFeeSettings(wallet, calls);
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.WITHDRAW_ALL,
+      'Withdraw all successfully confirmed',
+      operation
     );
 
     return {
       transaction_hash: result.transaction_hash,
     };
-
   } catch (error) {
-    console.log('Error sending withdraw transaction', error)
-    throw error
+    console.log('Error sending withdraw transaction', error);
+    throw error;
   }
 }
 
-export async function sendExtraDepositTransaction(deposit_data, userContractAddress) {
+// Converts the typed amount to base units client-side, throws on an invalid amount
+export function buildExtraDepositData(tokenSymbol, amount) {
+  const { address, decimals } = getToken(tokenSymbol);
+  return { token_address: address, token_amount: parseAmount(amount, decimals) };
+}
+
+export function buildExtraDepositCalls(deposit_data, userContractAddress) {
+  const { token_address } = deposit_data;
+  const token_amount = toU256(deposit_data.token_amount);
+
+  const approveCalldata = new CallData(erc20abi);
+  const extraDepositCalldata = new CallData(abi);
+
+  const approveTransaction = {
+    contractAddress: token_address,
+    entrypoint: 'approve',
+    calldata: approveCalldata.compile('approve', [userContractAddress, token_amount]),
+  };
+
+  const extraDepositTransaction = {
+    contractAddress: userContractAddress,
+    entrypoint: 'extra_deposit',
+    calldata: extraDepositCalldata.compile('extra_deposit', [token_address, token_amount]),
+  };
+
+  return [approveTransaction, extraDepositTransaction];
+}
+
+export async function sendExtraDepositTransaction(deposit_data, userContractAddress, operation) {
   try {
     const wallet = await getWallet();
 
-    // Prepare calldata
-    const token_address = deposit_data.token_address;
-    const token_amount = deposit_data.token_amount;
-    const extraDepositCalldata = new CallData(abi);
-
-    const approveCalldata = new CallData(erc20abi);
-    const compiledApproveCalldata = approveCalldata.compile('approve', [
-      userContractAddress, 
-      token_amount
-    ]); 
-
-    const compiledExtraDepositCalldata = extraDepositCalldata.compile('extra_deposit', [
-      token_address, 
-      token_amount
-    ]);
-
-    const approveTransaction = {  
-      contractAddress: token_address,
-      entrypoint: 'approve',                
-      calldata: compiledApproveCalldata
-    };
-
-    const extraDepositTransaction = {  
-      contractAddress: userContractAddress,
-      entrypoint: 'extra_deposit',                
-      calldata: compiledExtraDepositCalldata
-    };
-    
     // Execute transaction
-    const result = await wallet.account.execute([
-      approveTransaction,
-      extraDepositTransaction
-    ]);
-
-    // Notify user
-    notify(
-      ToastWithLink(
-        'Extra Deposit Transaction successfully sent',
-        `https://starkscan.co/tx/${result.transaction_hash}`,
-        'Transaction ID'
-      ),
-      'success'
+    const calls = buildExtraDepositCalls(deposit_data, userContractAddress);
+    const result = await executeWithFeeSettings(wallet, calls);
+
+    // Wait for confirmation and notify user
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.EXTRA_DEPOSIT,
+      'Extra Deposit Transaction successfully confirmed',
+      operation
     );
 
     return {
@@ -149,64 +218,246 @@ export async function sendExtraDepositTransaction(deposit_data, userContractAddr
   }
 }
 
-/* eslint-disable-next-line no-unused-vars */
-async function waitForTransaction(txHash) {
-  const wallet = await getWallet();
+// Withdraws part of the collateral, unlike `buildWithdrawAllCalls` the position stays open
+export function buildWithdrawCalls(tokenSymbol, amount, userContractAddress) {
+  const { address, decimals } = getToken(tokenSymbol);
+  const callData = new CallData(abi);
+  return [
+    {
+      contractAddress: userContractAddress,
+      entrypoint: 'withdraw',
+      calldata: callData.compile('withdraw', [address, toU256(parseAmount(amount, decimals))]),
+    },
+  ];
+}
 
-  let receipt = null;
-  while (receipt === null) {
-    try {
-      receipt = await wallet.provider.getTransactionReceipt(txHash);
-    } catch (error) {
-      console.log('Waiting for transaction to be accepted...');
-      await new Promise((resolve) => setTimeout(resolve, 5000)); // Wait for 5 seconds before trying again
-    }
+export async function sendWithdrawTransaction(tokenSymbol, amount, userContractAddress) {
+  try {
+    const wallet = await getWallet();
+    const result = await executeWithFeeSettings(wallet, buildWithdrawCalls(tokenSymbol, amount, userContractAddress));
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.WITHDRAW,
+      'Withdraw successfully confirmed'
+    );
+
+    return { transaction_hash: result.transaction_hash };
+  } catch (error) {
+    console.error('Error sending withdraw transaction:', error);
+    throw error;
   }
-  console.log('Transaction accepted:', receipt);
 }
 
-export async function closePosition(transactionData) {
+export function buildClosePositionCalls(transactionData) {
   const callData = new CallData(abi);
   const compiled = callData.compile('close_position', transactionData);
+  return [{ contractAddress: transactionData.contract_address, entrypoint: 'close_position', calldata: compiled }];
+}
+
+export async function closePosition(transactionData, operation) {
   const wallet = await getWallet();
 
-  let result = await wallet.account.execute([
-    { contractAddress: transactionData.contract_address, entrypoint: 'close_position', calldata: compiled },
-  ]);
-  notify(
-    ToastWithLink(
-      'Close position successfully sent',
-      `https://starkscan.co/tx/${result.transaction_hash}`,
-      'Transaction ID'
-    ),
-    'success'
+  let result = await executeWithFeeSettings(wallet, buildClosePositionCalls(transactionData));
+  await waitForTransaction(
+    wallet,
+    result.transaction_hash,
+    TRANSACTION_KIND.CLOSE_POSITION,
+    'Close position successfully confirmed',
+    operation
   );
   return result;
 }
 
-export const handleTransaction = async (connectedWalletId, formData, setTokenAmount, setLoading) => {
-  setLoading(true);
+// Rewards listed without a claim id or airdrop contract cannot be claimed on-chain yet
+export const isClaimableReward = ({ claim_id, claim_contract }) => claim_id != null && !!claim_contract;
+
+// One claim_reward call per claimable DeFi Spring reward, as returned by /api/defispring-rewards
+export function buildClaimRewardCalls(claims, userContractAddress) {
+  const callData = new CallData(abi);
+  return claims.filter(isClaimableReward).map(({ claim_id, recipient, amount, proof, claim_contract }) => ({
+    contractAddress: userContractAddress,
+    entrypoint: 'claim_reward',
+    calldata: callData.compile('claim_reward', {
+      claim_data: { id: claim_id, claimee: recipient, amount },
+      proof,
+      airdrop_addr: claim_contract,
+    }),
+  }));
+}
+
+export async function sendClaimRewardTransaction(claims, userContractAddress) {
   try {
-    await checkAndDeployContract(connectedWalletId);
+    const wallet = await getWallet();
+    const result = await executeWithFeeSettings(wallet, buildClaimRewardCalls(claims, userContractAddress));
+    const receipt = await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.CLAIM_REWARD,
+      'Claim reward transaction successfully confirmed'
+    );
+
+    return { transaction_hash: result.transaction_hash, receipt };
   } catch (error) {
-    console.error('Error deploying contract:', error);
-    notify('Error deploying contract. Please try again.', 'error');
-    setLoading(false);
-    return;
+    console.error('Error sending claim reward transaction:', error);
+    throw error;
   }
+}
+
+// Points the user contract at `classHash`, the contract keeps its storage and therefore its position
+export function buildUpgradeCalls(userContractAddress, classHash) {
+  const callData = new CallData(abi);
+  return [
+    {
+      contractAddress: userContractAddress,
+      entrypoint: 'upgrade',
+      calldata: callData.compile('upgrade', [classHash]),
+    },
+  ];
+}
+
+export async function sendUpgradeTransaction(userContractAddress, classHash) {
   try {
-    const response = await axiosInstance.post(`/api/create-position`, formData);
+    const wallet = await getWallet();
+    const result = await executeWithFeeSettings(wallet, buildUpgradeCalls(userContractAddress, classHash));
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.UPGRADE,
+      'Contract upgrade successfully confirmed'
+    );
 
-    const transactionData = response.data;
-    const { loopTransaction: transaction_hash } = await sendTransaction(transactionData, transactionData.contract_address);
-    console.log('Transaction executed successfully');
+    return { transaction_hash: result.transaction_hash };
+  } catch (error) {
+    console.error('Error sending upgrade transaction:', error);
+    throw error;
+  }
+}
+
+// First step of a two-step ownership transfer, the current owner keeps the contract until `newOwner` accepts
+export function buildTransferOwnershipCalls(userContractAddress, newOwner) {
+  const callData = new CallData(abi);
+  return [
+    {
+      contractAddress: userContractAddress,
+      entrypoint: 'transfer_ownership',
+      calldata: callData.compile('transfer_ownership', [newOwner]),
+    },
+  ];
+}
+
+export function buildAcceptOwnershipCalls(userContractAddress) {
+  return [{ contractAddress: userContractAddress, entrypoint: 'accept_ownership', calldata: [] }];
+}
+
+export async function sendTransferOwnershipTransaction(userContractAddress, newOwner) {
+  try {
+    const wallet = await getWallet();
+    const result = await executeWithFeeSettings(wallet, buildTransferOwnershipCalls(userContractAddress, newOwner));
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.TRANSFER_OWNERSHIP,
+      'Ownership transfer successfully started'
+    );
+
+    return { transaction_hash: result.transaction_hash };
+  } catch (error) {
+    console.error('Error sending transfer ownership transaction:', error);
+    throw error;
+  }
+}
+
+export async function sendAcceptOwnershipTransaction(userContractAddress) {
+  try {
+    const wallet = await getWallet();
+    const result = await executeWithFeeSettings(wallet, buildAcceptOwnershipCalls(userContractAddress));
+    await waitForTransaction(
+      wallet,
+      result.transaction_hash,
+      TRANSACTION_KIND.ACCEPT_OWNERSHIP,
+      'Ownership successfully accepted'
+    );
 
-    const openPositionResponse = await axiosInstance.get(`/api/open-position`, {
-      params: { position_id: transactionData.position_id, transaction_hash },
-    });
+    return { transaction_hash: result.transaction_hash };
+  } catch (error) {
+    console.error('Error sending accept ownership transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Preflight step of opening a position: finds out whether the user contract exists, requests the
+ * loop_liquidity data from the backend without creating the position and simulates the resulting multicall.
+ * A missing contract is deployed by that same multicall at its precomputed address.
+ * Returns `null` when the preview could not be built.
+ */
+export const previewPosition = async (connectedWalletId, formData) => {
+  try {
+    parseAmount(formData.amount, getToken(formData.token_symbol).decimals);
+  } catch (error) {
+    notify(error.message, 'error');
+    return null;
+  }
+  let contract;
+  try {
+    contract = await prepareUserContract(connectedWalletId);
+  } catch (error) {
+    console.error('Error checking contract:', error);
+    notify('Error checking your contract. Please try again.', 'error');
+    return null;
+  }
+  try {
+    const response = await axiosInstance.get(`/api/get-loop-liquidity-data`, { params: formData });
+
+    const slippage = getSlippage(connectedWalletId);
+    const transactionData = await applySlippage(
+      { ...response.data, contract_address: response.data.contract_address || contract.contractAddress },
+      slippage
+    );
+    const loopCalls = buildLoopLiquidityCalls(transactionData, transactionData.contract_address);
+    const calls = contract.isDeployed ? loopCalls : [buildDeployContractCall(connectedWalletId), ...loopCalls];
+    const simulation = await simulateCalls(calls);
+
+    return { formData, transactionData, calls, deploysContract: !contract.isDeployed, slippage, ...simulation };
+  } catch (err) {
+    console.error('Failed to preview position:', err);
+    notify(`Error preparing transaction: ${err}`, 'error');
+    return null;
+  }
+};
+
+export const handleTransaction = async (connectedWalletId, preview, setTokenAmount, setLoading) => {
+  if (preview.error) {
+    notify(`Transaction would fail: ${preview.error}`, 'error');
+    return;
+  }
+
+  setLoading(true);
+  try {
+    // The position is only recorded once submitted, with fresh transaction data for the previewed inputs
+    const { formData, deploysContract, slippage } = preview;
+    const { data } = await axiosInstance.post(`/api/create-position`, formData);
+    const transactionData = await applySlippage(
+      { ...data, contract_address: data.contract_address || preview.transactionData.contract_address },
+      slippage
+    );
+    const operation = {
+      kind: OPERATION_KIND.OPEN_POSITION,
+      positionId: transactionData.position_id,
+      walletId: connectedWalletId,
+      contractAddress: transactionData.contract_address,
+      deploysContract,
+    };
+    const { loopTransaction: transaction_hash } = await sendTransaction(
+      transactionData,
+      transactionData.contract_address,
+      operation,
+      { deployWalletId: deploysContract ? connectedWalletId : null }
+    );
+    console.log('Transaction executed successfully');
 
-    // FIXME: this is a hack to eslint (no-unused-vars)
-    openPositionResponse == openPositionResponse;
+    await completePendingOperation({ ...operation, transactionHash: transaction_hash });
 
     setTokenAmount('');
   } catch (err) {
@@ -0,0 +1,190 @@
+import { axiosInstance } from '../utils/axios';
+import { formatAmount } from '../utils/amount';
+import { fetchDepositEvents } from './events';
+import { TRANSACTION_KIND, TRANSACTION_STATUS } from './transactionTracker';
+
+export const HISTORY_TYPES = {
+  DEPLOY: 'deploy',
+  OPEN_POSITION: 'open_position',
+  EXTRA_DEPOSIT: 'extra_deposit',
+  CLOSE_POSITION: 'close_position',
+  WITHDRAW: 'withdraw',
+  CLAIM_REWARD: 'claim_reward',
+  UPGRADE: 'upgrade',
+  TRANSFER_OWNERSHIP: 'transfer_ownership',
+  ACCEPT_OWNERSHIP: 'accept_ownership',
+};
+
+export const HISTORY_TYPE_LABELS = {
+  [HISTORY_TYPES.DEPLOY]: 'Deploy contract',
+  [HISTORY_TYPES.OPEN_POSITION]: 'Open position',
+  [HISTORY_TYPES.EXTRA_DEPOSIT]: 'Extra deposit',
+  [HISTORY_TYPES.CLOSE_POSITION]: 'Close position',
+  [HISTORY_TYPES.WITHDRAW]: 'Withdraw',
+  [HISTORY_TYPES.CLAIM_REWARD]: 'Claim reward',
+  [HISTORY_TYPES.UPGRADE]: 'Upgrade contract',
+  [HISTORY_TYPES.TRANSFER_OWNERSHIP]: 'Transfer ownership',
+  [HISTORY_TYPES.ACCEPT_OWNERSHIP]: 'Accept ownership',
+};
+
+const KIND_TYPES = {
+  [TRANSACTION_KIND.DEPLOY]: HISTORY_TYPES.DEPLOY,
+  [TRANSACTION_KIND.OPEN_POSITION]: HISTORY_TYPES.OPEN_POSITION,
+  [TRANSACTION_KIND.EXTRA_DEPOSIT]: HISTORY_TYPES.EXTRA_DEPOSIT,
+  [TRANSACTION_KIND.CLOSE_POSITION]: HISTORY_TYPES.CLOSE_POSITION,
+  [TRANSACTION_KIND.WITHDRAW]: HISTORY_TYPES.WITHDRAW,
+  [TRANSACTION_KIND.WITHDRAW_ALL]: HISTORY_TYPES.WITHDRAW,
+  [TRANSACTION_KIND.CLAIM_REWARD]: HISTORY_TYPES.CLAIM_REWARD,
+  [TRANSACTION_KIND.UPGRADE]: HISTORY_TYPES.UPGRADE,
+  [TRANSACTION_KIND.TRANSFER_OWNERSHIP]: HISTORY_TYPES.TRANSFER_OWNERSHIP,
+  [TRANSACTION_KIND.ACCEPT_OWNERSHIP]: HISTORY_TYPES.ACCEPT_OWNERSHIP,
+};
+
+const BACKEND_STATUS_TYPES = {
+  opened: HISTORY_TYPES.OPEN_POSITION,
+  extra_deposit: HISTORY_TYPES.EXTRA_DEPOSIT,
+  closed: HISTORY_TYPES.CLOSE_POSITION,
+};
+
+// When a transaction emits several events, the first one in this order names it (closing a position also withdraws)
+const EVENT_TYPES = {
+  LiquidityLooped: HISTORY_TYPES.OPEN_POSITION,
+  PositionClosed: HISTORY_TYPES.CLOSE_POSITION,
+  ExtraDeposit: HISTORY_TYPES.EXTRA_DEPOSIT,
+  RewardClaimed: HISTORY_TYPES.CLAIM_REWARD,
+  Withdraw: HISTORY_TYPES.WITHDRAW,
+};
+
+// Amount shown for each event, closing a position reports what was withdrawn rather than repaid
+const EVENT_AMOUNTS = {
+  LiquidityLooped: 'initialAmount',
+  PositionClosed: 'withdrawn',
+  ExtraDeposit: 'amount',
+  RewardClaimed: 'userAmount',
+  Withdraw: 'amount',
+};
+
+const getEventAmount = (event) => {
+  const { tokenSymbol, decimals, units } = event[EVENT_AMOUNTS[event.name]];
+  return tokenSymbol ? { tokenSymbol, amount: formatAmount(units, decimals) } : null;
+};
+
+const normalizeHash = (transactionHash) => `0x${BigInt(transactionHash).toString(16)}`;
+
+const groupByHash = (items, getHash) =>
+  items.reduce((groups, item) => {
+    const hash = normalizeHash(getHash(item));
+    return { ...groups, [hash]: [...(groups[hash] || []), item] };
+  }, {});
+
+const eventsToEntries = (events) =>
+  Object.entries(groupByHash(events, (event) => event.transactionHash)).map(([hash, txEvents]) => {
+    const name = Object.keys(EVENT_TYPES).find((eventName) => txEvents.some((event) => event.name === eventName));
+    return {
+      hash,
+      type: EVENT_TYPES[name],
+      amounts: txEvents
+        .filter((event) => event.name === name)
+        .map(getEventAmount)
+        .filter(Boolean),
+      blockNumber: txEvents[0].blockNumber,
+      timestamp: txEvents[0].timestamp ?? null,
+    };
+  });
+
+const backendToEntry = ({ transaction_hash, status, token_symbol, amount, created_at }) => ({
+  hash: normalizeHash(transaction_hash),
+  type: BACKEND_STATUS_TYPES[status] || status,
+  amounts: amount ? [{ tokenSymbol: token_symbol, amount }] : [],
+  timestamp: new Date(created_at).getTime(),
+});
+
+const localToEntry = ({ hash, kind, status, submittedAt }) => ({
+  hash: normalizeHash(hash),
+  type: KIND_TYPES[kind] || kind,
+  status,
+  timestamp: submittedAt,
+});
+
+// Chain data wins for type and amounts, the browser knows when a transaction was sent and whether it failed
+const combineSources = (sources) => {
+  const { chain, backend, app } = sources;
+  return {
+    hash: (chain || backend || app).hash,
+    type: (chain || backend || app).type,
+    status: chain || backend ? TRANSACTION_STATUS.ACCEPTED_ON_L2 : app.status,
+    amounts: [chain, backend].find((entry) => entry?.amounts.length)?.amounts || [],
+    blockNumber: chain?.blockNumber ?? null,
+    timestamp: app?.timestamp ?? backend?.timestamp ?? chain?.timestamp ?? null,
+    sources: Object.keys(sources),
+  };
+};
+
+const byNewest = (a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0) || (b.blockNumber ?? 0) - (a.blockNumber ?? 0);
+
+/**
+ * Combines contract events, backend records and transactions submitted from this browser
+ * into one entry per transaction hash, newest first.
+ */
+export function mergeTransactionHistory({ events = [], backendTransactions = [], localTransactions = [] }) {
+  const bySource = {};
+  const addEntries = (source, entries) =>
+    entries.forEach((entry) => {
+      bySource[entry.hash] = { ...bySource[entry.hash], [source]: entry };
+    });
+
+  addEntries('chain', eventsToEntries(events));
+  addEntries('backend', backendTransactions.map(backendToEntry));
+  addEntries('app', localTransactions.map(localToEntry));
+
+  return Object.values(bySource).map(combineSources).sort(byNewest);
+}
+
+// Events only carry a block number, their time comes from the block
+const addBlockTimestamps = async (provider, events) => {
+  const blockNumbers = [...new Set(events.map(({ blockNumber }) => blockNumber))];
+  const blocks = await Promise.allSettled(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+  const timestamps = Object.fromEntries(
+    blocks.map((result, index) => [
+      blockNumbers[index],
+      result.status === 'fulfilled' ? result.value.timestamp * 1000 : null,
+    ])
+  );
+
+  return events.map((event) => ({ ...event, timestamp: timestamps[event.blockNumber] ?? null }));
+};
+
+const fetchContractEvents = async (provider, contractAddress) => {
+  if (!contractAddress) return [];
+  return addBlockTimestamps(provider, await fetchDepositEvents(provider, contractAddress));
+};
+
+/**
+ * Fetches the events emitted by the wallet's Spotnet contract and the transactions recorded by the backend.
+ * A failing source is reported in `failedSources`, the call only fails when both are unavailable.
+ */
+export async function fetchTransactionHistory({ walletId, contractAddress, provider }) {
+  const [eventsResult, backendResult] = await Promise.allSettled([
+    fetchContractEvents(provider, contractAddress),
+    axiosInstance.get(`/api/user-transactions/${walletId}`),
+  ]);
+
+  const failedSources = [];
+  if (eventsResult.status === 'rejected') {
+    console.error('Error fetching contract events:', eventsResult.reason);
+    failedSources.push('chain');
+  }
+  if (backendResult.status === 'rejected') {
+    console.error('Error fetching recorded transactions:', backendResult.reason);
+    failedSources.push('backend');
+  }
+  if (failedSources.length === 2) {
+    throw new Error('Transaction history is unavailable');
+  }
+
+  return {
+    events: eventsResult.status === 'fulfilled' ? eventsResult.value : [],
+    backendTransactions: backendResult.status === 'fulfilled' ? backendResult.value.data.transactions : [],
+    failedSources,
+  };
+}
@@ -0,0 +1,126 @@
+import { getWallet } from './wallet';
+import { useTransactionStore } from '../stores/useTransactionStore';
+import { useWalletStore } from '../stores/useWalletStore';
+
+export const TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED_ON_L2: 'accepted_on_l2',
+  REVERTED: 'reverted',
+  REJECTED: 'rejected',
+  // Polling gave up, the transaction may still be accepted later
+  TIMEOUT: 'timeout',
+};
+
+// Operation labels stored with tracked transactions
+export const TRANSACTION_KIND = {
+  DEPLOY: 'deploy',
+  OPEN_POSITION: 'open_position',
+  EXTRA_DEPOSIT: 'extra_deposit',
+  CLOSE_POSITION: 'close_position',
+  WITHDRAW: 'withdraw',
+  WITHDRAW_ALL: 'withdraw_all',
+  CLAIM_REWARD: 'claim_reward',
+  UPGRADE: 'upgrade',
+  TRANSFER_OWNERSHIP: 'transfer_ownership',
+  ACCEPT_OWNERSHIP: 'accept_ownership',
+};
+
+const DEFAULT_POLLING_OPTIONS = {
+  initialDelay: 2000,
+  maxDelay: 15000,
+  backoffFactor: 1.5,
+  timeout: 10 * 60 * 1000,
+};
+
+const ACCEPTED_STATUSES = ['ACCEPTED_ON_L2', 'ACCEPTED_ON_L1'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function fetchReceipt(provider, transactionHash) {
+  try {
+    return await provider.getTransactionReceipt(transactionHash);
+  } catch (error) {
+    // The node does not know the transaction yet
+    console.log('Waiting for transaction to be accepted...', transactionHash);
+    return null;
+  }
+}
+
+export function getReceiptStatus(receipt) {
+  if (!receipt) return TRANSACTION_STATUS.PENDING;
+
+  const finalityStatus = receipt.finality_status || receipt.status;
+  if (finalityStatus === 'REJECTED') return TRANSACTION_STATUS.REJECTED;
+  if (receipt.execution_status === 'REVERTED') return TRANSACTION_STATUS.REVERTED;
+  if (ACCEPTED_STATUSES.includes(finalityStatus)) return TRANSACTION_STATUS.ACCEPTED_ON_L2;
+
+  return TRANSACTION_STATUS.PENDING;
+}
+
+/**
+ * Records a submitted transaction and polls its receipt until it leaves the pending state.
+ * Resolves with the receipt once the transaction is accepted on L2 and rejects when it is
+ * reverted, rejected or not confirmed before the timeout, in which case it is stored as timed out.
+ *
+ * @param {string} transactionHash - hash returned by `account.execute`
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - provider used for polling, defaults to the connected wallet's provider
+ * @param {string} [options.kind] - operation label stored with the transaction (e.g. 'open_position')
+ */
+export async function trackTransaction(transactionHash, { provider, kind, ...pollingOptions } = {}) {
+  const { initialDelay, maxDelay, backoffFactor, timeout } = { ...DEFAULT_POLLING_OPTIONS, ...pollingOptions };
+  const { transactions, addTransaction, updateTransaction } = useTransactionStore.getState();
+  // A transaction resumed after a reload keeps the time it was first submitted
+  const existing = transactions[transactionHash];
+
+  addTransaction({
+    hash: transactionHash,
+    kind: kind || existing?.kind,
+    walletId: existing?.walletId || useWalletStore.getState().walletId,
+    status: TRANSACTION_STATUS.PENDING,
+    submittedAt: existing?.submittedAt || Date.now(),
+  });
+
+  const txProvider = provider || (await getWallet()).provider;
+  const startedAt = Date.now();
+  let delay = initialDelay;
+
+  let receipt = await fetchReceipt(txProvider, transactionHash);
+  let status = getReceiptStatus(receipt);
+
+  while (status === TRANSACTION_STATUS.PENDING) {
+    if (Date.now() - startedAt >= timeout) {
+      updateTransaction(transactionHash, { status: TRANSACTION_STATUS.TIMEOUT });
+      throw new Error(`Transaction ${transactionHash} was not confirmed in time`);
+    }
+
+    await sleep(delay);
+    delay = Math.min(delay * backoffFactor, maxDelay);
+
+    receipt = await fetchReceipt(txProvider, transactionHash);
+    status = getReceiptStatus(receipt);
+  }
+
+  updateTransaction(transactionHash, { status, receipt, confirmedAt: Date.now() });
+
+  if (status !== TRANSACTION_STATUS.ACCEPTED_ON_L2) {
+    const reason = receipt.revert_reason ? `: ${receipt.revert_reason}` : '';
+    throw new Error(`Transaction ${transactionHash} was ${status}${reason}`);
+  }
+
+  console.log('Transaction accepted:', receipt);
+  return receipt;
+}
+
+// Records a transaction confirmed outside of `trackTransaction` (e.g. a deployment awaited by starknet.js)
+export function recordConfirmedTransaction(transactionHash, kind) {
+  const now = Date.now();
+  useTransactionStore.getState().addTransaction({
+    hash: transactionHash,
+    kind,
+    walletId: useWalletStore.getState().walletId,
+    status: TRANSACTION_STATUS.ACCEPTED_ON_L2,
+    submittedAt: now,
+    confirmedAt: now,
+  });
+}
@@ -1,12 +1,8 @@
-import React from 'react';
 import { connect, disconnect, getSelectedConnectorWallet } from 'starknetkit';
 import { InjectedConnector } from 'starknetkit/injected';
-import { ETH_ADDRESS, STRK_ADDRESS, USDC_ADDRESS } from '../utils/constants';
-import ETH from '../assets/icons/ethereum.svg?react';
-import USDC from '../assets/icons/borrow_usdc.svg?react';
-import STRK from '../assets/icons/strk.svg?react';
-
-const CRM_TOKEN_ADDRESS = '0x051c4b1fe3bf6774b87ad0b15ef5d1472759076e42944fff9b9f641ff13e5bbe';
+import { TOKENS } from '../utils/tokens';
+import { fromU256 } from '../utils/amount';
+import { CRM_TOKEN_ADDRESS } from '../utils/constants';
 
 // Check if the connected wallet holds the CRM token
 export const checkForCRMToken = async (walletAddress) => {
@@ -15,6 +11,11 @@ export const checkForCRMToken = async (walletAddress) => {
     return true;
   }
 
+  if (!CRM_TOKEN_ADDRESS) {
+    console.log('No CRM token on this network: Skipping CRM token check.');
+    return true;
+  }
+
   try {
     const wallet = await getWallet();
 
@@ -24,9 +25,9 @@ export const checkForCRMToken = async (walletAddress) => {
       entrypoint: 'balanceOf',
       calldata: [walletAddress],
     });
-    const balance = BigInt(response.result[0]).toString();
+    const balance = fromU256(response.result[0], response.result[1]);
 
-    if (Number(balance) > 0) {
+    if (balance > 0n) {
       return true;
     } else {
       alert('Beta testing is allowed only for users who hold the CRM token.');
@@ -94,77 +95,69 @@ export const connectWallet = async () => {
   }
 };
 
+// Wallets report the chain either as a short string ('SN_MAIN') or as its hex encoding
+export function normalizeChainId(chainId) {
+  if (!chainId) return null;
+  if (String(chainId).startsWith('0x')) return String(chainId).toLowerCase();
+
+  const hex = Array.from(new TextEncoder().encode(chainId), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `0x${hex}`;
+}
+
+export async function getWalletChainId(wallet) {
+  try {
+    return normalizeChainId(wallet.chainId || (await wallet.provider.getChainId()));
+  } catch (error) {
+    console.error('Error reading wallet chain:', error);
+    return null;
+  }
+}
+
+/**
+ * Subscribes to account and network switches made inside the wallet extension.
+ * Returns a function that removes both listeners.
+ */
+export function subscribeToWalletEvents(wallet, { onAccountsChanged, onNetworkChanged }) {
+  const handleAccountsChanged = (accounts) => onAccountsChanged(accounts?.[0] || null);
+  const handleNetworkChanged = (chainId, accounts) =>
+    onNetworkChanged(normalizeChainId(chainId), accounts?.[0] || null);
+
+  wallet.on('accountsChanged', handleAccountsChanged);
+  wallet.on('networkChanged', handleNetworkChanged);
+
+  return () => {
+    wallet.off('accountsChanged', handleAccountsChanged);
+    wallet.off('networkChanged', handleNetworkChanged);
+  };
+}
+
 export function logout() {
   localStorage.removeItem('wallet_id');
   disconnect();
 }
 
-export async function getTokenBalances(walletAddress) {
+// Fetches the balance of every registry token in parallel, keyed by symbol in base units
+export async function getTokenBalances(walletAddress, wallet) {
   try {
-    const wallet = await getWallet();
-    console.log('Wallet info', wallet);
+    const connectedWallet = wallet || (await getWallet());
 
-    const tokenBalances = {
-      ETH: await getTokenBalance(wallet, walletAddress, ETH_ADDRESS),
-      USDC: await getTokenBalance(wallet, walletAddress, USDC_ADDRESS),
-      STRK: await getTokenBalance(wallet, walletAddress, STRK_ADDRESS),
-    };
+    const tokens = TOKENS.filter(({ address }) => address);
+    const balances = await Promise.all(
+      tokens.map(({ address }) => getTokenBalanceUnits(connectedWallet, walletAddress, address))
+    );
 
-    return tokenBalances;
+    return Object.fromEntries(tokens.map(({ symbol }, index) => [symbol, balances[index]]));
   } catch (error) {
     console.error('Error fetching token balances:', error);
     throw error;
   }
 }
 
-export async function getTokenBalance(wallet, walletAddress, tokenAddress) {
-  try {
-    const response = await wallet.provider.callContract({
-      contractAddress: tokenAddress,
-      entrypoint: 'balanceOf',
-      calldata: [walletAddress],
-    });
-
-    const tokenDecimals = tokenAddress === USDC_ADDRESS ? 6 : 18;
-    const balance = BigInt(response.result[0]).toString();
-    const readableBalance = (Number(balance) / 10 ** tokenDecimals).toFixed(4);
-    console.log(`Balance for token ${tokenAddress}:`, readableBalance);
-    return readableBalance;
-  } catch (error) {
-    console.error(`Error fetching balance for token ${tokenAddress}:`, error);
-    return '0';
-  }
+export async function getTokenBalanceUnits(wallet, walletAddress, tokenAddress) {
+  const response = await wallet.provider.callContract({
+    contractAddress: tokenAddress,
+    entrypoint: 'balanceOf',
+    calldata: [walletAddress],
+  });
+  return fromU256(response.result[0], response.result[1]);
 }
-
-export const getBalances = async (walletId, setBalances) => {
-  if (!walletId) return;
-  try {
-    const data = await getTokenBalances(walletId);
-
-    const updatedBalances = [
-      {
-        icon: <ETH />,
-        title: 'ETH',
-        balance: data.ETH !== undefined ? data.ETH.toString() : '0.00',
-      },
-      {
-        icon: <USDC />,
-        title: 'USDC',
-        balance: data.USDC !== undefined ? data.USDC.toString() : '0.00',
-      },
-      {
-        icon: <STRK />,
-        title: 'STRK',
-        balance: data.STRK !== undefined ? data.STRK.toString() : '0.00',
-      },
-      // { icon: <DAI />, title: 'DAI', balance: data.DAI !== undefined ? data.DAI.toString() : '0.00' },  dont have DAI in the constants file
-    ];
-
-    setBalances(updatedBalances);
-  } catch (error) {
-    console.error('Error fetching user balances:', error);
-  }
-};
-
-// Add this line for environments that don't recognize BigInt
-const BigInt = window.BigInt;
@@ -0,0 +1,34 @@
+import { create } from 'zustand';
+
+const EXPLORER_SETTINGS_KEY = 'explorer_settings';
+
+// `explorer: null` follows the default explorer of the selected network
+const DEFAULT_EXPLORER_SETTINGS = {
+  explorer: null,
+  customExplorerUrl: '',
+};
+
+const loadExplorerSettings = () => {
+  try {
+    return { ...DEFAULT_EXPLORER_SETTINGS, ...JSON.parse(localStorage.getItem(EXPLORER_SETTINGS_KEY)) };
+  } catch (error) {
+    console.error('Error reading explorer settings:', error);
+    return DEFAULT_EXPLORER_SETTINGS;
+  }
+};
+
+const saveExplorerSettings = ({ explorer, customExplorerUrl }) => {
+  localStorage.setItem(EXPLORER_SETTINGS_KEY, JSON.stringify({ explorer, customExplorerUrl }));
+};
+
+export const useExplorerSettingsStore = create((set, get) => ({
+  ...loadExplorerSettings(),
+  setExplorer: (explorer) => {
+    saveExplorerSettings({ ...get(), explorer });
+    set({ explorer });
+  },
+  setCustomExplorerUrl: (customExplorerUrl) => {
+    saveExplorerSettings({ ...get(), customExplorerUrl });
+    set({ customExplorerUrl });
+  },
+}));
@@ -0,0 +1,33 @@
+import { create } from 'zustand';
+
+const FEE_SETTINGS_KEY = 'fee_settings';
+
+const DEFAULT_FEE_SETTINGS = {
+  feeToken: 'STRK',
+  maxFeeMultiplier: 1.5,
+};
+
+const loadFeeSettings = () => {
+  try {
+    return { ...DEFAULT_FEE_SETTINGS, ...JSON.parse(localStorage.getItem(FEE_SETTINGS_KEY)) };
+  } catch (error) {
+    console.error('Error reading fee settings:', error);
+    return DEFAULT_FEE_SETTINGS;
+  }
+};
+
+const saveFeeSettings = ({ feeToken, maxFeeMultiplier }) => {
+  localStorage.setItem(FEE_SETTINGS_KEY, JSON.stringify({ feeToken, maxFeeMultiplier }));
+};
+
+export const useFeeSettingsStore = create((set, get) => ({
+  ...loadFeeSettings(),
+  setFeeToken: (feeToken) => {
+    saveFeeSettings({ ...get(), feeToken });
+    set({ feeToken });
+  },
+  setMaxFeeMultiplier: (maxFeeMultiplier) => {
+    saveFeeSettings({ ...get(), maxFeeMultiplier });
+    set({ maxFeeMultiplier });
+  },
+}));
@@ -0,0 +1,26 @@
+import { create } from 'zustand';
+
+const SLIPPAGE_SETTINGS_KEY = 'slippage_settings';
+
+export const DEFAULT_SLIPPAGE = 0.5;
+
+// Tolerance in percent keyed by wallet, so every account connected in this browser keeps its own
+const loadSlippages = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SLIPPAGE_SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading slippage settings:', error);
+    return {};
+  }
+};
+
+export const useSlippageStore = create((set, get) => ({
+  slippages: loadSlippages(),
+  setSlippage: (walletId, slippage) => {
+    const slippages = { ...get().slippages, [walletId]: slippage };
+    localStorage.setItem(SLIPPAGE_SETTINGS_KEY, JSON.stringify(slippages));
+    set({ slippages });
+  },
+}));
+
+export const getSlippage = (walletId) => useSlippageStore.getState().slippages[walletId] ?? DEFAULT_SLIPPAGE;
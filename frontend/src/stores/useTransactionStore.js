@@ -0,0 +1,38 @@
+import { create } from 'zustand';
+
+const TRANSACTIONS_KEY = 'transactions';
+const MAX_STORED_TRANSACTIONS = 100;
+
+const loadTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TRANSACTIONS_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading transactions:', error);
+    return {};
+  }
+};
+
+// Only the most recent transactions are kept, receipts are dropped to keep the entry small
+const saveTransactions = (transactions) => {
+  const recent = Object.values(transactions)
+    .sort((a, b) => b.submittedAt - a.submittedAt)
+    .slice(0, MAX_STORED_TRANSACTIONS)
+    .map((transaction) => ({ ...transaction, receipt: undefined }));
+  localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(Object.fromEntries(recent.map((tx) => [tx.hash, tx]))));
+};
+
+export const useTransactionStore = create((set) => ({
+  transactions: loadTransactions(),
+  addTransaction: (transaction) =>
+    set((state) => {
+      const transactions = { ...state.transactions, [transaction.hash]: transaction };
+      saveTransactions(transactions);
+      return { transactions };
+    }),
+  updateTransaction: (hash, changes) =>
+    set((state) => {
+      const transactions = { ...state.transactions, [hash]: { ...state.transactions[hash], ...changes } };
+      saveTransactions(transactions);
+      return { transactions };
+    }),
+}));
@@ -1,13 +1,48 @@
 import { create } from 'zustand';
 
+const PENDING_OPERATIONS_KEY = 'pending_operations';
+
+const loadPendingOperations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_OPERATIONS_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading pending operations:', error);
+    return [];
+  }
+};
+
+const savePendingOperations = (pendingOperations) => {
+  localStorage.setItem(PENDING_OPERATIONS_KEY, JSON.stringify(pendingOperations));
+};
+
 export const useWalletStore = create((set) => ({
   walletId: localStorage.getItem('wallet_id'),
+  chainId: null,
+  pendingOperations: loadPendingOperations(),
   setWalletId: (walletId) => {
     localStorage.setItem('wallet_id', walletId);
     set({ walletId });
   },
   removeWalletId: () => {
     localStorage.removeItem('wallet_id');
-    set({ walletId: undefined });
+    set({ walletId: undefined, chainId: null });
   },
+  setChainId: (chainId) => set({ chainId }),
+  addPendingOperation: (operation) =>
+    set((state) => {
+      const pendingOperations = [
+        ...state.pendingOperations.filter(({ transactionHash }) => transactionHash !== operation.transactionHash),
+        operation,
+      ];
+      savePendingOperations(pendingOperations);
+      return { pendingOperations };
+    }),
+  removePendingOperation: (transactionHash) =>
+    set((state) => {
+      const pendingOperations = state.pendingOperations.filter(
+        (operation) => operation.transactionHash !== transactionHash
+      );
+      savePendingOperations(pendingOperations);
+      return { pendingOperations };
+    }),
 }));
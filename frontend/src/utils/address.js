@@ -0,0 +1,33 @@
+import { validateAndParseAddress } from 'starknet';
+
+const HEX_ADDRESS_REGEX = /^0x[0-9a-fA-F]{1,64}$/;
+
+// Wallets and RPC nodes may pad addresses with zeros, so they are compared as numbers
+export const isSameAddress = (address, otherAddress) =>
+  !!address && !!otherAddress && BigInt(address) === BigInt(otherAddress);
+
+export const shortenAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Returns the reason `address` is not a Starknet address, or null when it is one
+export function validateAddress(address) {
+  const value = String(address || '').trim();
+  if (!value) return 'Enter a wallet address';
+  if (!HEX_ADDRESS_REGEX.test(value)) return 'Enter a 0x-prefixed hex address';
+
+  try {
+    validateAndParseAddress(value);
+  } catch {
+    return 'Address is outside the Starknet address range';
+  }
+  if (BigInt(value) === 0n) return 'The zero address is not allowed';
+
+  return null;
+}
+
+export function validateNewOwner(address, currentOwner) {
+  const error = validateAddress(address);
+  if (error) return error;
+  if (isSameAddress(address.trim(), currentOwner)) return 'This wallet already owns the contract';
+
+  return null;
+}
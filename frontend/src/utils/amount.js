@@ -0,0 +1,105 @@
+const U128_MASK = (1n << 128n) - 1n;
+const MAX_U256 = (1n << 256n) - 1n;
+const AMOUNT_REGEX = /^(\d*)(?:\.(\d*))?$/;
+
+export const ROUNDING = {
+  DOWN: 'down',
+  UP: 'up',
+  NEAREST: 'nearest',
+};
+
+/**
+ * Converts a user typed decimal string (e.g. "0.1") to token base units without going through
+ * floating point. Throws when the value is not a plain non-negative decimal or has more fraction
+ * digits than the token supports.
+ */
+export function parseAmount(value, decimals) {
+  const match = AMOUNT_REGEX.exec(String(value).trim());
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimals`);
+  }
+
+  return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+const roundUnits = (units, divisor, rounding) => {
+  const remainder = units % divisor;
+  const rounded = units - remainder;
+  if (remainder === 0n || rounding === ROUNDING.DOWN) return rounded;
+  if (rounding === ROUNDING.UP || remainder * 2n >= divisor) return rounded + divisor;
+  return rounded;
+};
+
+/**
+ * Formats base units as a decimal string with exactly `precision` fraction digits, or fewer when
+ * `trimZeros` is set. Rounds down by default so balances are never shown higher than they are.
+ */
+export function formatAmount(units, decimals, { precision = 4, rounding = ROUNDING.DOWN, trimZeros = false } = {}) {
+  const value = BigInt(units);
+  const sign = value < 0n ? '-' : '';
+  const absolute = value < 0n ? -value : value;
+  const shownDecimals = Math.min(precision, decimals);
+  const rounded = roundUnits(absolute, 10n ** BigInt(decimals - shownDecimals), rounding);
+
+  const base = 10n ** BigInt(decimals);
+  const whole = (rounded / base).toString();
+  let fraction = (rounded % base).toString().padStart(decimals, '0').slice(0, shownDecimals);
+  fraction = fraction.padEnd(precision, '0');
+  if (trimZeros) fraction = fraction.replace(/0+$/, '');
+
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Splits a value into the low and high 128 bit felts of a Cairo u256
+export function toU256(value) {
+  const amount = BigInt(value);
+  if (amount < 0n || amount > MAX_U256) {
+    throw new Error(`Value does not fit in u256: ${value}`);
+  }
+  return {
+    low: `0x${(amount & U128_MASK).toString(16)}`,
+    high: `0x${(amount >> 128n).toString(16)}`,
+  };
+}
+
+export function fromU256(low, high = 0) {
+  return BigInt(low) + (BigInt(high) << 128n);
+}
+
+// Largest amount that can be spent while keeping `reserve` aside, never negative
+export function getMaxAmount(balance, reserve = 0n) {
+  return balance > reserve ? balance - reserve : 0n;
+}
+
+/**
+ * Checks a typed amount against the token minimum and the spendable balance.
+ * Returns the reason the amount cannot be submitted, or null when it is valid.
+ * The balance check is skipped while `balance` is unknown (null).
+ */
+export function validateAmount(amount, { symbol, decimals, balance = null, minAmount = 0n, reserve = 0n }) {
+  if (!amount || !String(amount).trim()) return 'Enter an amount';
+
+  let units;
+  try {
+    units = parseAmount(amount, decimals);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (units === 0n) return 'Enter an amount';
+  if (units < minAmount) {
+    return `Minimum amount is ${formatAmount(minAmount, decimals, { precision: decimals, trimZeros: true })} ${symbol}`;
+  }
+  if (balance === null) return null;
+  if (units > balance) return `Insufficient ${symbol} balance`;
+  if (units > getMaxAmount(balance, reserve)) {
+    return `Keep ${formatAmount(reserve, decimals, { precision: decimals, trimZeros: true })} ${symbol} for gas`;
+  }
+
+  return null;
+}
@@ -0,0 +1,148 @@
+export const CHAIN_IDS = {
+  MAINNET: '0x534e5f4d41494e',
+  SEPOLIA: '0x534e5f5345504f4c4941',
+};
+
+const NETWORK_STORAGE_KEY = 'spotnet_network';
+
+// Addresses shared by every network unless the network overrides them
+const STARKNET_TOKENS = {
+  ETH: '0x49d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7',
+  STRK: '0x4718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d',
+};
+
+export const NETWORKS = {
+  mainnet: {
+    id: 'mainnet',
+    name: 'Starknet Mainnet',
+    chainId: CHAIN_IDS.MAINNET,
+    rpcUrl: 'https://starknet-mainnet.public.blastapi.io/rpc/v0_7',
+    explorers: {
+      starkscan: 'https://starkscan.co',
+      voyager: 'https://voyager.online',
+    },
+    tokens: {
+      ...STARKNET_TOKENS,
+      USDC: '0x053c91253bc9682c04929ca02ed00b3e423f6710d2ee7e0d5ebb06f3ecf368a8',
+    },
+    contracts: {
+      classHash: '0x035ae0fe6ca00fcc8020a6c64503f38bfaf3481ae9a6c8b7daec2f899df735fa',
+      ekubo: '0x00000005dd3d2f4429af886cd1a3b08289dbcea99a294197e9eb43b0e0325b4b',
+      zklend: '0x04c0a5193d58f74fbace4b74dcf65481e734ed1714121bdc571da345540efa05',
+      treasury: '0x00578f913e25ad19c3162c4c1acf255744964742b0ef32147080ef130f80a081',
+      crmToken: '0x051c4b1fe3bf6774b87ad0b15ef5d1472759076e42944fff9b9f641ff13e5bbe',
+    },
+    // Spotnet contract classes declared on the network, oldest first. Contracts running a release older than
+    // classHash are offered the upgrade, previewed with the notes of every release after theirs.
+    contractReleases: [
+      {
+        version: '0.1.0',
+        classHash: '0x035ae0fe6ca00fcc8020a6c64503f38bfaf3481ae9a6c8b7daec2f899df735fa',
+        notes: [
+          'Extra deposits and withdrawals while a position is open',
+          'DeFi Spring rewards claimed into the position',
+          'Open position status readable on-chain',
+          'Two-step ownership transfer',
+        ],
+      },
+    ],
+  },
+  sepolia: {
+    id: 'sepolia',
+    name: 'Starknet Sepolia',
+    chainId: CHAIN_IDS.SEPOLIA,
+    rpcUrl: 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7',
+    explorers: {
+      starkscan: 'https://sepolia.starkscan.co',
+      voyager: 'https://sepolia.voyager.online',
+    },
+    tokens: {
+      ...STARKNET_TOKENS,
+      USDC: '0x053b40a647cedfca6ca84f542a0fe36736031905a9639a7f19a3c1e66bfd5080',
+    },
+    contracts: {
+      classHash: null,
+      ekubo: '0x0444a09d96389aa7148f1aada508e30b71299ffe650d9c97fdaae38cb9a23384',
+      zklend: null,
+      treasury: null,
+      crmToken: null,
+    },
+    contractReleases: [],
+  },
+  // starknet-devnet predeploys ETH and STRK and reports the Sepolia chain id,
+  // everything else is deployed by the QA scripts and passed in through the env overrides below
+  devnet: {
+    id: 'devnet',
+    name: 'Starknet Devnet',
+    chainId: CHAIN_IDS.SEPOLIA,
+    rpcUrl: 'http://127.0.0.1:5050/rpc',
+    explorers: {},
+    tokens: {
+      ...STARKNET_TOKENS,
+      USDC: null,
+    },
+    contracts: {
+      classHash: null,
+      ekubo: null,
+      zklend: null,
+      treasury: null,
+      crmToken: null,
+    },
+    contractReleases: [],
+  },
+};
+
+export const DEFAULT_NETWORK_ID = NETWORKS[process.env.VITE_APP_NETWORK] ? process.env.VITE_APP_NETWORK : 'mainnet';
+
+export const IS_NETWORK_SWITCH_ENABLED =
+  process.env.VITE_APP_IS_DEV === 'true' || process.env.VITE_APP_NETWORK_SWITCH === 'true';
+
+// A network picked in the UI wins over the one the build was configured for
+export const getSelectedNetworkId = () => {
+  const storedNetworkId = localStorage.getItem(NETWORK_STORAGE_KEY);
+  return NETWORKS[storedNetworkId] ? storedNetworkId : DEFAULT_NETWORK_ID;
+};
+
+// Addresses are read once at startup, so switching networks reloads the app
+export const selectNetwork = (networkId) => {
+  if (!NETWORKS[networkId]) {
+    throw new Error(`Unknown network: ${networkId}`);
+  }
+  localStorage.setItem(NETWORK_STORAGE_KEY, networkId);
+  window.location.reload();
+};
+
+/**
+ * Resolves the configuration of `networkId`. For the network the build was configured for, VITE_APP_* variables
+ * can replace its RPC, token or contract addresses and add a custom explorer (used for devnet deployments).
+ */
+export const getNetworkConfig = (networkId = getSelectedNetworkId()) => {
+  const network = NETWORKS[networkId];
+  if (networkId !== DEFAULT_NETWORK_ID) return network;
+
+  return {
+    ...network,
+    rpcUrl: process.env.VITE_APP_RPC_URL || network.rpcUrl,
+    explorers: process.env.VITE_APP_EXPLORER_URL
+      ? { ...network.explorers, custom: process.env.VITE_APP_EXPLORER_URL }
+      : network.explorers,
+    tokens: {
+      ETH: process.env.VITE_APP_ETH_ADDRESS || network.tokens.ETH,
+      STRK: process.env.VITE_APP_STRK_ADDRESS || network.tokens.STRK,
+      USDC: process.env.VITE_APP_USDC_ADDRESS || network.tokens.USDC,
+    },
+    contracts: {
+      classHash: process.env.VITE_APP_CLASS_HASH || network.contracts.classHash,
+      ekubo: process.env.VITE_APP_EKUBO_ADDRESS || network.contracts.ekubo,
+      zklend: process.env.VITE_APP_ZKLEND_ADDRESS || network.contracts.zklend,
+      treasury: process.env.VITE_APP_TREASURY_ADDRESS || network.contracts.treasury,
+      crmToken: process.env.VITE_APP_CRM_TOKEN_ADDRESS || network.contracts.crmToken,
+    },
+  };
+};
+
+export const NETWORK = getNetworkConfig();
+
+// Devnet shares the Sepolia chain id, so the public network name is preferred
+export const getChainName = (chainId) =>
+  Object.values(NETWORKS).find((network) => network.chainId === chainId)?.name || 'an unsupported network';
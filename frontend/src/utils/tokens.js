@@ -0,0 +1,67 @@
+import EthIcon from '@/assets/icons/ethereum.svg?react';
+import StrkIcon from '@/assets/icons/strk.svg?react';
+import UsdcIcon from '@/assets/icons/borrow_usdc.svg?react';
+
+import { NETWORK } from './networks';
+
+export const ETH_ADDRESS = NETWORK.tokens.ETH;
+export const STRK_ADDRESS = NETWORK.tokens.STRK;
+export const USDC_ADDRESS = NETWORK.tokens.USDC;
+
+// Every token supported by the app, adding a token here makes it available everywhere.
+// `minAmount` is the smallest deposit accepted and `gasReserve` the amount kept aside for fees
+// when the token is used to pay them, both in token units.
+export const TOKENS = [
+  {
+    symbol: 'ETH',
+    name: 'Ethereum',
+    address: ETH_ADDRESS,
+    decimals: 18,
+    icon: EthIcon,
+    coingeckoId: 'ethereum',
+    collateralFactor: 0.8,
+    borrowFactor: 0.9,
+    minAmount: '0.001',
+    gasReserve: '0.0005',
+    isLeverageEnabled: true,
+  },
+  {
+    symbol: 'USDC',
+    name: 'USD Coin',
+    address: USDC_ADDRESS,
+    decimals: 6,
+    icon: UsdcIcon,
+    coingeckoId: 'usd-coin',
+    collateralFactor: 0.85,
+    borrowFactor: 0.9,
+    minAmount: '1',
+    gasReserve: '0',
+    isLeverageEnabled: true,
+  },
+  {
+    symbol: 'STRK',
+    name: 'STRK',
+    address: STRK_ADDRESS,
+    decimals: 18,
+    icon: StrkIcon,
+    coingeckoId: 'starknet',
+    collateralFactor: 0.75,
+    borrowFactor: 0.85,
+    minAmount: '1',
+    gasReserve: '1',
+    isLeverageEnabled: true,
+  },
+];
+
+export const TOKEN_SYMBOLS = TOKENS.map(({ symbol }) => symbol);
+
+export const LEVERAGE_TOKENS = TOKENS.filter(({ isLeverageEnabled }) => isLeverageEnabled);
+
+export const getToken = (symbol) => TOKENS.find((token) => token.symbol === symbol);
+
+// Tokens that are not deployed on the selected network have no address
+export const getTokenByAddress = (address) =>
+  TOKENS.find((token) => token.address && BigInt(token.address) === BigInt(address));
+
+// Token the loop borrows against a deposit of `symbol`, as chosen by the backend when it builds the position
+export const getDebtToken = (symbol) => (symbol === 'USDC' ? 'ETH' : 'USDC');
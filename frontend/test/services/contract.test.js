@@ -2,8 +2,20 @@
 import { connect } from 'starknetkit';
 import { getWallet } from '../../src/services/wallet';
 import { axiosInstance } from '../../src/utils/axios';
-import { deployContract, checkAndDeployContract } from '../../src/services/contract';
-import { getDeployContractData } from '../../src/utils/constants';
+import {
+  deployContract,
+  checkAndDeployContract,
+  isContractDeployed,
+  precomputeContractAddress,
+  buildDeployContractCall,
+  prepareUserContract,
+  fetchContractUpgradeStatus,
+  fetchContractOwnership,
+  isSameClassHash,
+} from '../../src/services/contract';
+import { getReadProvider } from '../../src/services/provider';
+import { CLASS_HASH, getDeployContractData } from '../../src/utils/constants';
+import { constants, hash } from 'starknet';
 import { vi, describe, it, expect, beforeEach } from 'vitest';
 
 // Mock dependencies
@@ -14,7 +26,19 @@ vi.mock('../../src/services/wallet', () => ({
   getWallet: vi.fn(),
 }));
 vi.mock('../../src/utils/axios');
-vi.mock('../../src/utils/constants');
+vi.mock('../../src/utils/constants', () => ({
+  CLASS_HASH: '0x0c3',
+  SUPERSEDED_CLASS_HASHES: ['0x0a1', '0x0b2'],
+  CONTRACT_RELEASES: [
+    { version: '1.0.0', classHash: '0x0a1', notes: ['First release'] },
+    { version: '1.1.0', classHash: '0x0b2', notes: ['Second release'] },
+    { version: '1.2.0', classHash: '0x0c3', notes: ['Third release'] },
+  ],
+  getDeployContractData: vi.fn(),
+}));
+vi.mock('../../src/services/provider', () => ({
+  getReadProvider: vi.fn(),
+}));
 vi.mock('../../src/components/layout/notifier/Notifier', () => ({
   notify: vi.fn(),
   ToastWithLink: vi.fn(),
@@ -24,6 +48,14 @@ describe('Contract Deployment Tests', () => {
   const mockWalletId = '0x123...';
   const mockTransactionHash = '0xabc...';
   const mockContractAddress = '0xdef...';
+  const mockDeployData = {
+    classHash: '0x1234',
+    salt: '0x5678',
+    unique: false,
+    constructorCalldata: ['0x1', '0x2'],
+  };
+  const notFoundError = new Error('RPC: starknet_getClassHashAt\n 20: Contract not found');
+  const mockProvider = { getClassHashAt: vi.fn(), callContract: vi.fn() };
 
   // Common mock wallet setup
   const createMockWallet = (overrides = {}) => ({
@@ -39,9 +71,9 @@ describe('Contract Deployment Tests', () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
-    getDeployContractData.mockReturnValue({
-      contractData: 'mockContractData',
-    });
+    getDeployContractData.mockReturnValue(mockDeployData);
+    getReadProvider.mockReturnValue(mockProvider);
+    mockProvider.getClassHashAt.mockRejectedValue(notFoundError);
     vi.mocked(axiosInstance.get).mockReset();
     vi.mocked(axiosInstance.post).mockReset();
   });
@@ -54,9 +86,7 @@ describe('Contract Deployment Tests', () => {
       const result = await deployContract(mockWalletId);
 
       expect(getWallet).toHaveBeenCalled();
-      expect(mockWallet.account.deployContract).toHaveBeenCalledWith({
-        contractData: 'mockContractData',
-      });
+      expect(mockWallet.account.deployContract).toHaveBeenCalledWith(mockDeployData);
       expect(mockWallet.account.waitForTransaction).toHaveBeenCalledWith(mockTransactionHash);
       expect(result).toEqual({
         transactionHash: mockTransactionHash,
@@ -93,9 +123,7 @@ describe('Contract Deployment Tests', () => {
 
       expect(axiosInstance.get).toHaveBeenCalledWith(`/api/check-user?wallet_id=${mockWalletId}`);
       expect(getWallet).toHaveBeenCalled();
-      expect(mockWallet.account.deployContract).toHaveBeenCalledWith({
-        contractData: 'mockContractData',
-      });
+      expect(mockWallet.account.deployContract).toHaveBeenCalledWith(mockDeployData);
       expect(axiosInstance.post).toHaveBeenCalledWith('/api/update-user-contract', {
         wallet_id: mockWalletId,
         contract_address: mockContractAddress,
@@ -117,7 +145,7 @@ describe('Contract Deployment Tests', () => {
       vi.mocked(axiosInstance.get).mockRejectedValue(mockError);
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
-      await checkAndDeployContract(mockWalletId);
+      await expect(checkAndDeployContract(mockWalletId)).rejects.toThrow('Backend error');
 
       expect(consoleSpy).toHaveBeenCalledWith('Error checking contract status:', mockError);
       consoleSpy.mockRestore();
@@ -133,10 +161,187 @@ describe('Contract Deployment Tests', () => {
       vi.mocked(axiosInstance.post).mockRejectedValue(mockUpdateError);
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
-      await checkAndDeployContract(mockWalletId);
+      await expect(checkAndDeployContract(mockWalletId)).rejects.toThrow('Update failed');
 
       expect(consoleSpy).toHaveBeenCalledWith('Error checking contract status:', mockUpdateError);
       consoleSpy.mockRestore();
     });
+
+    it('should register a contract already deployed at the precomputed address', async () => {
+      vi.mocked(axiosInstance.get).mockResolvedValue({
+        data: { is_contract_deployed: false },
+      });
+      mockProvider.getClassHashAt.mockResolvedValue(mockDeployData.classHash);
+      vi.mocked(axiosInstance.post).mockResolvedValue({ data: 'success' });
+
+      await checkAndDeployContract(mockWalletId);
+
+      expect(getWallet).not.toHaveBeenCalled();
+      expect(mockProvider.getClassHashAt).toHaveBeenCalledWith(precomputeContractAddress(mockWalletId));
+      expect(axiosInstance.post).toHaveBeenCalledWith('/api/update-user-contract', {
+        wallet_id: mockWalletId,
+        contract_address: precomputeContractAddress(mockWalletId),
+      });
+    });
+  });
+
+  describe('precomputeContractAddress', () => {
+    it('should compute the UDC address of a non unique deployment', () => {
+      expect(precomputeContractAddress(mockWalletId)).toBe(
+        hash.calculateContractAddressFromHash('0x5678', '0x1234', ['0x1', '0x2'], 0)
+      );
+    });
+
+    it('should compute the address of a contract deployed from another class', () => {
+      expect(precomputeContractAddress(mockWalletId, '0x0a1')).toBe(
+        hash.calculateContractAddressFromHash('0x5678', '0x0a1', ['0x1', '0x2'], 0)
+      );
+    });
+  });
+
+  describe('buildDeployContractCall', () => {
+    it('should call the UDC with the deploy data', () => {
+      expect(buildDeployContractCall(mockWalletId)).toEqual({
+        contractAddress: constants.UDC.ADDRESS,
+        entrypoint: 'deployContract',
+        calldata: ['0x1234', '0x5678', '0x0', 2, '0x1', '0x2'],
+      });
+    });
+  });
+
+  describe('prepareUserContract', () => {
+    it('should report a contract known by the backend', async () => {
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { is_contract_deployed: true } });
+
+      await expect(prepareUserContract(mockWalletId)).resolves.toEqual({ isDeployed: true, contractAddress: null });
+      expect(mockProvider.getClassHashAt).not.toHaveBeenCalled();
+    });
+
+    it('should return the precomputed address of a missing contract without deploying it', async () => {
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { is_contract_deployed: false } });
+
+      await expect(prepareUserContract(mockWalletId)).resolves.toEqual({
+        isDeployed: false,
+        contractAddress: precomputeContractAddress(mockWalletId),
+      });
+      expect(getWallet).not.toHaveBeenCalled();
+      expect(axiosInstance.post).not.toHaveBeenCalled();
+    });
+
+    it('should recover a contract deployed from a superseded class', async () => {
+      const supersededAddress = precomputeContractAddress(mockWalletId, '0x0b2');
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { is_contract_deployed: false } });
+      vi.mocked(axiosInstance.post).mockResolvedValue({ data: 'success' });
+      mockProvider.getClassHashAt.mockImplementation(async (address) => {
+        if (address === supersededAddress) return '0x0b2';
+        throw notFoundError;
+      });
+
+      await expect(prepareUserContract(mockWalletId)).resolves.toEqual({
+        isDeployed: true,
+        contractAddress: supersededAddress,
+      });
+      expect(mockProvider.getClassHashAt).toHaveBeenCalledWith(precomputeContractAddress(mockWalletId));
+      expect(mockProvider.getClassHashAt).toHaveBeenCalledWith(precomputeContractAddress(mockWalletId, '0x0a1'));
+      expect(axiosInstance.post).toHaveBeenCalledWith('/api/update-user-contract', {
+        wallet_id: mockWalletId,
+        contract_address: supersededAddress,
+      });
+    });
+  });
+
+  describe('isContractDeployed', () => {
+    it('should report whether the address has a class', async () => {
+      mockProvider.getClassHashAt.mockResolvedValueOnce('0x1234');
+
+      await expect(isContractDeployed('0x1', mockProvider)).resolves.toBe(true);
+      await expect(isContractDeployed('0x1', mockProvider)).resolves.toBe(false);
+    });
+
+    it('should rethrow other RPC errors', async () => {
+      mockProvider.getClassHashAt.mockRejectedValue(new Error('Network error'));
+
+      await expect(isContractDeployed('0x1', mockProvider)).rejects.toThrow('Network error');
+    });
+  });
+
+  describe('isSameClassHash', () => {
+    it('should ignore leading zeros', () => {
+      expect(isSameClassHash('0x0123', '0x123')).toBe(true);
+      expect(isSameClassHash('0x123', '0x124')).toBe(false);
+    });
+  });
+
+  describe('fetchContractUpgradeStatus', () => {
+    it('should offer the owner of an older release the upgrade with the notes of every later release', async () => {
+      mockProvider.getClassHashAt.mockResolvedValue('0xa1');
+      mockProvider.callContract.mockResolvedValue(['0x0123']);
+
+      await expect(fetchContractUpgradeStatus(mockContractAddress, '0x123', mockProvider)).resolves.toEqual({
+        classHash: '0xa1',
+        latestClassHash: CLASS_HASH,
+        version: '1.0.0',
+        latestVersion: '1.2.0',
+        changelog: [
+          { version: '1.1.0', classHash: '0x0b2', notes: ['Second release'] },
+          { version: '1.2.0', classHash: '0x0c3', notes: ['Third release'] },
+        ],
+        isUpgradeAvailable: true,
+        isOwner: true,
+      });
+      expect(mockProvider.callContract).toHaveBeenCalledWith({
+        contractAddress: mockContractAddress,
+        entrypoint: 'owner',
+        calldata: [],
+      });
+    });
+
+    it('should not offer an upgrade to an unknown class', async () => {
+      mockProvider.getClassHashAt.mockResolvedValue('0xdef');
+      mockProvider.callContract.mockResolvedValue(['0x123']);
+
+      await expect(fetchContractUpgradeStatus(mockContractAddress, '0x123', mockProvider)).resolves.toMatchObject({
+        version: null,
+        changelog: [],
+        isUpgradeAvailable: false,
+        isOwner: true,
+      });
+    });
+
+    it('should not offer an upgrade to the latest class', async () => {
+      mockProvider.getClassHashAt.mockResolvedValue(CLASS_HASH);
+      mockProvider.callContract.mockResolvedValue(['0x456']);
+
+      await expect(fetchContractUpgradeStatus(mockContractAddress, '0x123', mockProvider)).resolves.toMatchObject({
+        version: '1.2.0',
+        changelog: [],
+        isUpgradeAvailable: false,
+        isOwner: false,
+      });
+    });
+  });
+
+  describe('fetchContractOwnership', () => {
+    it('should read the owner and the pending owner', async () => {
+      mockProvider.callContract.mockImplementation(async ({ entrypoint }) =>
+        entrypoint === 'owner' ? ['0x123'] : ['0x456']
+      );
+
+      await expect(fetchContractOwnership(mockContractAddress, mockProvider)).resolves.toEqual({
+        owner: '0x123',
+        pendingOwner: '0x456',
+      });
+    });
+
+    it('should report no pending owner when no transfer was started', async () => {
+      mockProvider.callContract.mockImplementation(async ({ entrypoint }) =>
+        entrypoint === 'owner' ? ['0x123'] : ['0x0']
+      );
+
+      await expect(fetchContractOwnership(mockContractAddress, mockProvider)).resolves.toEqual({
+        owner: '0x123',
+        pendingOwner: null,
+      });
+    });
   });
 });
@@ -0,0 +1,126 @@
+import { hash } from 'starknet';
+import { axiosInstance } from '../../src/utils/axios';
+import { sendClaimRewardTransaction } from '../../src/services/transaction';
+import {
+  claimDefiSpringRewards,
+  fetchDefiSpringRewards,
+  getUserClaimableAmount,
+  getUserRewardAmount,
+  splitClaimableRewards,
+} from '../../src/services/defiSpring';
+import { ETH_ADDRESS } from '../../src/utils/tokens';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/axios');
+vi.mock('../../src/services/transaction', async (importOriginal) => ({
+  ...(await importOriginal()),
+  sendClaimRewardTransaction: vi.fn(),
+}));
+
+const CONTRACT_ADDRESS = '0x123';
+const claims = [
+  { claim_id: 1, recipient: CONTRACT_ADDRESS, amount: '1000000000000000000', proof: ['0x1'], claim_contract: '0xa1' },
+  { claim_id: 2, recipient: CONTRACT_ADDRESS, amount: '500000000000000000', proof: ['0x2'], claim_contract: '0xa1' },
+];
+const pendingClaim = { claim_id: null, recipient: CONTRACT_ADDRESS, amount: '300', proof: [], claim_contract: null };
+
+describe('DeFi Spring rewards', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('fetchDefiSpringRewards', () => {
+    it('should return the unclaimed rewards of the wallet', async () => {
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { airdrops: claims } });
+
+      expect(await fetchDefiSpringRewards('0xabc')).toEqual(claims);
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/defispring-rewards?wallet_id=0xabc');
+    });
+
+    it('should return no rewards when the contract is not deployed', async () => {
+      vi.mocked(axiosInstance.get).mockRejectedValue({ response: { status: 404 } });
+
+      expect(await fetchDefiSpringRewards('0xabc')).toEqual([]);
+    });
+
+    it('should rethrow other errors', async () => {
+      vi.mocked(axiosInstance.get).mockRejectedValue(new Error('Network error'));
+
+      await expect(fetchDefiSpringRewards('0xabc')).rejects.toThrow('Network error');
+    });
+  });
+
+  describe('getUserRewardAmount', () => {
+    it('should leave the user half of the claim, rounded down', () => {
+      expect(getUserRewardAmount('1000')).toBe(500n);
+      expect(getUserRewardAmount('1001')).toBe(500n);
+    });
+  });
+
+  describe('getUserClaimableAmount', () => {
+    it('should sum the user share of the claims', () => {
+      expect(getUserClaimableAmount(claims)).toBe(750000000000000000n);
+      expect(getUserClaimableAmount([])).toBe(0n);
+    });
+  });
+
+  describe('splitClaimableRewards', () => {
+    it('should report rewards without claim data as not claimable', () => {
+      expect(splitClaimableRewards([...claims, pendingClaim])).toEqual({
+        claimable: claims,
+        unclaimable: [pendingClaim],
+      });
+    });
+  });
+
+  describe('claimDefiSpringRewards', () => {
+    it('should report the STRK received from the RewardClaimed events', async () => {
+      vi.mocked(sendClaimRewardTransaction).mockResolvedValue({
+        transaction_hash: '0xabc',
+        receipt: {
+          transaction_hash: '0xabc',
+          block_number: 1,
+          events: [
+            {
+              from_address: CONTRACT_ADDRESS,
+              keys: [hash.getSelectorFromName('RewardClaimed')],
+              data: ['0x10', '0x0', '0x100', '0x0'],
+            },
+            {
+              from_address: CONTRACT_ADDRESS,
+              keys: [hash.getSelectorFromName('Withdraw')],
+              data: [ETH_ADDRESS, '0x1', '0x0'],
+            },
+          ],
+        },
+      });
+
+      const result = await claimDefiSpringRewards(claims, CONTRACT_ADDRESS);
+
+      expect(sendClaimRewardTransaction).toHaveBeenCalledWith(claims, CONTRACT_ADDRESS);
+      expect(result).toEqual({ transactionHash: '0xabc', claimedAmount: 256n });
+    });
+
+    it('should only send the claimable rewards', async () => {
+      vi.mocked(sendClaimRewardTransaction).mockResolvedValue({
+        transaction_hash: '0xabc',
+        receipt: { transaction_hash: '0xabc', block_number: 1, events: [] },
+      });
+
+      await claimDefiSpringRewards([...claims, pendingClaim], CONTRACT_ADDRESS);
+
+      expect(sendClaimRewardTransaction).toHaveBeenCalledWith(claims, CONTRACT_ADDRESS);
+    });
+
+    it('should refuse to claim rewards without claim data', async () => {
+      await expect(claimDefiSpringRewards([pendingClaim], CONTRACT_ADDRESS)).rejects.toThrow('No rewards to claim');
+      expect(sendClaimRewardTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to send an empty claim', async () => {
+      await expect(claimDefiSpringRewards([], CONTRACT_ADDRESS)).rejects.toThrow('No rewards to claim');
+      expect(sendClaimRewardTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { hash } from 'starknet';
+import {
+  decodeDepositEvent,
+  decodeEventsPage,
+  decodeReceiptEvents,
+  fetchDepositEvents,
+  getEventSelector,
+  toTokenAmount,
+} from '../../src/services/events';
+import { ETH_ADDRESS, STRK_ADDRESS, USDC_ADDRESS } from '../../src/utils/tokens';
+import { describe, it, expect, vi } from 'vitest';
+
+const CONTRACT_ADDRESS = '0x123';
+
+const rawEvent = (name, data, overrides = {}) => ({
+  from_address: CONTRACT_ADDRESS,
+  keys: [hash.getSelectorFromName(name)],
+  data,
+  transaction_hash: '0xabc',
+  block_number: 10,
+  ...overrides,
+});
+
+const withdrawEvent = (amount, overrides) => rawEvent('Withdraw', [ETH_ADDRESS, amount, '0x0'], overrides);
+
+describe('Deposit events', () => {
+  describe('toTokenAmount', () => {
+    it('should convert base units with the token decimals', () => {
+      expect(toTokenAmount(USDC_ADDRESS, 1500000n)).toEqual({
+        tokenAddress: USDC_ADDRESS,
+        tokenSymbol: 'USDC',
+        decimals: 6,
+        units: 1500000n,
+        amount: '1.5',
+      });
+    });
+
+    it('should keep the units of unknown tokens', () => {
+      expect(toTokenAmount('0x999', 5n)).toEqual({
+        tokenAddress: '0x999',
+        tokenSymbol: null,
+        decimals: null,
+        units: 5n,
+        amount: null,
+      });
+    });
+  });
+
+  describe('decodeDepositEvent', () => {
+    it('should decode LiquidityLooped events', () => {
+      const event = rawEvent('LiquidityLooped', [
+        '0xde0b6b3a7640000',
+        '0x0',
+        '0x29a2241af62c0000',
+        '0x0',
+        ETH_ADDRESS,
+        '0x77359400',
+        '0x0',
+        USDC_ADDRESS,
+      ]);
+
+      expect(decodeDepositEvent(event)).toMatchObject({
+        name: 'LiquidityLooped',
+        transactionHash: '0xabc',
+        blockNumber: 10,
+        initialAmount: { tokenSymbol: 'ETH', units: 10n ** 18n, amount: '1' },
+        deposited: { tokenSymbol: 'ETH', amount: '3' },
+        borrowed: { tokenSymbol: 'USDC', units: 2000000000n, amount: '2000' },
+      });
+    });
+
+    it('should join the high and low felts of u256 amounts', () => {
+      expect(decodeDepositEvent(rawEvent('Withdraw', [ETH_ADDRESS, '0x5', '0x1'])).amount.units).toBe(2n ** 128n + 5n);
+    });
+
+    it('should decode PositionClosed events', () => {
+      const event = rawEvent('PositionClosed', [
+        ETH_ADDRESS,
+        USDC_ADDRESS,
+        '0x1bc16d674ec80000',
+        '0x0',
+        '0xf4240',
+        '0x0',
+      ]);
+
+      expect(decodeDepositEvent(event)).toMatchObject({
+        name: 'PositionClosed',
+        withdrawn: { tokenSymbol: 'ETH', amount: '2' },
+        repaid: { tokenSymbol: 'USDC', amount: '1' },
+      });
+    });
+
+    it('should decode ExtraDeposit events', () => {
+      const event = rawEvent('ExtraDeposit', [USDC_ADDRESS, '0x7a120', '0x0', '0x456']);
+
+      expect(decodeDepositEvent(event)).toMatchObject({
+        name: 'ExtraDeposit',
+        amount: { tokenSymbol: 'USDC', amount: '0.5' },
+        depositor: '0x456',
+      });
+    });
+
+    it('should decode RewardClaimed events as STRK', () => {
+      const event = rawEvent('RewardClaimed', ['0xde0b6b3a7640000', '0x0', '0x8ac7230489e80000', '0x0']);
+
+      expect(decodeDepositEvent(event)).toMatchObject({
+        name: 'RewardClaimed',
+        treasuryAmount: { tokenAddress: STRK_ADDRESS, amount: '1' },
+        userAmount: { tokenSymbol: 'STRK', amount: '10' },
+      });
+    });
+
+    it('should ignore events that are not emitted by the deposit contract', () => {
+      expect(decodeDepositEvent(rawEvent('Transfer', ['0x1']))).toBeNull();
+    });
+  });
+
+  describe('decodeReceiptEvents', () => {
+    it('should decode the events of the user contract only', () => {
+      const receipt = {
+        transaction_hash: '0xdef',
+        block_number: 20,
+        events: [
+          { from_address: ETH_ADDRESS, keys: [hash.getSelectorFromName('Transfer')], data: [] },
+          { from_address: '0x0123', keys: [hash.getSelectorFromName('Withdraw')], data: [ETH_ADDRESS, '0x64', '0x0'] },
+          { from_address: '0x999', keys: [hash.getSelectorFromName('Withdraw')], data: [ETH_ADDRESS, '0x1', '0x0'] },
+        ],
+      };
+
+      const events = decodeReceiptEvents(receipt, CONTRACT_ADDRESS);
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ name: 'Withdraw', transactionHash: '0xdef', blockNumber: 20 });
+      expect(events[0].amount.units).toBe(100n);
+    });
+
+    it('should handle receipts without events', () => {
+      expect(decodeReceiptEvents({ transaction_hash: '0xdef' }, CONTRACT_ADDRESS)).toEqual([]);
+    });
+  });
+
+  describe('decodeEventsPage', () => {
+    it('should decode the page and expose its continuation token', () => {
+      const page = decodeEventsPage({ events: [withdrawEvent('0x1')], continuation_token: 'next' }, CONTRACT_ADDRESS);
+
+      expect(page.continuationToken).toBe('next');
+      expect(page.events.map(({ name }) => name)).toEqual(['Withdraw']);
+    });
+  });
+
+  describe('fetchDepositEvents', () => {
+    it('should follow continuation tokens until the last page', async () => {
+      const provider = {
+        getEvents: vi
+          .fn()
+          .mockResolvedValueOnce({ events: [withdrawEvent('0x1')], continuation_token: 'next' })
+          .mockResolvedValueOnce({ events: [withdrawEvent('0x2', { transaction_hash: '0xdef' })] }),
+      };
+
+      const events = await fetchDepositEvents(provider, CONTRACT_ADDRESS);
+
+      expect(provider.getEvents).toHaveBeenCalledTimes(2);
+      expect(provider.getEvents).toHaveBeenLastCalledWith(
+        expect.objectContaining({ address: CONTRACT_ADDRESS, continuation_token: 'next' })
+      );
+      expect(events.map(({ amount }) => amount.units)).toEqual([1n, 2n]);
+    });
+
+    it('should filter by the requested event selectors', async () => {
+      const provider = { getEvents: vi.fn().mockResolvedValue({ events: [] }) };
+
+      await fetchDepositEvents(provider, CONTRACT_ADDRESS, { fromBlock: 5, names: ['Withdraw'] });
+
+      expect(provider.getEvents).toHaveBeenCalledWith(
+        expect.objectContaining({
+          from_block: { block_number: 5 },
+          keys: [[getEventSelector('Withdraw')]],
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  getAddressUrl,
+  getAvailableExplorers,
+  getContractUrl,
+  getTxUrl,
+  resolveExplorer,
+} from '../../src/services/explorer';
+import { useExplorerSettingsStore } from '../../src/stores/useExplorerSettingsStore';
+import { NETWORKS } from '../../src/utils/networks';
+import { expect, describe, it, beforeEach } from 'vitest';
+
+describe('Explorer Functions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    useExplorerSettingsStore.setState({ explorer: null, customExplorerUrl: '' });
+  });
+
+  describe('resolveExplorer', () => {
+    it('should default to Starkscan on mainnet', () => {
+      expect(resolveExplorer({ explorer: null }, NETWORKS.mainnet)).toMatchObject({
+        id: 'starkscan',
+        baseUrl: 'https://starkscan.co',
+      });
+    });
+
+    it('should use the explorer chosen in the settings', () => {
+      expect(resolveExplorer({ explorer: 'voyager' }, NETWORKS.sepolia)).toMatchObject({
+        id: 'voyager',
+        name: 'Voyager',
+        baseUrl: 'https://sepolia.voyager.online',
+      });
+    });
+
+    it('should use a custom base URL without trailing slashes', () => {
+      const settings = { explorer: 'custom', customExplorerUrl: 'http://localhost:4000/' };
+
+      expect(resolveExplorer(settings, NETWORKS.devnet)).toMatchObject({
+        id: 'custom',
+        baseUrl: 'http://localhost:4000',
+      });
+    });
+
+    it('should fall back to the network default when the chosen explorer is unavailable', () => {
+      expect(resolveExplorer({ explorer: 'custom', customExplorerUrl: '' }, NETWORKS.mainnet).id).toBe('starkscan');
+    });
+
+    it('should prefer a custom explorer configured for the network', () => {
+      const network = { ...NETWORKS.devnet, explorers: { custom: 'http://localhost:4000' } };
+
+      expect(resolveExplorer({ explorer: null }, network).baseUrl).toBe('http://localhost:4000');
+    });
+
+    it('should return null when the network has no explorer', () => {
+      expect(resolveExplorer({ explorer: null }, NETWORKS.devnet)).toBeNull();
+    });
+  });
+
+  describe('getAvailableExplorers', () => {
+    it('should list the network explorers and the custom option', () => {
+      expect(getAvailableExplorers(NETWORKS.mainnet)).toEqual(['starkscan', 'voyager', 'custom']);
+      expect(getAvailableExplorers(NETWORKS.devnet)).toEqual(['custom']);
+    });
+  });
+
+  describe('link builders', () => {
+    it('should build links for the explorer in the settings', () => {
+      expect(getTxUrl('0xabc')).toBe('https://starkscan.co/tx/0xabc');
+
+      useExplorerSettingsStore.getState().setExplorer('voyager');
+
+      expect(getTxUrl('0xabc')).toBe('https://voyager.online/tx/0xabc');
+      expect(getContractUrl('0x123')).toBe('https://voyager.online/contract/0x123');
+      expect(getAddressUrl('0x456')).toBe('https://voyager.online/contract/0x456');
+    });
+
+    it('should persist the explorer settings', () => {
+      useExplorerSettingsStore.getState().setExplorer('custom');
+      useExplorerSettingsStore.getState().setCustomExplorerUrl('http://localhost:4000');
+
+      expect(JSON.parse(localStorage.getItem('explorer_settings'))).toEqual({
+        explorer: 'custom',
+        customExplorerUrl: 'http://localhost:4000',
+      });
+      expect(getTxUrl('0xabc')).toBe('http://localhost:4000/tx/0xabc');
+    });
+
+    it('should not build links without a value', () => {
+      expect(getTxUrl(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { getWallet } from '../../src/services/wallet';
+import {
+  applyMultiplier,
+  estimateFee,
+  executeWithFeeSettings,
+  formatFee,
+  getExecutionDetails,
+} from '../../src/services/fee';
+import { useFeeSettingsStore } from '../../src/stores/useFeeSettingsStore';
+import { expect, describe, it, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/services/wallet', () => ({
+  getWallet: vi.fn(),
+}));
+
+describe('Fee Functions', () => {
+  const mockCalls = [{ contractAddress: '0x123', entrypoint: 'loop_liquidity', calldata: [] }];
+  const mockResourceBounds = {
+    l1_gas: { max_amount: '0x64', max_price_per_unit: '0x10' },
+    l2_gas: { max_amount: '0x0', max_price_per_unit: '0x0' },
+  };
+  let mockWallet;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useFeeSettingsStore.setState({ feeToken: 'STRK', maxFeeMultiplier: 1.5 });
+
+    mockWallet = {
+      account: {
+        execute: vi.fn().mockResolvedValue({ transaction_hash: '0xabc123' }),
+        estimateInvokeFee: vi.fn().mockResolvedValue({
+          overall_fee: 1000n,
+          unit: 'FRI',
+          resourceBounds: mockResourceBounds,
+        }),
+      },
+    };
+    getWallet.mockResolvedValue(mockWallet);
+  });
+
+  describe('applyMultiplier', () => {
+    it('should scale BigInt and hex values', () => {
+      expect(applyMultiplier(1000n, 1.5)).toBe(1500n);
+      expect(applyMultiplier('0x64', 1.25)).toBe(125n);
+      expect(applyMultiplier(1000n, 1)).toBe(1000n);
+    });
+  });
+
+  describe('formatFee', () => {
+    it('should format fees in token units', () => {
+      expect(formatFee(1500000000000000n)).toBe('0.001500');
+      expect(formatFee(10n ** 18n, 2)).toBe('1.00');
+      expect(formatFee(null)).toBe('0.00');
+    });
+  });
+
+  describe('estimateFee', () => {
+    it('should estimate with the version of the selected fee token', async () => {
+      useFeeSettingsStore.setState({ feeToken: 'ETH' });
+
+      await estimateFee(mockCalls);
+
+      expect(mockWallet.account.estimateInvokeFee).toHaveBeenCalledWith(mockCalls, { version: 1 });
+    });
+  });
+
+  describe('getExecutionDetails', () => {
+    it('should only set the version without an estimate', () => {
+      expect(getExecutionDetails(null, { feeToken: 'ETH', maxFeeMultiplier: 2 })).toEqual({ version: 1 });
+    });
+
+    it('should set the max fee of v1 transactions', () => {
+      expect(getExecutionDetails({ overall_fee: 1000n }, { feeToken: 'ETH', maxFeeMultiplier: 2 })).toEqual({
+        version: 1,
+        maxFee: 2000n,
+      });
+    });
+
+    it('should scale the L1 gas bound of v3 transactions', () => {
+      const details = getExecutionDetails(
+        { overall_fee: 1000n, resourceBounds: mockResourceBounds },
+        { feeToken: 'STRK', maxFeeMultiplier: 1.5 }
+      );
+
+      expect(details).toEqual({
+        version: 3,
+        resourceBounds: {
+          l1_gas: { max_amount: '0x96', max_price_per_unit: '0x10' },
+          l2_gas: mockResourceBounds.l2_gas,
+        },
+      });
+    });
+  });
+
+  describe('executeWithFeeSettings', () => {
+    it('should execute the calls with the user fee settings', async () => {
+      const result = await executeWithFeeSettings(mockWallet, mockCalls);
+
+      expect(mockWallet.account.estimateInvokeFee).toHaveBeenCalledWith(mockCalls, { version: 3 });
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(
+        mockCalls,
+        expect.objectContaining({ version: 3, resourceBounds: expect.any(Object) })
+      );
+      expect(result).toEqual({ transaction_hash: '0xabc123' });
+    });
+
+    it('should let the wallet decide the fee when the estimate fails', async () => {
+      mockWallet.account.estimateInvokeFee.mockRejectedValue(new Error('Estimate failed'));
+      console.error = vi.fn();
+
+      await executeWithFeeSettings(mockWallet, mockCalls);
+
+      expect(console.error).toHaveBeenCalledWith('Error estimating fee:', expect.any(Error));
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(mockCalls, { version: 3 });
+    });
+  });
+});
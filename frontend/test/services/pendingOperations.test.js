@@ -0,0 +1,178 @@
+import { axiosInstance } from '../../src/utils/axios';
+import { trackTransaction } from '../../src/services/transactionTracker';
+import { registerUserContract } from '../../src/services/contract';
+import {
+  completePendingOperation,
+  discardFailedOperation,
+  OPERATION_KIND,
+  resumePendingOperations,
+  savePendingOperation,
+} from '../../src/services/pendingOperations';
+import { useWalletStore } from '../../src/stores/useWalletStore';
+import { useTransactionStore } from '../../src/stores/useTransactionStore';
+import { expect, describe, it, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/utils/axios');
+vi.mock('../../src/services/transactionTracker', async (importOriginal) => ({
+  ...(await importOriginal()),
+  trackTransaction: vi.fn(),
+}));
+vi.mock('../../src/components/layout/notifier/Notifier', () => ({
+  notify: vi.fn(),
+}));
+vi.mock('../../src/services/contract', () => ({
+  registerUserContract: vi.fn(),
+}));
+vi.mock('../../src/services/provider', () => ({
+  getReadProvider: vi.fn(() => mockReadProvider),
+}));
+
+const mockReadProvider = { getTransactionReceipt: vi.fn() };
+
+describe('Pending Operations', () => {
+  const mockWalletId = '0x789xyz';
+  const openOperation = {
+    kind: OPERATION_KIND.OPEN_POSITION,
+    positionId: 1,
+    walletId: mockWalletId,
+    transactionHash: '0xabc123',
+  };
+  const depositOperation = {
+    kind: OPERATION_KIND.EXTRA_DEPOSIT,
+    positionId: 2,
+    walletId: mockWalletId,
+    transactionHash: '0xdef456',
+    tokenSymbol: 'ETH',
+    amount: '0.5',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    useWalletStore.setState({ pendingOperations: [] });
+    useTransactionStore.setState({ transactions: {} });
+    console.error = vi.fn();
+  });
+
+  const persistedOperations = () => JSON.parse(localStorage.getItem('pending_operations'));
+
+  describe('savePendingOperation', () => {
+    it('should persist the operation in localStorage', () => {
+      savePendingOperation(openOperation);
+
+      expect(useWalletStore.getState().pendingOperations).toEqual([expect.objectContaining(openOperation)]);
+      expect(persistedOperations()).toEqual([expect.objectContaining(openOperation)]);
+    });
+  });
+
+  describe('completePendingOperation', () => {
+    it('should call the open position callback and drop the operation', async () => {
+      savePendingOperation(openOperation);
+      axiosInstance.get.mockResolvedValue({ data: {} });
+
+      await completePendingOperation(openOperation);
+
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/open-position', {
+        params: { position_id: 1, transaction_hash: '0xabc123' },
+      });
+      expect(persistedOperations()).toEqual([]);
+    });
+
+    it('should call the extra deposit callback', async () => {
+      axiosInstance.post.mockResolvedValue({ data: {} });
+
+      await completePendingOperation(depositOperation);
+
+      expect(axiosInstance.post).toHaveBeenCalledWith('/api/add-extra-deposit/2', {
+        transaction_hash: '0xdef456',
+        token_symbol: 'ETH',
+        amount: '0.5',
+      });
+    });
+
+    it('should keep the operation when the backend call fails', async () => {
+      savePendingOperation(openOperation);
+      axiosInstance.get.mockRejectedValue(new Error('Backend error'));
+
+      await expect(completePendingOperation(openOperation)).rejects.toThrow('Backend error');
+      expect(persistedOperations()).toHaveLength(1);
+    });
+  });
+
+  describe('discardFailedOperation', () => {
+    it('should only drop operations whose transaction failed', () => {
+      savePendingOperation(openOperation);
+
+      useTransactionStore.setState({ transactions: { '0xabc123': { status: 'pending' } } });
+      expect(discardFailedOperation('0xabc123')).toBe(false);
+      expect(persistedOperations()).toHaveLength(1);
+
+      useTransactionStore.setState({ transactions: { '0xabc123': { status: 'reverted' } } });
+      expect(discardFailedOperation('0xabc123')).toBe(true);
+      expect(persistedOperations()).toEqual([]);
+    });
+  });
+
+  describe('resumePendingOperations', () => {
+    beforeEach(() => {
+      useWalletStore.setState({
+        pendingOperations: [
+          openOperation,
+          depositOperation,
+          { ...openOperation, walletId: '0xother', transactionHash: '0x999' },
+        ],
+      });
+    });
+
+    it('should confirm and replay callbacks of the wallet operations', async () => {
+      trackTransaction.mockResolvedValue({ finality_status: 'ACCEPTED_ON_L2' });
+      axiosInstance.get.mockResolvedValue({ data: {} });
+      axiosInstance.post.mockResolvedValue({ data: {} });
+
+      await resumePendingOperations(mockWalletId);
+
+      expect(trackTransaction).toHaveBeenCalledTimes(2);
+      expect(trackTransaction).not.toHaveBeenCalledWith('0x999', expect.anything());
+      expect(trackTransaction).toHaveBeenCalledWith('0xabc123', {
+        provider: mockReadProvider,
+        kind: OPERATION_KIND.OPEN_POSITION,
+      });
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/open-position', expect.anything());
+      expect(registerUserContract).not.toHaveBeenCalled();
+      expect(axiosInstance.post).toHaveBeenCalledWith('/api/add-extra-deposit/2', expect.anything());
+      expect(useWalletStore.getState().pendingOperations).toEqual([expect.objectContaining({ walletId: '0xother' })]);
+    });
+
+    it('should register a contract deployed with the position before opening it', async () => {
+      const deployOperation = { ...openOperation, contractAddress: '0xcontract', deploysContract: true };
+      useWalletStore.setState({ pendingOperations: [deployOperation] });
+      trackTransaction.mockResolvedValue({ finality_status: 'ACCEPTED_ON_L2' });
+      axiosInstance.get.mockResolvedValue({ data: {} });
+
+      await resumePendingOperations(mockWalletId);
+
+      expect(registerUserContract).toHaveBeenCalledWith(mockWalletId, '0xcontract');
+      expect(registerUserContract.mock.invocationCallOrder[0]).toBeLessThan(
+        axiosInstance.get.mock.invocationCallOrder[0]
+      );
+      expect(useWalletStore.getState().pendingOperations).toEqual([]);
+    });
+
+    it('should drop reverted operations and keep unconfirmed ones', async () => {
+      trackTransaction.mockImplementation(async (transactionHash) => {
+        const status = transactionHash === '0xabc123' ? 'reverted' : 'pending';
+        useTransactionStore.setState({ transactions: { [transactionHash]: { status } } });
+        throw new Error(`Transaction ${transactionHash} failed`);
+      });
+
+      await resumePendingOperations(mockWalletId);
+
+      expect(axiosInstance.get).not.toHaveBeenCalled();
+      expect(axiosInstance.post).not.toHaveBeenCalled();
+      expect(useWalletStore.getState().pendingOperations.map(({ transactionHash }) => transactionHash)).toEqual([
+        '0xdef456',
+        '0x999',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { buildChainDashboard, fetchContractPortfolio, hasDashboardDiscrepancy } from '../../src/services/portfolio';
+import { ZKLEND_ADDRESS } from '../../src/utils/constants';
+import { ETH_ADDRESS, STRK_ADDRESS, USDC_ADDRESS } from '../../src/utils/tokens';
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/services/provider', () => ({
+  getReadProvider: vi.fn(),
+}));
+
+const CONTRACT_ADDRESS = '0x123';
+const Z_TOKENS = { [ETH_ADDRESS]: '0xe', [USDC_ADDRESS]: '0xu', [STRK_ADDRESS]: '0xs' };
+
+// Stubs zkLend: ETH is supplied and USDC borrowed
+const createProvider = () => ({
+  callContract: vi.fn(async ({ contractAddress, entrypoint, calldata }) => {
+    if (entrypoint === 'get_reserve_data') return ['0x1', '0x12', Z_TOKENS[calldata[0]], '0x0'];
+    if (entrypoint === 'get_user_debt_for_token') return [calldata[1] === USDC_ADDRESS ? '0x77359400' : '0x0'];
+    if (entrypoint === 'balanceOf') return contractAddress === '0xe' ? ['0x1bc16d674ec80000', '0x0'] : ['0x0', '0x0'];
+    throw new Error(`Unexpected call ${entrypoint}`);
+  }),
+});
+
+describe('Contract portfolio', () => {
+  it('should read the supplied zToken balances and the debt of every token', async () => {
+    const provider = createProvider();
+
+    const portfolio = await fetchContractPortfolio(CONTRACT_ADDRESS, provider);
+
+    expect(portfolio).toEqual({
+      ETH: { supplied: 2n * 10n ** 18n, debt: 0n },
+      USDC: { supplied: 0n, debt: 2000000000n },
+      STRK: { supplied: 0n, debt: 0n },
+    });
+    expect(provider.callContract).toHaveBeenCalledWith({
+      contractAddress: ZKLEND_ADDRESS,
+      entrypoint: 'get_user_debt_for_token',
+      calldata: [CONTRACT_ADDRESS, USDC_ADDRESS],
+    });
+    expect(provider.callContract).toHaveBeenCalledWith({
+      contractAddress: '0xe',
+      entrypoint: 'balanceOf',
+      calldata: [CONTRACT_ADDRESS],
+    });
+  });
+
+  it('should fail when zkLend cannot be read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = { callContract: vi.fn().mockRejectedValue(new Error('RPC error')) };
+
+    await expect(fetchContractPortfolio(CONTRACT_ADDRESS, provider)).rejects.toThrow('RPC error');
+  });
+});
+
+describe('Chain dashboard', () => {
+  const prices = { ETH: 2000, USDC: 1, STRK: 0.5 };
+  const portfolio = {
+    ETH: { supplied: 2, debt: 0 },
+    USDC: { supplied: 0, debt: 2000 },
+    STRK: { supplied: 120, debt: 0 },
+  };
+
+  it('should compute the dashboard figures from the zkLend balances', () => {
+    expect(buildChainDashboard(portfolio, prices)).toEqual({
+      health_ratio: '2.03',
+      multipliers: { ETH: '1.97' },
+      current_sum: 4060,
+      start_sum: 0,
+      borrowed: 2000,
+      balance: 2,
+      deposit_data: [],
+      position_id: null,
+    });
+  });
+
+  it('should not report a position without debt or while a price is missing', () => {
+    expect(buildChainDashboard({ ETH: { supplied: 2, debt: 0 } }, prices)).toBeNull();
+    expect(buildChainDashboard(portfolio, { ETH: 2000, USDC: 1 })).toBeNull();
+  });
+
+  it('should flag a backend health ratio outside the tolerance', () => {
+    const chainData = buildChainDashboard(portfolio, prices);
+
+    expect(hasDashboardDiscrepancy({ health_ratio: '2.00' }, chainData)).toBe(false);
+    expect(hasDashboardDiscrepancy({ health_ratio: '1.50' }, chainData)).toBe(true);
+  });
+});
@@ -0,0 +1,185 @@
+import { getReadProvider } from '../../src/services/provider';
+import { axiosInstance } from '../../src/utils/axios';
+import {
+  backendSource,
+  coingeckoSource,
+  ekuboSource,
+  fetchTokenPrices,
+  median,
+  MAX_PRICE_AGE,
+} from '../../src/services/price';
+import { EKUBO_ADDRESS } from '../../src/utils/constants';
+import { expect, describe, it, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/services/provider', () => ({
+  getReadProvider: vi.fn(),
+}));
+
+vi.mock('../../src/utils/axios');
+
+const createStubSource = (name, prices, timestamp = Date.now()) => ({
+  name,
+  fetchPrices: vi.fn(async (symbols) =>
+    symbols.reduce(
+      (quotes, symbol) => (prices[symbol] ? { ...quotes, [symbol]: { price: prices[symbol], timestamp } } : quotes),
+      {}
+    )
+  ),
+});
+
+const createFailingSource = (name) => ({
+  name,
+  fetchPrices: vi.fn().mockRejectedValue(new Error(`${name} unavailable`)),
+});
+
+describe('Price Functions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    console.error = vi.fn();
+  });
+
+  describe('median', () => {
+    it('should return the middle value', () => {
+      expect(median([3, 1, 2])).toBe(2);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+      expect(median([5])).toBe(5);
+    });
+  });
+
+  describe('fetchTokenPrices', () => {
+    it('should fetch all symbols from every source in one batch', async () => {
+      const source = createStubSource('stub', { ETH: 3000, STRK: 0.5 });
+
+      const result = await fetchTokenPrices(['ETH', 'STRK'], { sources: [source] });
+
+      expect(source.fetchPrices).toHaveBeenCalledTimes(1);
+      expect(source.fetchPrices).toHaveBeenCalledWith(['ETH', 'STRK']);
+      expect(result).toEqual(
+        expect.objectContaining({ prices: { ETH: 3000, STRK: 0.5 }, staleSymbols: [], failedSources: [] })
+      );
+    });
+
+    it('should use the median of the sources', async () => {
+      const sources = [
+        createStubSource('first', { ETH: 3000 }),
+        createStubSource('second', { ETH: 3010 }),
+        createStubSource('outlier', { ETH: 9000 }),
+      ];
+
+      const { prices } = await fetchTokenPrices(['ETH'], { sources });
+
+      expect(prices.ETH).toBe(3010);
+    });
+
+    it('should fall back to the remaining sources when one fails', async () => {
+      const sources = [createFailingSource('broken'), createStubSource('stub', { ETH: 3000, USDC: 1 })];
+
+      const result = await fetchTokenPrices(['ETH', 'USDC'], { sources });
+
+      expect(result.prices).toEqual({ ETH: 3000, USDC: 1 });
+      expect(result.failedSources).toEqual(['broken']);
+      expect(console.error).toHaveBeenCalledWith('Error fetching prices from broken:', expect.any(Error));
+    });
+
+    it('should ignore stale quotes while a fresh quote exists', async () => {
+      const sources = [
+        createStubSource('stale', { ETH: 2000 }, Date.now() - MAX_PRICE_AGE - 1000),
+        createStubSource('fresh', { ETH: 3000 }),
+      ];
+
+      const result = await fetchTokenPrices(['ETH'], { sources });
+
+      expect(result.prices.ETH).toBe(3000);
+      expect(result.staleSymbols).toEqual([]);
+    });
+
+    it('should flag tokens that only have stale quotes', async () => {
+      const now = Date.now();
+      const sources = [
+        createStubSource('older', { ETH: 2000 }, now - MAX_PRICE_AGE * 3),
+        createStubSource('old', { ETH: 2500 }, now - MAX_PRICE_AGE * 2),
+      ];
+
+      const result = await fetchTokenPrices(['ETH'], { sources });
+
+      expect(result.prices.ETH).toBe(2500);
+      expect(result.staleSymbols).toEqual(['ETH']);
+    });
+
+    it('should throw when no source returns a price', async () => {
+      await expect(fetchTokenPrices(['ETH'], { sources: [createFailingSource('broken')] })).rejects.toThrow(
+        'No price source is available'
+      );
+    });
+  });
+
+  describe('coingeckoSource', () => {
+    it('should request every token in a single call', async () => {
+      axiosInstance.get.mockResolvedValue({
+        data: {
+          ethereum: { usd: 3000, last_updated_at: 1700000000 },
+          starknet: { usd: 0.5, last_updated_at: 1700000000 },
+        },
+      });
+
+      const quotes = await coingeckoSource.fetchPrices(['ETH', 'STRK', 'USDC']);
+
+      expect(axiosInstance.get).toHaveBeenCalledTimes(1);
+      expect(axiosInstance.get).toHaveBeenCalledWith('https://api.coingecko.com/api/v3/simple/price', {
+        params: { ids: 'ethereum,starknet,usd-coin', vs_currencies: 'usd', include_last_updated_at: true },
+      });
+      expect(quotes).toEqual({
+        ETH: { price: 3000, timestamp: 1700000000000 },
+        STRK: { price: 0.5, timestamp: 1700000000000 },
+      });
+    });
+  });
+
+  describe('backendSource', () => {
+    it('should read the prices returned by the backend', async () => {
+      axiosInstance.get.mockResolvedValue({ data: { ETH: '3000.5', USDC: '1.0' } });
+
+      const quotes = await backendSource.fetchPrices(['ETH', 'USDC', 'STRK']);
+
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/token-prices');
+      expect(quotes).toEqual({
+        ETH: { price: 3000.5, timestamp: expect.any(Number) },
+        USDC: { price: 1, timestamp: expect.any(Number) },
+      });
+    });
+  });
+
+  describe('ekuboSource', () => {
+    it('should derive USD prices from the USDC pool prices', async () => {
+      // sqrt(3000 * 10^6 / 10^18) * 2^128 for a 3000 USDC/ETH pool
+      const sqrtRatio = BigInt(Math.round(Math.sqrt(3000e-12) * 2 ** 64)) << 64n;
+      const callContract = vi.fn().mockResolvedValue([`0x${sqrtRatio.toString(16)}`, '0x0']);
+      getReadProvider.mockReturnValue({ callContract });
+
+      const quotes = await ekuboSource.fetchPrices(['ETH', 'USDC']);
+
+      expect(callContract).toHaveBeenCalledTimes(1);
+      expect(callContract).toHaveBeenCalledWith(
+        expect.objectContaining({ contractAddress: EKUBO_ADDRESS, entrypoint: 'get_pool_price' })
+      );
+      expect(quotes.ETH.price).toBeCloseTo(3000, 2);
+      expect(quotes.USDC).toBeUndefined();
+    });
+
+    it('should keep the other tokens when one pool read fails', async () => {
+      const sqrtRatio = BigInt(Math.round(Math.sqrt(3000e-12) * 2 ** 64)) << 64n;
+      const callContract = vi
+        .fn()
+        .mockResolvedValueOnce([`0x${sqrtRatio.toString(16)}`, '0x0'])
+        .mockRejectedValueOnce(new Error('Pool not found'));
+      getReadProvider.mockReturnValue({ callContract });
+
+      const quotes = await ekuboSource.fetchPrices(['ETH', 'STRK']);
+
+      expect(callContract).toHaveBeenCalledTimes(2);
+      expect(quotes.ETH.price).toBeCloseTo(3000, 2);
+      expect(quotes.STRK).toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+});
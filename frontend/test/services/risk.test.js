@@ -0,0 +1,180 @@
+import {
+  buildHealthFactorCurve,
+  calculateLiquidationPrice,
+  calculateMultiplier,
+  calculatePortfolioHealthFactor,
+  calculatePortfolioValues,
+  calculatePositionRisk,
+  calculateWithdrawHealthFactor,
+} from '../../src/services/risk';
+import { expect, describe, it } from 'vitest';
+
+describe('Risk Functions', () => {
+  describe('calculatePositionRisk', () => {
+    const prices = { ETH: 1000, USDC: 1, STRK: 0.5 };
+
+    it('should compute the risk metrics of a looped ETH position', () => {
+      const risk = calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '2', prices });
+
+      expect(risk.totalExposure).toBe(2);
+      expect(risk.totalExposureUsd).toBe(2000);
+      expect(risk.debtToken).toBe('USDC');
+      expect(risk.debtAmount).toBe(1000);
+      // 2 ETH * $1000 * 0.8 against $1000 / 0.9 of USDC debt
+      expect(risk.healthFactor).toBeCloseTo(1.44);
+      expect(risk.liquidationPrice).toBeCloseTo(694.44, 2);
+      expect(risk.liquidationDistance).toBeCloseTo(30.56, 2);
+    });
+
+    it('should borrow ETH against a USDC deposit', () => {
+      const risk = calculatePositionRisk({ token: 'USDC', amount: '1000', multiplier: '2', prices });
+
+      expect(risk.debtToken).toBe('ETH');
+      expect(risk.debtAmount).toBe(1);
+      // 2000 USDC * $1 * 0.85 against $1000 / 0.9 of ETH debt
+      expect(risk.healthFactor).toBeCloseTo(1.53);
+    });
+
+    it('should weight a STRK position with the USDC borrow factor', () => {
+      const risk = calculatePositionRisk({ token: 'STRK', amount: '100', multiplier: '2.5', prices });
+
+      expect(risk.debtAmount).toBe(75);
+      // 250 STRK * $0.5 * 0.75 against $75 / 0.9 of USDC debt
+      expect(risk.healthFactor).toBeCloseTo(1.125);
+      expect(risk.liquidationPrice).toBeCloseTo(0.4444, 4);
+    });
+
+    it('should agree with the portfolio helpers', () => {
+      const risk = calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '3', prices });
+      const portfolio = { ETH: { supplied: 3, debt: 0 }, USDC: { supplied: 0, debt: 2000 } };
+
+      expect(risk.healthFactor).toBeCloseTo(calculatePortfolioHealthFactor(portfolio, prices));
+      expect(calculatePortfolioHealthFactor(portfolio, { ...prices, ETH: risk.liquidationPrice })).toBeCloseTo(1);
+    });
+
+    it('should bring the liquidation price closer as the multiplier grows', () => {
+      const lowRisk = calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '2', prices });
+      const highRisk = calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '3', prices });
+
+      expect(highRisk.healthFactor).toBeLessThan(lowRisk.healthFactor);
+      expect(highRisk.liquidationPrice).toBeGreaterThan(lowRisk.liquidationPrice);
+      expect(highRisk.liquidationDistance).toBeLessThan(lowRisk.liquidationDistance);
+    });
+
+    it('should have no liquidation price without debt', () => {
+      const risk = calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '1', prices });
+
+      expect(risk.healthFactor).toBe(Infinity);
+      expect(risk.liquidationPrice).toBeNull();
+    });
+
+    it('should return null for missing or invalid inputs', () => {
+      expect(calculatePositionRisk({ token: 'ETH', amount: '', multiplier: '2', prices })).toBeNull();
+      expect(calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '', prices })).toBeNull();
+      expect(calculatePositionRisk({ token: 'ETH', amount: '1', multiplier: '2', prices: { ETH: 1000 } })).toBeNull();
+      expect(calculatePositionRisk({ token: 'DOGE', amount: '1', multiplier: '2', prices })).toBeNull();
+    });
+  });
+
+  describe('buildHealthFactorCurve', () => {
+    it('should sample the health factor around the current price', () => {
+      const portfolio = { ETH: { supplied: 2, debt: 0 }, USDC: { supplied: 0, debt: 1000 } };
+
+      const curve = buildHealthFactorCurve(portfolio, { ETH: 1000, USDC: 1 }, 'ETH', { points: 5, range: 0.5 });
+
+      expect(curve.map(({ price }) => price)).toEqual([500, 750, 1000, 1250, 1500]);
+      expect(curve[2].healthFactor).toBeCloseTo(1.44);
+      expect(curve[0].healthFactor).toBeLessThan(1);
+    });
+  });
+
+  describe('calculatePortfolioHealthFactor', () => {
+    const prices = { ETH: 2000, USDC: 1, STRK: 0.5 };
+    // 2 ETH supplied, 1800 USDC borrowed: (2 * 2000 * 0.8) / (1800 / 0.9) = 1.6
+    const portfolio = {
+      ETH: { supplied: 2, debt: 0 },
+      USDC: { supplied: 0, debt: 1800 },
+      STRK: { supplied: 0, debt: 0 },
+    };
+
+    it('should weigh collateral and debt with the token factors', () => {
+      expect(calculatePortfolioHealthFactor(portfolio, prices)).toBeCloseTo(1.6);
+    });
+
+    it('should be infinite without debt', () => {
+      expect(calculatePortfolioHealthFactor({ ETH: { supplied: 1, debt: 0 } }, prices)).toBe(Infinity);
+    });
+
+    it('should ignore tokens the portfolio does not use', () => {
+      expect(calculatePortfolioHealthFactor(portfolio, { ETH: 2000, USDC: 1 })).toBeCloseTo(1.6);
+    });
+
+    it('should return null while a used price is missing', () => {
+      expect(calculatePortfolioHealthFactor(portfolio, { ETH: 2000 })).toBeNull();
+    });
+
+    describe('calculateWithdrawHealthFactor', () => {
+      it('should remove the withdrawn amount from the collateral', () => {
+        expect(calculateWithdrawHealthFactor(portfolio, prices, 'ETH', 0.5)).toBeCloseTo(1.2);
+      });
+
+      it('should not go below zero collateral', () => {
+        expect(calculateWithdrawHealthFactor(portfolio, prices, 'ETH', 5)).toBe(0);
+      });
+
+      it('should return null for tokens outside the portfolio', () => {
+        expect(calculateWithdrawHealthFactor({}, prices, 'ETH', 1)).toBeNull();
+      });
+    });
+  });
+
+  describe('calculateLiquidationPrice', () => {
+    const prices = { ETH: 2000, USDC: 1, STRK: 0.5 };
+    const portfolio = { ETH: { supplied: 2, debt: 0 }, USDC: { supplied: 0, debt: 1800 } };
+
+    it('should find the price that brings the health factor to 1', () => {
+      // 2 * p * 0.8 = 1800 / 0.9
+      const liquidationPrice = calculateLiquidationPrice(portfolio, prices, 'ETH');
+
+      expect(liquidationPrice).toBeCloseTo(1250);
+      expect(calculatePortfolioHealthFactor(portfolio, { ...prices, ETH: liquidationPrice })).toBeCloseTo(1);
+    });
+
+    it('should count the collateral of the other tokens', () => {
+      // 2 * p * 0.8 + 1000 * 0.5 * 0.75 = 2000
+      const withStrk = { ...portfolio, STRK: { supplied: 1000, debt: 0 } };
+      expect(calculateLiquidationPrice(withStrk, prices, 'ETH')).toBeCloseTo(1015.625);
+    });
+
+    it('should return null when the token price cannot liquidate the portfolio', () => {
+      expect(calculateLiquidationPrice(portfolio, prices, 'USDC')).toBeNull();
+      expect(calculateLiquidationPrice({ ETH: { supplied: 1, debt: 0 } }, prices, 'ETH')).toBeNull();
+    });
+  });
+
+  describe('calculatePortfolioValues', () => {
+    it('should sum the supplied and borrowed USD value', () => {
+      const portfolio = { ETH: { supplied: 1.5, debt: 0 }, USDC: { supplied: 100, debt: 2000 } };
+
+      expect(calculatePortfolioValues(portfolio, { ETH: 2000, USDC: 1 })).toEqual({
+        suppliedValue: 3100,
+        debtValue: 2000,
+      });
+    });
+
+    it('should return null while a used price is missing', () => {
+      expect(calculatePortfolioValues({ ETH: { supplied: 1, debt: 0 } }, {})).toBeNull();
+    });
+  });
+
+  describe('calculateMultiplier', () => {
+    it('should divide the supplied value by the equity', () => {
+      expect(calculateMultiplier(3000, 2000)).toBe(3);
+      expect(calculateMultiplier(1000, 0)).toBe(1);
+    });
+
+    it('should return null without equity', () => {
+      expect(calculateMultiplier(1000, 1000)).toBeNull();
+    });
+  });
+});
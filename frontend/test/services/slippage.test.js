@@ -0,0 +1,101 @@
+import {
+  applySlippage,
+  calculateEkuboLimits,
+  MAX_SQRT_RATIO,
+  MIN_SQRT_RATIO,
+  validateSlippage,
+} from '../../src/services/slippage';
+import { DEFAULT_SLIPPAGE, getSlippage, useSlippageStore } from '../../src/stores/useSlippageStore';
+import { EKUBO_ADDRESS } from '../../src/utils/constants';
+import { notify } from '../../src/components/layout/notifier/Notifier';
+import { expect, describe, it, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/components/layout/notifier/Notifier', () => ({
+  notify: vi.fn(),
+}));
+
+// sqrt_ratio of a price of exactly 1 in Q128.128
+const SQRT_RATIO_ONE = 2n ** 128n;
+
+describe('Slippage Functions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    useSlippageStore.setState({ slippages: {} });
+  });
+
+  describe('validateSlippage', () => {
+    it('should accept tolerances up to the maximum', () => {
+      expect(validateSlippage('0.5')).toBeNull();
+      expect(validateSlippage(50)).toBeNull();
+    });
+
+    it('should reject empty, zero and too large tolerances', () => {
+      expect(validateSlippage('')).toBe('Enter a slippage tolerance');
+      expect(validateSlippage('0')).toBe('Enter a slippage tolerance');
+      expect(validateSlippage('.')).toBe('Enter a slippage tolerance');
+      expect(validateSlippage('51')).toBe('Slippage cannot exceed 50%');
+    });
+  });
+
+  describe('calculateEkuboLimits', () => {
+    it('should bound the price, not the sqrt ratio, by the tolerance', () => {
+      const { lower, upper } = calculateEkuboLimits(SQRT_RATIO_ONE, 1);
+      const toPrice = (sqrtRatio) => (Number(sqrtRatio) / 2 ** 128) ** 2;
+
+      expect(toPrice(lower)).toBeCloseTo(0.99, 9);
+      expect(toPrice(upper)).toBeCloseTo(1.01, 9);
+    });
+
+    it('should return decimal strings as sent by the backend', () => {
+      const limits = calculateEkuboLimits(SQRT_RATIO_ONE, 0.5);
+
+      expect(limits.lower).toMatch(/^\d+$/);
+      expect(BigInt(limits.lower) < SQRT_RATIO_ONE).toBe(true);
+      expect(BigInt(limits.upper) > SQRT_RATIO_ONE).toBe(true);
+    });
+
+    it('should stay within the Ekubo sqrt ratio bounds', () => {
+      expect(calculateEkuboLimits(MIN_SQRT_RATIO, 1).lower).toBe(MIN_SQRT_RATIO.toString());
+      expect(calculateEkuboLimits(MAX_SQRT_RATIO, 1).upper).toBe(MAX_SQRT_RATIO.toString());
+    });
+  });
+
+  describe('applySlippage', () => {
+    const poolKey = { token0: '1', token1: '2', fee: '3', tick_spacing: '4', extension: '0' };
+
+    it('should replace the limits using the current pool price', async () => {
+      const provider = { callContract: vi.fn().mockResolvedValue(['0x0', '0x1']) };
+      const data = { pool_key: poolKey, ekubo_limits: { lower: '0', upper: '0' }, position_id: '1' };
+
+      const result = await applySlippage(data, 1, provider);
+
+      expect(provider.callContract).toHaveBeenCalledWith({
+        contractAddress: EKUBO_ADDRESS,
+        entrypoint: 'get_pool_price',
+        calldata: ['1', '2', '3', '4', '0'],
+      });
+      expect(result).toEqual({ ...data, ekubo_limits: calculateEkuboLimits(SQRT_RATIO_ONE, 1) });
+    });
+
+    it('should keep the backend limits and warn when the pool price cannot be read', async () => {
+      const provider = { callContract: vi.fn().mockRejectedValue(new Error('RPC error')) };
+      const data = { pool_key: poolKey, ekubo_limits: { lower: '5', upper: '6' }, position_id: '1' };
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await applySlippage(data, 1, provider);
+
+      expect(result).toEqual(data);
+      expect(notify).toHaveBeenCalledWith(expect.any(String), 'warning');
+    });
+  });
+
+  describe('getSlippage', () => {
+    it('should keep a tolerance per wallet', () => {
+      useSlippageStore.getState().setSlippage('0x1', 1);
+
+      expect(getSlippage('0x1')).toBe(1);
+      expect(getSlippage('0x2')).toBe(DEFAULT_SLIPPAGE);
+      expect(JSON.parse(localStorage.getItem('slippage_settings'))).toEqual({ '0x1': 1 });
+    });
+  });
+});
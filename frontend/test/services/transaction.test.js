@@ -1,8 +1,28 @@
 import { getWallet } from '../../src/services/wallet';
-import { sendTransaction, closePosition, handleTransaction } from '../../src/services/transaction';
+import {
+  sendTransaction,
+  closePosition,
+  handleTransaction,
+  previewPosition,
+  simulateCalls,
+  describeSimulationError,
+  buildExtraDepositCalls,
+  buildExtraDepositData,
+  buildClaimRewardCalls,
+  buildWithdrawCalls,
+  buildUpgradeCalls,
+  buildTransferOwnershipCalls,
+  sendAcceptOwnershipTransaction,
+  sendClaimRewardTransaction,
+  sendUpgradeTransaction,
+} from '../../src/services/transaction';
+import { ETH_ADDRESS, USDC_ADDRESS } from '../../src/utils/tokens';
 import { axiosInstance } from '../../src/utils/axios';
 import { mockBackendUrl } from '../constants';
-import { checkAndDeployContract } from '../../src/services/contract';
+import { buildDeployContractCall, prepareUserContract, registerUserContract } from '../../src/services/contract';
+import { useWalletStore } from '../../src/stores/useWalletStore';
+import { useSlippageStore } from '../../src/stores/useSlippageStore';
+import { applySlippage } from '../../src/services/slippage';
 import { expect, describe, it, beforeEach, vi } from 'vitest';
 
 vi.mock('../../src/services/wallet', () => ({
@@ -11,6 +31,9 @@ vi.mock('../../src/services/wallet', () => ({
 
 vi.mock('../../src/utils/axios');
 vi.mock('../../src/services/contract');
+vi.mock('../../src/services/slippage', () => ({
+  applySlippage: vi.fn(async (data, slippage) => ({ ...data, ekubo_limits: { slippage } })),
+}));
 
 vi.mock('starknet', () => ({
   CallData: class MockCallData {
@@ -37,10 +60,16 @@ describe('Transaction Functions', () => {
         execute: vi.fn().mockResolvedValue({
           transaction_hash: mockTransactionHash,
         }),
+        estimateInvokeFee: vi.fn().mockResolvedValue({
+          overall_fee: 1000n,
+          suggestedMaxFee: 2000n,
+          unit: 'WEI',
+        }),
       },
       provider: {
         getTransactionReceipt: vi.fn().mockResolvedValue({
-          status: 'ACCEPTED',
+          execution_status: 'SUCCEEDED',
+          finality_status: 'ACCEPTED_ON_L2',
         }),
       },
     };
@@ -78,13 +107,30 @@ describe('Transaction Functions', () => {
             contractAddress: mockContractAddress,
             entrypoint: 'loop_liquidity',
           }),
-        ])
+        ]),
+        expect.objectContaining({ version: 3 })
       );
+      expect(mockWallet.provider.getTransactionReceipt).toHaveBeenCalledWith(mockTransactionHash);
       expect(result).toEqual({
         loopTransaction: mockTransactionHash,
       });
     });
 
+    it('should throw error if the transaction is reverted', async () => {
+      const mockWallet = await getWallet();
+      mockWallet.provider.getTransactionReceipt.mockResolvedValue({
+        execution_status: 'REVERTED',
+        finality_status: 'ACCEPTED_ON_L2',
+        revert_reason: 'Insufficient allowance',
+      });
+
+      console.error = vi.fn();
+
+      await expect(sendTransaction(validLoopLiquidityData, mockContractAddress)).rejects.toThrow(
+        `Transaction ${mockTransactionHash} was reverted: Insufficient allowance`
+      );
+    });
+
     it('should throw error if loop_liquidity_data is invalid', async () => {
       const invalidData = { deposit_data: { token: '0x456' } };
 
@@ -121,12 +167,15 @@ describe('Transaction Functions', () => {
 
       expect(getWallet).toHaveBeenCalled();
       const mockWallet = await getWallet();
-      expect(mockWallet.account.execute).toHaveBeenCalledWith([
-        expect.objectContaining({
-          contractAddress: mockContractAddress,
-          entrypoint: 'close_position',
-        }),
-      ]);
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            contractAddress: mockContractAddress,
+            entrypoint: 'close_position',
+          }),
+        ],
+        expect.objectContaining({ version: 3 })
+      );
       expect(result).toEqual({ transaction_hash: mockTransactionHash });
     });
 
@@ -143,25 +192,316 @@ describe('Transaction Functions', () => {
     });
   });
 
+  describe('buildExtraDepositData', () => {
+    it('should convert the typed amount to base units', () => {
+      expect(buildExtraDepositData('USDC', '0.1')).toEqual({ token_address: USDC_ADDRESS, token_amount: 100000n });
+      expect(buildExtraDepositData('ETH', '1.5')).toEqual({
+        token_address: ETH_ADDRESS,
+        token_amount: 1500000000000000000n,
+      });
+    });
+
+    it('should throw on an invalid amount', () => {
+      expect(() => buildExtraDepositData('ETH', 'abc')).toThrow('Invalid amount: abc');
+    });
+  });
+
+  describe('buildExtraDepositCalls', () => {
+    it('should pass the amount as u256', () => {
+      const calls = buildExtraDepositCalls(
+        { token_address: ETH_ADDRESS, token_amount: 2n ** 128n + 1n },
+        mockContractAddress
+      );
+
+      expect(calls).toEqual([
+        expect.objectContaining({
+          contractAddress: ETH_ADDRESS,
+          entrypoint: 'approve',
+          calldata: [mockContractAddress, { low: '0x1', high: '0x1' }],
+        }),
+        expect.objectContaining({
+          contractAddress: mockContractAddress,
+          entrypoint: 'extra_deposit',
+          calldata: [ETH_ADDRESS, { low: '0x1', high: '0x1' }],
+        }),
+      ]);
+    });
+  });
+
+  describe('buildWithdrawCalls', () => {
+    it('should withdraw the amount in base units without closing the position', () => {
+      expect(buildWithdrawCalls('USDC', '1.5', mockContractAddress)).toEqual([
+        {
+          contractAddress: mockContractAddress,
+          entrypoint: 'withdraw',
+          calldata: [USDC_ADDRESS, { low: '0x16e360', high: '0x0' }],
+        },
+      ]);
+    });
+  });
+
+  describe('buildUpgradeCalls', () => {
+    it('should call upgrade on the user contract with the new class hash', () => {
+      expect(buildUpgradeCalls(mockContractAddress, '0xc1a55')).toEqual([
+        { contractAddress: mockContractAddress, entrypoint: 'upgrade', calldata: ['0xc1a55'] },
+      ]);
+    });
+  });
+
+  describe('buildTransferOwnershipCalls', () => {
+    it('should propose the new owner to the user contract', () => {
+      expect(buildTransferOwnershipCalls(mockContractAddress, '0xb0b')).toEqual([
+        { contractAddress: mockContractAddress, entrypoint: 'transfer_ownership', calldata: ['0xb0b'] },
+      ]);
+    });
+  });
+
+  describe('sendAcceptOwnershipTransaction', () => {
+    it('should accept the ownership with the connected wallet', async () => {
+      const result = await sendAcceptOwnershipTransaction(mockContractAddress);
+
+      const mockWallet = await getWallet();
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(
+        [{ contractAddress: mockContractAddress, entrypoint: 'accept_ownership', calldata: [] }],
+        expect.objectContaining({ version: 3 })
+      );
+      expect(result).toEqual({ transaction_hash: mockTransactionHash });
+    });
+  });
+
+  describe('sendUpgradeTransaction', () => {
+    it('should execute the upgrade and wait for its confirmation', async () => {
+      const result = await sendUpgradeTransaction(mockContractAddress, '0xc1a55');
+
+      const mockWallet = await getWallet();
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(
+        [expect.objectContaining({ entrypoint: 'upgrade' })],
+        expect.objectContaining({ version: 3 })
+      );
+      expect(mockWallet.provider.getTransactionReceipt).toHaveBeenCalledWith(mockTransactionHash);
+      expect(result).toEqual({ transaction_hash: mockTransactionHash });
+    });
+  });
+
+  describe('buildClaimRewardCalls', () => {
+    it('should build one claim_reward call per claim', () => {
+      const claim = {
+        claim_id: 7,
+        recipient: mockContractAddress,
+        amount: '1000',
+        proof: ['0x1', '0x2'],
+        claim_contract: '0xa1',
+      };
+
+      expect(buildClaimRewardCalls([claim], mockContractAddress)).toEqual([
+        {
+          contractAddress: mockContractAddress,
+          entrypoint: 'claim_reward',
+          calldata: [
+            {
+              claim_data: { id: 7, claimee: mockContractAddress, amount: '1000' },
+              proof: ['0x1', '0x2'],
+              airdrop_addr: '0xa1',
+            },
+          ],
+        },
+      ]);
+    });
+
+    it('should skip rewards without a claim id or airdrop contract', () => {
+      const claims = [
+        { claim_id: null, recipient: mockContractAddress, amount: '1000', proof: [], claim_contract: '0xa1' },
+        { claim_id: 8, recipient: mockContractAddress, amount: '1000', proof: [], claim_contract: null },
+      ];
+
+      expect(buildClaimRewardCalls(claims, mockContractAddress)).toEqual([]);
+    });
+  });
+
+  describe('sendClaimRewardTransaction', () => {
+    it('should return the hash and receipt once confirmed', async () => {
+      const mockWallet = await getWallet();
+
+      const result = await sendClaimRewardTransaction([], mockContractAddress);
+
+      expect(mockWallet.account.execute).toHaveBeenCalled();
+      expect(result).toEqual({
+        transaction_hash: mockTransactionHash,
+        receipt: expect.objectContaining({ finality_status: 'ACCEPTED_ON_L2' }),
+      });
+    });
+  });
+
+  describe('simulateCalls', () => {
+    const mockCalls = [{ contractAddress: mockContractAddress, entrypoint: 'loop_liquidity', calldata: [] }];
+
+    it('should return the estimated fee of the calls', async () => {
+      const mockWallet = await getWallet();
+      mockWallet.account.estimateInvokeFee.mockResolvedValue({
+        overall_fee: 1000n,
+        suggestedMaxFee: 1500n,
+        unit: 'FRI',
+      });
+
+      const result = await simulateCalls(mockCalls);
+
+      expect(mockWallet.account.estimateInvokeFee).toHaveBeenCalledWith(mockCalls, { version: 3 });
+      expect(result).toEqual({ fee: 1000n, feeToken: 'STRK', error: null });
+    });
+
+    it('should describe known reverts instead of throwing', async () => {
+      const mockWallet = await getWallet();
+      mockWallet.account.estimateInvokeFee.mockRejectedValue(
+        new Error("Execution failed. Failure reason: 0x4c494d49545f4d4147 ('LIMIT_MAG').")
+      );
+
+      console.error = vi.fn();
+
+      const result = await simulateCalls(mockCalls);
+
+      expect(result).toEqual({
+        fee: null,
+        feeToken: null,
+        error: 'Swap price moved outside the allowed slippage limits',
+      });
+    });
+  });
+
+  describe('describeSimulationError', () => {
+    it('should map contract panics to readable messages', () => {
+      expect(describeSimulationError(new Error("Failure reason: 'Approved amount insufficient'"))).toBe(
+        'Insufficient token allowance'
+      );
+      expect(describeSimulationError(new Error("Failure reason: 'Insufficient balance'"))).toBe(
+        'Insufficient token balance'
+      );
+      expect(describeSimulationError(new Error('Unknown failure'))).toBe('Unknown failure');
+    });
+  });
+
+  const mockFormData = { wallet_id: mockWalletId, token_symbol: 'ETH', amount: '1', multiplier: 2 };
+  const mockLoopLiquidityData = {
+    contract_address: mockContractAddress,
+    pool_key: '0x123',
+    deposit_data: {
+      token: '0x456',
+      amount: '1000',
+    },
+  };
+  const mockTransactionData = { ...mockLoopLiquidityData, position_id: 1 };
+
+  describe('previewPosition', () => {
+    beforeEach(() => {
+      axiosInstance.get.mockResolvedValue({ data: mockLoopLiquidityData });
+      prepareUserContract.mockResolvedValue({ isDeployed: true, contractAddress: null });
+    });
+
+    it('should simulate the calls of the position without creating it', async () => {
+      const preview = await previewPosition(mockWalletId, mockFormData);
+
+      const mockWallet = await getWallet();
+      expect(prepareUserContract).toHaveBeenCalledWith(mockWalletId);
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/get-loop-liquidity-data', { params: mockFormData });
+      expect(axiosInstance.post).not.toHaveBeenCalled();
+      expect(mockWallet.account.estimateInvokeFee).toHaveBeenCalledWith(
+        [expect.objectContaining({ entrypoint: 'approve' }), expect.objectContaining({ entrypoint: 'loop_liquidity' })],
+        { version: 3 }
+      );
+      expect(mockWallet.account.execute).not.toHaveBeenCalled();
+      expect(preview).toEqual({
+        formData: mockFormData,
+        transactionData: { ...mockLoopLiquidityData, ekubo_limits: { slippage: 0.5 } },
+        calls: expect.any(Array),
+        deploysContract: false,
+        slippage: 0.5,
+        fee: 1000n,
+        feeToken: 'ETH',
+        error: null,
+      });
+    });
+
+    it('should bound the swaps with the slippage chosen by the wallet', async () => {
+      useSlippageStore.setState({ slippages: { [mockWalletId]: 1 } });
+
+      const preview = await previewPosition(mockWalletId, mockFormData);
+
+      expect(applySlippage).toHaveBeenCalledWith(mockLoopLiquidityData, 1);
+      expect(preview.slippage).toBe(1);
+      useSlippageStore.setState({ slippages: {} });
+    });
+
+    it('should reject an invalid amount before requesting the position data', async () => {
+      const preview = await previewPosition(mockWalletId, {
+        ...mockFormData,
+        token_symbol: 'USDC',
+        amount: '0.1234567',
+      });
+
+      expect(prepareUserContract).not.toHaveBeenCalled();
+      expect(axiosInstance.get).not.toHaveBeenCalled();
+      expect(preview).toBeNull();
+    });
+
+    it('should deploy a missing contract in the same multicall', async () => {
+      const deployCall = { contractAddress: '0xudc', entrypoint: 'deployContract', calldata: [] };
+      prepareUserContract.mockResolvedValue({ isDeployed: false, contractAddress: '0xprecomputed' });
+      buildDeployContractCall.mockReturnValue(deployCall);
+      axiosInstance.get.mockResolvedValue({ data: { ...mockLoopLiquidityData, contract_address: null } });
+
+      const preview = await previewPosition(mockWalletId, mockFormData);
+
+      expect(buildDeployContractCall).toHaveBeenCalledWith(mockWalletId);
+      expect(applySlippage).toHaveBeenCalledWith({ ...mockLoopLiquidityData, contract_address: '0xprecomputed' }, 0.5);
+      expect(preview.deploysContract).toBe(true);
+      expect(preview.calls).toEqual([
+        deployCall,
+        expect.objectContaining({ entrypoint: 'approve' }),
+        expect.objectContaining({ contractAddress: '0xprecomputed', entrypoint: 'loop_liquidity' }),
+      ]);
+    });
+
+    it('should handle contract check error', async () => {
+      const mockError = new Error('Contract check failed');
+      prepareUserContract.mockRejectedValue(mockError);
+
+      console.error = vi.fn();
+
+      const preview = await previewPosition(mockWalletId, mockFormData);
+
+      expect(console.error).toHaveBeenCalledWith('Error checking contract:', mockError);
+      expect(axiosInstance.get).not.toHaveBeenCalled();
+      expect(preview).toBeNull();
+    });
+
+    it('should handle position data error', async () => {
+      const mockError = new Error('Position data unavailable');
+      axiosInstance.get.mockRejectedValue(mockError);
+
+      console.error = vi.fn();
+
+      const preview = await previewPosition(mockWalletId, mockFormData);
+
+      expect(console.error).toHaveBeenCalledWith('Failed to preview position:', mockError);
+      expect(preview).toBeNull();
+    });
+  });
+
   describe('handleTransaction', () => {
     const mockSetTokenAmount = vi.fn();
     const mockSetLoading = vi.fn();
-    const mockFormData = { position_id: 1 };
-    const mockTransactionData = {
-      position_id: 1,
-      contract_address: mockContractAddress,
-      pool_key: '0x123',
-      deposit_data: {
-        token: '0x456',
-        amount: '1000',
-      },
+    const mockPreview = {
+      formData: mockFormData,
+      transactionData: mockLoopLiquidityData,
+      slippage: 0.5,
+      fee: 2000n,
+      feeToken: 'ETH',
+      error: null,
     };
 
     beforeEach(() => {
       mockSetTokenAmount.mockClear();
       mockSetLoading.mockClear();
       axiosInstance.post.mockResolvedValue({ data: mockTransactionData });
-      checkAndDeployContract.mockResolvedValue();
     });
 
     it('should handle successful transaction flow', async () => {
@@ -169,39 +509,92 @@ describe('Transaction Functions', () => {
         data: { status: 'open' },
       });
 
-      await handleTransaction(mockWalletId, mockFormData, mockSetTokenAmount, mockSetLoading);
+      await handleTransaction(mockWalletId, mockPreview, mockSetTokenAmount, mockSetLoading);
 
       expect(mockSetLoading).toHaveBeenCalledWith(true);
-      expect(checkAndDeployContract).toHaveBeenCalledWith(mockWalletId);
       expect(axiosInstance.post).toHaveBeenCalledWith('/api/create-position', mockFormData);
+      expect(applySlippage).toHaveBeenCalledWith(mockTransactionData, 0.5);
       expect(axiosInstance.get).toHaveBeenCalledWith('/api/open-position', {
         params: { position_id: mockTransactionData.position_id, transaction_hash: mockTransactionHash },
       });
+      expect(registerUserContract).not.toHaveBeenCalled();
       expect(mockSetTokenAmount).toHaveBeenCalledWith('');
       expect(mockSetLoading).toHaveBeenCalledWith(false);
+      expect(useWalletStore.getState().pendingOperations).toEqual([]);
     });
 
-    it('should handle contract deployment error', async () => {
-      const mockError = new Error('Contract deployment failed');
-      checkAndDeployContract.mockRejectedValue(mockError);
+    it('should deploy and register the contract along with the position', async () => {
+      const deployCall = { contractAddress: '0xudc', entrypoint: 'deployContract', calldata: [] };
+      buildDeployContractCall.mockReturnValue(deployCall);
+      axiosInstance.post.mockResolvedValue({ data: { ...mockTransactionData, contract_address: null } });
+      axiosInstance.get.mockResolvedValueOnce({ data: { status: 'open' } });
+
+      await handleTransaction(
+        mockWalletId,
+        { ...mockPreview, deploysContract: true },
+        mockSetTokenAmount,
+        mockSetLoading
+      );
+
+      const mockWallet = await getWallet();
+      expect(buildDeployContractCall).toHaveBeenCalledWith(mockWalletId);
+      expect(mockWallet.account.execute).toHaveBeenCalledWith(
+        [
+          deployCall,
+          expect.objectContaining({ entrypoint: 'approve' }),
+          expect.objectContaining({ entrypoint: 'loop_liquidity' }),
+        ],
+        expect.objectContaining({ version: 3 })
+      );
+      expect(registerUserContract).toHaveBeenCalledWith(mockWalletId, mockContractAddress);
+      expect(useWalletStore.getState().pendingOperations).toEqual([]);
+    });
+
+    it('should not prompt the wallet when the simulation failed', async () => {
+      await handleTransaction(
+        mockWalletId,
+        { ...mockPreview, fee: null, error: 'Insufficient token balance' },
+        mockSetTokenAmount,
+        mockSetLoading
+      );
+
+      const mockWallet = await getWallet();
+      expect(axiosInstance.post).not.toHaveBeenCalled();
+      expect(mockWallet.account.execute).not.toHaveBeenCalled();
+      expect(mockSetLoading).not.toHaveBeenCalled();
+    });
+
+    it('should keep the pending operation when the open position callback fails', async () => {
+      axiosInstance.get.mockRejectedValueOnce(new Error('Backend unavailable'));
 
       console.error = vi.fn();
 
-      await handleTransaction(mockWalletId, mockFormData, mockSetTokenAmount, mockSetLoading);
+      await handleTransaction(mockWalletId, mockPreview, mockSetTokenAmount, mockSetLoading);
 
-      expect(console.error).toHaveBeenCalledWith('Error deploying contract:', mockError);
-      expect(mockSetLoading).toHaveBeenCalledWith(false);
+      expect(useWalletStore.getState().pendingOperations).toEqual([
+        expect.objectContaining({
+          kind: 'open_position',
+          positionId: mockTransactionData.position_id,
+          walletId: mockWalletId,
+          transactionHash: mockTransactionHash,
+        }),
+      ]);
+      useWalletStore.setState({ pendingOperations: [] });
     });
 
-    it('should handle create position error', async () => {
-      const mockError = new Error('Create position failed');
-      axiosInstance.post.mockRejectedValue(mockError);
+    it('should not open position on backend when the transaction is reverted', async () => {
+      const mockWallet = await getWallet();
+      mockWallet.provider.getTransactionReceipt.mockResolvedValue({
+        execution_status: 'REVERTED',
+        finality_status: 'ACCEPTED_ON_L2',
+      });
 
       console.error = vi.fn();
 
-      await handleTransaction(mockWalletId, mockFormData, mockSetTokenAmount, mockSetLoading);
+      await handleTransaction(mockWalletId, mockPreview, mockSetTokenAmount, mockSetLoading);
 
-      expect(console.error).toHaveBeenCalledWith('Failed to create position:', mockError);
+      expect(axiosInstance.get).not.toHaveBeenCalledWith('/api/open-position', expect.anything());
+      expect(mockSetTokenAmount).not.toHaveBeenCalled();
       expect(mockSetLoading).toHaveBeenCalledWith(false);
     });
   });
@@ -0,0 +1,161 @@
+import { axiosInstance } from '../../src/utils/axios';
+import { fetchDepositEvents } from '../../src/services/events';
+import { fetchTransactionHistory, HISTORY_TYPES, mergeTransactionHistory } from '../../src/services/transactionHistory';
+import { TRANSACTION_KIND, TRANSACTION_STATUS } from '../../src/services/transactionTracker';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/axios');
+vi.mock('../../src/services/events', () => ({
+  fetchDepositEvents: vi.fn(),
+}));
+vi.mock('../../src/services/wallet', () => ({
+  getWallet: vi.fn(),
+}));
+
+const eth = (units) => ({ tokenSymbol: 'ETH', decimals: 18, units });
+
+describe('Transaction history', () => {
+  describe('mergeTransactionHistory', () => {
+    it('should combine every source into one entry per transaction', () => {
+      const history = mergeTransactionHistory({
+        events: [
+          {
+            name: 'LiquidityLooped',
+            transactionHash: '0x0abc',
+            blockNumber: 10,
+            initialAmount: eth(10n ** 18n),
+            timestamp: 3000,
+          },
+        ],
+        backendTransactions: [
+          {
+            transaction_hash: '0xabc',
+            status: 'opened',
+            token_symbol: 'ETH',
+            amount: '1',
+            created_at: '1970-01-01T00:00:02Z',
+          },
+        ],
+        localTransactions: [
+          {
+            hash: '0xABC',
+            kind: TRANSACTION_KIND.OPEN_POSITION,
+            status: TRANSACTION_STATUS.PENDING,
+            submittedAt: 1000,
+          },
+        ],
+      });
+
+      expect(history).toEqual([
+        {
+          hash: '0xabc',
+          type: HISTORY_TYPES.OPEN_POSITION,
+          status: TRANSACTION_STATUS.ACCEPTED_ON_L2,
+          amounts: [{ tokenSymbol: 'ETH', amount: '1.0000' }],
+          blockNumber: 10,
+          timestamp: 1000,
+          sources: ['chain', 'backend', 'app'],
+        },
+      ]);
+    });
+
+    it('should name a closing transaction after the position rather than its withdrawal', () => {
+      const [entry] = mergeTransactionHistory({
+        events: [
+          { name: 'Withdraw', transactionHash: '0x1', blockNumber: 1, amount: eth(1n) },
+          {
+            name: 'PositionClosed',
+            transactionHash: '0x1',
+            blockNumber: 1,
+            withdrawn: eth(2n * 10n ** 18n),
+          },
+        ],
+      });
+
+      expect(entry.type).toBe(HISTORY_TYPES.CLOSE_POSITION);
+      expect(entry.amounts).toEqual([{ tokenSymbol: 'ETH', amount: '2.0000' }]);
+    });
+
+    it('should keep the local status of transactions missing from the chain and backend', () => {
+      const [entry] = mergeTransactionHistory({
+        localTransactions: [
+          { hash: '0x2', kind: TRANSACTION_KIND.WITHDRAW_ALL, status: TRANSACTION_STATUS.REVERTED, submittedAt: 5 },
+        ],
+      });
+
+      expect(entry).toMatchObject({ type: HISTORY_TYPES.WITHDRAW, status: TRANSACTION_STATUS.REVERTED, amounts: [] });
+    });
+
+    it('should leave out the amount of backend records that do not report one', () => {
+      const [entry] = mergeTransactionHistory({
+        backendTransactions: [
+          { transaction_hash: '0x3', status: 'extra_deposit', token_symbol: 'ETH', amount: null, created_at: 0 },
+        ],
+      });
+
+      expect(entry).toMatchObject({ type: HISTORY_TYPES.EXTRA_DEPOSIT, amounts: [] });
+    });
+
+    it('should sort entries newest first', () => {
+      const history = mergeTransactionHistory({
+        localTransactions: [
+          { hash: '0x1', kind: TRANSACTION_KIND.DEPLOY, status: TRANSACTION_STATUS.ACCEPTED_ON_L2, submittedAt: 1 },
+          { hash: '0x2', kind: TRANSACTION_KIND.CLAIM_REWARD, status: TRANSACTION_STATUS.PENDING, submittedAt: 2 },
+        ],
+      });
+
+      expect(history.map(({ hash }) => hash)).toEqual(['0x2', '0x1']);
+    });
+  });
+
+  describe('fetchTransactionHistory', () => {
+    const provider = { getBlock: vi.fn().mockResolvedValue({ timestamp: 100 }) };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('should add block timestamps to contract events', async () => {
+      vi.mocked(fetchDepositEvents).mockResolvedValue([{ name: 'Withdraw', blockNumber: 7 }]);
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { transactions: [] } });
+
+      const result = await fetchTransactionHistory({ walletId: '0x123', contractAddress: '0x456', provider });
+
+      expect(axiosInstance.get).toHaveBeenCalledWith('/api/user-transactions/0x123');
+      expect(provider.getBlock).toHaveBeenCalledWith(7);
+      expect(result).toEqual({
+        events: [{ name: 'Withdraw', blockNumber: 7, timestamp: 100000 }],
+        backendTransactions: [],
+        failedSources: [],
+      });
+    });
+
+    it('should skip contract events without a deployed contract', async () => {
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { transactions: [] } });
+
+      await fetchTransactionHistory({ walletId: '0x123', contractAddress: null, provider });
+
+      expect(fetchDepositEvents).not.toHaveBeenCalled();
+    });
+
+    it('should report a failing source', async () => {
+      vi.mocked(fetchDepositEvents).mockRejectedValue(new Error('RPC error'));
+      vi.mocked(axiosInstance.get).mockResolvedValue({ data: { transactions: [{ transaction_hash: '0x1' }] } });
+
+      const result = await fetchTransactionHistory({ walletId: '0x123', contractAddress: '0x456', provider });
+
+      expect(result.failedSources).toEqual(['chain']);
+      expect(result.backendTransactions).toEqual([{ transaction_hash: '0x1' }]);
+    });
+
+    it('should fail when both sources are unavailable', async () => {
+      vi.mocked(fetchDepositEvents).mockRejectedValue(new Error('RPC error'));
+      vi.mocked(axiosInstance.get).mockRejectedValue(new Error('Network error'));
+
+      await expect(fetchTransactionHistory({ walletId: '0x123', contractAddress: '0x456', provider })).rejects.toThrow(
+        'Transaction history is unavailable'
+      );
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { getWallet } from '../../src/services/wallet';
+import {
+  getReceiptStatus,
+  recordConfirmedTransaction,
+  trackTransaction,
+  TRANSACTION_KIND,
+  TRANSACTION_STATUS,
+} from '../../src/services/transactionTracker';
+import { useTransactionStore } from '../../src/stores/useTransactionStore';
+import { useWalletStore } from '../../src/stores/useWalletStore';
+import { expect, describe, it, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/services/wallet', () => ({
+  getWallet: vi.fn(),
+}));
+
+describe('Transaction Tracker', () => {
+  const mockTransactionHash = '0xabc123';
+  const acceptedReceipt = { execution_status: 'SUCCEEDED', finality_status: 'ACCEPTED_ON_L2' };
+  const pollingOptions = { initialDelay: 0, maxDelay: 0 };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useTransactionStore.setState({ transactions: {} });
+    console.log = vi.fn();
+  });
+
+  describe('getReceiptStatus', () => {
+    it('should map receipts to tracker statuses', () => {
+      expect(getReceiptStatus(null)).toBe(TRANSACTION_STATUS.PENDING);
+      expect(getReceiptStatus({ finality_status: 'RECEIVED' })).toBe(TRANSACTION_STATUS.PENDING);
+      expect(getReceiptStatus(acceptedReceipt)).toBe(TRANSACTION_STATUS.ACCEPTED_ON_L2);
+      expect(getReceiptStatus({ execution_status: 'SUCCEEDED', finality_status: 'ACCEPTED_ON_L1' })).toBe(
+        TRANSACTION_STATUS.ACCEPTED_ON_L2
+      );
+      expect(getReceiptStatus({ execution_status: 'REVERTED', finality_status: 'ACCEPTED_ON_L2' })).toBe(
+        TRANSACTION_STATUS.REVERTED
+      );
+      expect(getReceiptStatus({ status: 'REJECTED' })).toBe(TRANSACTION_STATUS.REJECTED);
+    });
+  });
+
+  describe('trackTransaction', () => {
+    it('should resolve with the receipt once the transaction is accepted', async () => {
+      const provider = {
+        getTransactionReceipt: vi
+          .fn()
+          .mockRejectedValueOnce(new Error('Transaction hash not found'))
+          .mockResolvedValueOnce({ finality_status: 'RECEIVED' })
+          .mockResolvedValueOnce(acceptedReceipt),
+      };
+
+      const receipt = await trackTransaction(mockTransactionHash, {
+        provider,
+        kind: 'open_position',
+        ...pollingOptions,
+      });
+
+      expect(receipt).toEqual(acceptedReceipt);
+      expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(3);
+      expect(useTransactionStore.getState().transactions[mockTransactionHash]).toEqual(
+        expect.objectContaining({
+          hash: mockTransactionHash,
+          kind: 'open_position',
+          status: TRANSACTION_STATUS.ACCEPTED_ON_L2,
+        })
+      );
+    });
+
+    it('should use the connected wallet provider when none is given', async () => {
+      const provider = { getTransactionReceipt: vi.fn().mockResolvedValue(acceptedReceipt) };
+      getWallet.mockResolvedValue({ provider });
+
+      await trackTransaction(mockTransactionHash, pollingOptions);
+
+      expect(getWallet).toHaveBeenCalled();
+      expect(provider.getTransactionReceipt).toHaveBeenCalledWith(mockTransactionHash);
+    });
+
+    it('should reject and record reverted transactions', async () => {
+      const provider = {
+        getTransactionReceipt: vi.fn().mockResolvedValue({
+          execution_status: 'REVERTED',
+          finality_status: 'ACCEPTED_ON_L2',
+          revert_reason: 'Slippage exceeded',
+        }),
+      };
+
+      await expect(trackTransaction(mockTransactionHash, { provider, ...pollingOptions })).rejects.toThrow(
+        `Transaction ${mockTransactionHash} was reverted: Slippage exceeded`
+      );
+      expect(useTransactionStore.getState().transactions[mockTransactionHash].status).toBe(TRANSACTION_STATUS.REVERTED);
+    });
+
+    it('should reject rejected transactions', async () => {
+      const provider = { getTransactionReceipt: vi.fn().mockResolvedValue({ status: 'REJECTED' }) };
+
+      await expect(trackTransaction(mockTransactionHash, { provider, ...pollingOptions })).rejects.toThrow(
+        `Transaction ${mockTransactionHash} was rejected`
+      );
+      expect(useTransactionStore.getState().transactions[mockTransactionHash].status).toBe(TRANSACTION_STATUS.REJECTED);
+    });
+
+    it('should give up after the timeout and record the transaction as timed out', async () => {
+      const provider = { getTransactionReceipt: vi.fn().mockResolvedValue({ finality_status: 'RECEIVED' }) };
+
+      await expect(trackTransaction(mockTransactionHash, { provider, ...pollingOptions, timeout: 0 })).rejects.toThrow(
+        `Transaction ${mockTransactionHash} was not confirmed in time`
+      );
+      expect(useTransactionStore.getState().transactions[mockTransactionHash].status).toBe(TRANSACTION_STATUS.TIMEOUT);
+    });
+
+    it('should keep the submission time and kind of a resumed transaction', async () => {
+      useTransactionStore.setState({
+        transactions: {
+          [mockTransactionHash]: {
+            hash: mockTransactionHash,
+            kind: TRANSACTION_KIND.OPEN_POSITION,
+            status: TRANSACTION_STATUS.TIMEOUT,
+            submittedAt: 1000,
+          },
+        },
+      });
+      const provider = { getTransactionReceipt: vi.fn().mockResolvedValue(acceptedReceipt) };
+
+      await trackTransaction(mockTransactionHash, { provider, ...pollingOptions });
+
+      expect(useTransactionStore.getState().transactions[mockTransactionHash]).toEqual(
+        expect.objectContaining({
+          kind: TRANSACTION_KIND.OPEN_POSITION,
+          status: TRANSACTION_STATUS.ACCEPTED_ON_L2,
+          submittedAt: 1000,
+        })
+      );
+    });
+  });
+
+  describe('recordConfirmedTransaction', () => {
+    it('should store an accepted transaction for the connected wallet', () => {
+      useWalletStore.setState({ walletId: '0x123' });
+
+      recordConfirmedTransaction(mockTransactionHash, TRANSACTION_KIND.DEPLOY);
+
+      expect(useTransactionStore.getState().transactions[mockTransactionHash]).toEqual(
+        expect.objectContaining({
+          kind: TRANSACTION_KIND.DEPLOY,
+          walletId: '0x123',
+          status: TRANSACTION_STATUS.ACCEPTED_ON_L2,
+        })
+      );
+    });
+  });
+});
@@ -4,15 +4,15 @@ import {
   checkForCRMToken,
   connectWallet,
   getTokenBalances,
-  getBalances,
   logout,
   getWallet,
   getConnectors,
+  getWalletChainId,
+  normalizeChainId,
+  subscribeToWalletEvents,
 } from '../../src/services/wallet';
 
-import * as walletService from '../../src/services/wallet';
-
-import { ETH_ADDRESS, STRK_ADDRESS, USDC_ADDRESS } from '../../src/utils/constants';
+import { ETH_ADDRESS, STRK_ADDRESS, TOKENS, USDC_ADDRESS } from '../../src/utils/tokens';
 import { expect, describe, it, beforeEach, vi } from 'vitest';
 
 vi.mock('starknetkit', () => ({
@@ -287,44 +287,134 @@ describe('Wallet Services', () => {
       const balances = await getTokenBalances('0x123');
 
       expect(balances).toEqual({
-        ETH: '1.0000',
-        USDC: '2.0000',
-        STRK: '3.0000',
+        ETH: 10n ** 18n,
+        USDC: 2000000n,
+        STRK: 3n * 10n ** 18n,
+      });
+    });
+
+    it('should request all balances in parallel with the given wallet', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const callContract = vi.fn().mockImplementation(async () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await Promise.resolve();
+        inFlight -= 1;
+        return { result: ['1', '0'] };
       });
+
+      const balances = await getTokenBalances('0x123', { provider: { callContract } });
+
+      expect(connect).not.toHaveBeenCalled();
+      expect(callContract).toHaveBeenCalledTimes(3);
+      expect(callContract).toHaveBeenCalledWith({
+        contractAddress: ETH_ADDRESS,
+        entrypoint: 'balanceOf',
+        calldata: ['0x123'],
+      });
+      expect(maxInFlight).toBe(3);
+      expect(balances).toEqual({ ETH: 1n, USDC: 1n, STRK: 1n });
+    });
+
+    it('should skip tokens without an address on the selected network', async () => {
+      const usdc = TOKENS.find(({ symbol }) => symbol === 'USDC');
+      const callContract = vi.fn().mockResolvedValue({ result: ['1', '0'] });
+      usdc.address = null;
+
+      try {
+        const balances = await getTokenBalances('0x123', { provider: { callContract } });
+
+        expect(callContract).toHaveBeenCalledTimes(2);
+        expect(balances).toEqual({ ETH: 1n, STRK: 1n });
+      } finally {
+        usdc.address = USDC_ADDRESS;
+      }
+    });
+
+    it('should throw when a balance cannot be fetched', async () => {
+      const callContract = vi.fn().mockRejectedValue(new Error('RPC error'));
+
+      await expect(getTokenBalances('0x123', { provider: { callContract } })).rejects.toThrow('RPC error');
     });
   });
 
-  describe('getBalances', () => {
-    const mockTokenBalances = [
-      { name: 'ETH', balance: '1.0000', icon: 'ETH-icon' },
-      { name: 'USDC', balance: '2.0000', icon: 'USDC-icon' },
-      { name: 'STRK', balance: '3.0000', icon: 'STRK-icon' },
-    ];
+  describe('normalizeChainId', () => {
+    it('should encode short string chain ids as hex', () => {
+      expect(normalizeChainId('SN_MAIN')).toBe('0x534e5f4d41494e');
+      expect(normalizeChainId('SN_SEPOLIA')).toBe('0x534e5f5345504f4c4941');
+    });
 
-    it('should update balances state with token balances', async () => {
-      const mockSetBalances = vi.fn();
-      const mockWalletId = '0x123';
+    it('should keep hex chain ids and lowercase them', () => {
+      expect(normalizeChainId('0x534E5F4D41494E')).toBe('0x534e5f4d41494e');
+    });
+
+    it('should return null when the chain is unknown', () => {
+      expect(normalizeChainId(undefined)).toBeNull();
+    });
+  });
 
-      // vi.spyOn(require('../../src/services/wallet'), 'getTokenBalances').mockResolvedValue(mockTokenBalances);
+  describe('getWalletChainId', () => {
+    it('should prefer the chain reported by the wallet', async () => {
+      const getChainId = vi.fn();
 
-      vi.spyOn(walletService, 'getTokenBalances').mockResolvedValue(mockTokenBalances);
+      const chainId = await getWalletChainId({ chainId: 'SN_MAIN', provider: { getChainId } });
 
-      await getBalances(mockWalletId, mockSetBalances);
-      await mockSetBalances(mockTokenBalances);
+      expect(chainId).toBe('0x534e5f4d41494e');
+      expect(getChainId).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the provider chain', async () => {
+      const provider = { getChainId: vi.fn().mockResolvedValue('0x534e5f5345504f4c4941') };
 
-      expect(mockSetBalances).toHaveBeenCalledWith(mockTokenBalances);
+      expect(await getWalletChainId({ provider })).toBe('0x534e5f5345504f4c4941');
     });
 
-    it('should not fetch balances if wallet ID is not provided', async () => {
-      const mockSetBalances = vi.fn();
-      // const mockGetTokenBalances = vi.spyOn(require('../../src/services/wallet'), 'getTokenBalances');
+    it('should return null when the chain cannot be read', async () => {
+      const provider = { getChainId: vi.fn().mockRejectedValue(new Error('RPC error')) };
+
+      expect(await getWalletChainId({ provider })).toBeNull();
+    });
+  });
+
+  describe('subscribeToWalletEvents', () => {
+    const createWallet = () => {
+      const handlers = {};
+      return {
+        handlers,
+        on: vi.fn((event, handler) => {
+          handlers[event] = handler;
+        }),
+        off: vi.fn((event) => {
+          delete handlers[event];
+        }),
+      };
+    };
+
+    it('should forward the selected account and the normalized chain', () => {
+      const wallet = createWallet();
+      const onAccountsChanged = vi.fn();
+      const onNetworkChanged = vi.fn();
+
+      subscribeToWalletEvents(wallet, { onAccountsChanged, onNetworkChanged });
+      wallet.handlers.accountsChanged(['0x456']);
+      wallet.handlers.accountsChanged(undefined);
+      wallet.handlers.networkChanged('SN_SEPOLIA', ['0x456']);
+
+      expect(onAccountsChanged).toHaveBeenNthCalledWith(1, '0x456');
+      expect(onAccountsChanged).toHaveBeenNthCalledWith(2, null);
+      expect(onNetworkChanged).toHaveBeenCalledWith('0x534e5f5345504f4c4941', '0x456');
+    });
 
-      const mockGetTokenBalances = vi.spyOn(walletService, 'getTokenBalances').mockResolvedValue(mockTokenBalances);
+    it('should remove both listeners on unsubscribe', () => {
+      const wallet = createWallet();
 
-      await getBalances(null, mockSetBalances);
+      const unsubscribe = subscribeToWalletEvents(wallet, { onAccountsChanged: vi.fn(), onNetworkChanged: vi.fn() });
+      unsubscribe();
 
-      expect(mockGetTokenBalances).not.toHaveBeenCalled();
-      expect(mockSetBalances).not.toHaveBeenCalled();
+      expect(wallet.off).toHaveBeenCalledWith('accountsChanged', expect.any(Function));
+      expect(wallet.off).toHaveBeenCalledWith('networkChanged', expect.any(Function));
+      expect(wallet.handlers).toEqual({});
     });
   });
 
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { isSameAddress, shortenAddress, validateAddress, validateNewOwner } from '../../src/utils/address';
+
+const walletAddress = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcde';
+
+describe('address utils', () => {
+  it('should compare addresses regardless of zero padding', () => {
+    expect(isSameAddress('0x00abc', '0xabc')).toBe(true);
+    expect(isSameAddress('0xabc', '0xabd')).toBe(false);
+    expect(isSameAddress(null, '0xabc')).toBe(false);
+  });
+
+  it('should shorten an address', () => {
+    expect(shortenAddress(walletAddress)).toBe('0x0123...bcde');
+  });
+
+  it('should explain why an address is invalid', () => {
+    expect(validateAddress('')).toBe('Enter a wallet address');
+    expect(validateAddress('123')).toBe('Enter a 0x-prefixed hex address');
+    expect(validateAddress('0xzz')).toBe('Enter a 0x-prefixed hex address');
+    expect(validateAddress(`0x${'f'.repeat(64)}`)).toBe('Address is outside the Starknet address range');
+    expect(validateAddress('0x0')).toBe('The zero address is not allowed');
+    expect(validateAddress(` ${walletAddress} `)).toBeNull();
+  });
+
+  it('should not transfer ownership to the current owner', () => {
+    expect(validateNewOwner(walletAddress, '0x123')).toBeNull();
+    expect(validateNewOwner(walletAddress, walletAddress.replace('0x0', '0x'))).toBe(
+      'This wallet already owns the contract'
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import {
+  formatAmount,
+  fromU256,
+  getMaxAmount,
+  parseAmount,
+  ROUNDING,
+  toU256,
+  validateAmount,
+} from '../../src/utils/amount';
+import { expect, describe, it } from 'vitest';
+
+describe('Amount Functions', () => {
+  describe('parseAmount', () => {
+    it('should convert decimal strings to base units', () => {
+      expect(parseAmount('1', 18)).toBe(10n ** 18n);
+      expect(parseAmount('0.1', 6)).toBe(100000n);
+      expect(parseAmount('1.5', 6)).toBe(1500000n);
+      expect(parseAmount('.5', 6)).toBe(500000n);
+      expect(parseAmount('2.', 6)).toBe(2000000n);
+      expect(parseAmount(' 3 ', 6)).toBe(3000000n);
+    });
+
+    it('should not lose precision above 2^53', () => {
+      expect(parseAmount('123456789.123456789123456789', 18)).toBe(123456789123456789123456789n);
+      expect(parseAmount('0.000000000000000001', 18)).toBe(1n);
+    });
+
+    it('should accept zero', () => {
+      expect(parseAmount('0', 18)).toBe(0n);
+      expect(parseAmount('0.000', 6)).toBe(0n);
+    });
+
+    it('should reject malformed amounts', () => {
+      ['', '.', 'abc', '-1', '1e18', '1.2.3', '1,5'].forEach((value) => {
+        expect(() => parseAmount(value, 18)).toThrow(`Invalid amount: ${value}`);
+      });
+    });
+
+    it('should reject more fraction digits than the token supports', () => {
+      expect(() => parseAmount('0.1234567', 6)).toThrow('Amount has more than 6 decimals');
+    });
+  });
+
+  describe('formatAmount', () => {
+    it('should format base units with the given precision', () => {
+      expect(formatAmount(10n ** 18n, 18)).toBe('1.0000');
+      expect(formatAmount(1500000n, 6, { precision: 2 })).toBe('1.50');
+      expect(formatAmount(0n, 18)).toBe('0.0000');
+      expect(formatAmount('2000000', 6)).toBe('2.0000');
+    });
+
+    it('should keep large balances exact', () => {
+      expect(formatAmount(123456789123456789123456789n, 18, { precision: 18 })).toBe('123456789.123456789123456789');
+    });
+
+    it('should round down by default', () => {
+      expect(formatAmount(1999999n, 6, { precision: 2 })).toBe('1.99');
+    });
+
+    it('should support rounding up and to nearest', () => {
+      expect(formatAmount(1001n, 6, { precision: 3, rounding: ROUNDING.UP })).toBe('0.002');
+      expect(formatAmount(1500n, 6, { precision: 2, rounding: ROUNDING.NEAREST })).toBe('0.00');
+      expect(formatAmount(5000n, 6, { precision: 2, rounding: ROUNDING.NEAREST })).toBe('0.01');
+      expect(formatAmount(1995000n, 6, { precision: 2, rounding: ROUNDING.NEAREST })).toBe('2.00');
+    });
+
+    it('should pad precision beyond the token decimals', () => {
+      expect(formatAmount(1n, 6, { precision: 8 })).toBe('0.00000100');
+    });
+
+    it('should trim trailing zeros when asked', () => {
+      expect(formatAmount(1500000n, 6, { trimZeros: true })).toBe('1.5');
+      expect(formatAmount(2000000n, 6, { trimZeros: true })).toBe('2');
+    });
+
+    it('should format negative values', () => {
+      expect(formatAmount(-1500000n, 6, { precision: 1 })).toBe('-1.5');
+    });
+  });
+
+  describe('toU256', () => {
+    it('should split values into low and high felts', () => {
+      expect(toU256(1000n)).toEqual({ low: '0x3e8', high: '0x0' });
+      expect(toU256(2n ** 128n + 5n)).toEqual({ low: '0x5', high: '0x1' });
+      expect(toU256('1000')).toEqual({ low: '0x3e8', high: '0x0' });
+    });
+
+    it('should reject values outside the u256 range', () => {
+      expect(() => toU256(-1n)).toThrow('Value does not fit in u256: -1');
+      expect(() => toU256(2n ** 256n)).toThrow('Value does not fit in u256');
+    });
+  });
+
+  describe('fromU256', () => {
+    it('should join low and high felts', () => {
+      expect(fromU256('0x5', '0x1')).toBe(2n ** 128n + 5n);
+      expect(fromU256('1000')).toBe(1000n);
+    });
+
+    it('should round trip with toU256', () => {
+      const value = 2n ** 200n + 123456789n;
+      const { low, high } = toU256(value);
+      expect(fromU256(low, high)).toBe(value);
+    });
+  });
+
+  describe('getMaxAmount', () => {
+    it('should keep the reserve aside', () => {
+      expect(getMaxAmount(1000n, 100n)).toBe(900n);
+      expect(getMaxAmount(1000n)).toBe(1000n);
+      expect(getMaxAmount(50n, 100n)).toBe(0n);
+    });
+  });
+
+  describe('validateAmount', () => {
+    const strk = { symbol: 'STRK', decimals: 18, minAmount: 10n ** 18n, reserve: 10n ** 18n };
+
+    it('should require an amount', () => {
+      expect(validateAmount('', strk)).toBe('Enter an amount');
+      expect(validateAmount('0.0', strk)).toBe('Enter an amount');
+    });
+
+    it('should report malformed amounts', () => {
+      expect(validateAmount('.', strk)).toBe('Invalid amount: .');
+    });
+
+    it('should enforce the token minimum', () => {
+      expect(validateAmount('0.5', strk)).toBe('Minimum amount is 1 STRK');
+    });
+
+    it('should skip the balance check while the balance is unknown', () => {
+      expect(validateAmount('1000', strk)).toBeNull();
+    });
+
+    it('should compare against the balance and the gas reserve', () => {
+      const balance = 5n * 10n ** 18n;
+
+      expect(validateAmount('6', { ...strk, balance })).toBe('Insufficient STRK balance');
+      expect(validateAmount('4.5', { ...strk, balance })).toBe('Keep 1 STRK for gas');
+      expect(validateAmount('4', { ...strk, balance })).toBeNull();
+      expect(validateAmount('5', { ...strk, balance, reserve: 0n })).toBeNull();
+    });
+  });
+});
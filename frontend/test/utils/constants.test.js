@@ -0,0 +1,37 @@
+import {
+  CLASS_HASH,
+  CONTRACT_RELEASES,
+  getContractSalt,
+  getDeployContractData,
+  SUPERSEDED_CLASS_HASHES,
+} from '../../src/utils/constants';
+import { expect, describe, it } from 'vitest';
+
+describe('Constants Functions', () => {
+  describe('getContractSalt', () => {
+    it('should derive the salt from the wallet address', () => {
+      expect(getContractSalt('0x00abc')).toBe('0xabc');
+      expect(getContractSalt('0xabc')).toBe(getContractSalt('0x0ABC'));
+    });
+  });
+
+  describe('getDeployContractData', () => {
+    it('should deploy the same contract data for a wallet every time', () => {
+      const walletId = '0x123';
+
+      expect(getDeployContractData(walletId)).toEqual(getDeployContractData(walletId));
+      expect(getDeployContractData(walletId)).toMatchObject({
+        classHash: CLASS_HASH,
+        salt: '0x123',
+        unique: false,
+      });
+    });
+  });
+
+  describe('SUPERSEDED_CLASS_HASHES', () => {
+    it('should list every release but the current class', () => {
+      expect(SUPERSEDED_CLASS_HASHES).toHaveLength(CONTRACT_RELEASES.length - 1);
+      expect(SUPERSEDED_CLASS_HASHES.map(BigInt)).not.toContain(BigInt(CLASS_HASH));
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  CHAIN_IDS,
+  getChainName,
+  getNetworkConfig,
+  getSelectedNetworkId,
+  NETWORKS,
+  selectNetwork,
+} from '../../src/utils/networks';
+import { expect, describe, it, afterEach, vi } from 'vitest';
+
+describe('Network Functions', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    localStorage.clear();
+  });
+
+  describe('getSelectedNetworkId', () => {
+    it('should default to mainnet', () => {
+      expect(getSelectedNetworkId()).toBe('mainnet');
+    });
+
+    it('should use the network picked in the UI', () => {
+      localStorage.setItem('spotnet_network', 'sepolia');
+      expect(getSelectedNetworkId()).toBe('sepolia');
+    });
+
+    it('should ignore unknown stored networks', () => {
+      localStorage.setItem('spotnet_network', 'goerli');
+      expect(getSelectedNetworkId()).toBe('mainnet');
+    });
+  });
+
+  describe('getNetworkConfig', () => {
+    it('should return the addresses of the requested network', () => {
+      const config = getNetworkConfig('sepolia');
+
+      expect(config.chainId).toBe(CHAIN_IDS.SEPOLIA);
+      expect(config.explorers.starkscan).toBe('https://sepolia.starkscan.co');
+      expect(config.tokens.USDC).toBe(NETWORKS.sepolia.tokens.USDC);
+    });
+
+    it('should apply env overrides to the configured network', () => {
+      vi.stubEnv('VITE_APP_ZKLEND_ADDRESS', '0x123');
+      vi.stubEnv('VITE_APP_RPC_URL', 'http://localhost:5050/rpc');
+      vi.stubEnv('VITE_APP_EXPLORER_URL', 'http://localhost:4000');
+
+      const config = getNetworkConfig('mainnet');
+
+      expect(config.contracts.zklend).toBe('0x123');
+      expect(config.contracts.ekubo).toBe(NETWORKS.mainnet.contracts.ekubo);
+      expect(config.rpcUrl).toBe('http://localhost:5050/rpc');
+      expect(config.explorers).toEqual({ ...NETWORKS.mainnet.explorers, custom: 'http://localhost:4000' });
+    });
+
+    it('should not apply env overrides to other networks', () => {
+      vi.stubEnv('VITE_APP_ZKLEND_ADDRESS', '0x123');
+
+      expect(getNetworkConfig('sepolia').contracts.zklend).toBeNull();
+    });
+  });
+
+  describe('contractReleases', () => {
+    it('should end with the class new contracts are deployed from', () => {
+      Object.values(NETWORKS)
+        .filter(({ contractReleases }) => contractReleases.length)
+        .forEach(({ contracts, contractReleases }) => {
+          expect(BigInt(contractReleases.at(-1).classHash)).toBe(BigInt(contracts.classHash));
+        });
+    });
+  });
+
+  describe('getChainName', () => {
+    it('should name known chains', () => {
+      expect(getChainName(CHAIN_IDS.MAINNET)).toBe('Starknet Mainnet');
+      expect(getChainName(CHAIN_IDS.SEPOLIA)).toBe('Starknet Sepolia');
+      expect(getChainName('0x1')).toBe('an unsupported network');
+    });
+  });
+
+  describe('selectNetwork', () => {
+    it('should reject unknown networks', () => {
+      expect(() => selectNetwork('goerli')).toThrow('Unknown network: goerli');
+    });
+  });
+});
@@ -4,6 +4,7 @@ This module handles dashboard-related API endpoints.
 
 import collections
 from decimal import Decimal, DivisionByZero
+from typing import Dict
 
 from fastapi import APIRouter
 
@@ -110,3 +111,21 @@ async def get_dashboard(wallet_id: str) -> DashboardResponse:
         position_id=first_opened_position["id"],
         deposit_data=deposit_data,
     )
+
+
+@router.get(
+    "/api/token-prices",
+    tags=["Dashboard Operations"],
+    summary="Get current token prices",
+    response_model=Dict[str, Decimal],
+    response_description="Returns the current USD price of each supported token.",
+)
+async def get_token_prices() -> Dict[str, Decimal]:
+    """
+    This endpoint fetches the current USD prices of the supported tokens.
+
+    ### Returns:
+    A dictionary mapping token symbols (e.g. ETH) to their current USD price.
+    Tokens whose price could not be fetched are omitted.
+    """
+    return await DashboardMixin.get_current_prices()
@@ -3,7 +3,7 @@ This module handles position-related API endpoints.
 """
 
 from decimal import Decimal, InvalidOperation
-from typing import Optional
+from typing import Annotated, Optional
 from uuid import UUID
 
 from fastapi import APIRouter, HTTPException, Query, Request
@@ -17,7 +17,9 @@ from web_app.api.serializers.position import (
 )
 from web_app.api.serializers.transaction import (
     LoopLiquidityData,
+    LoopLiquidityPreviewData,
     RepayTransactionDataResponse,
+    UserTransactionHistoryResponse,
     WithdrawAllData,
 )
 from web_app.contract_tools.constants import TokenMultipliers, TokenParams
@@ -52,6 +54,63 @@ async def get_multipliers() -> TokenMultiplierResponse:
     return TokenMultiplierResponse(multipliers=multipliers)
 
 
+async def get_loop_liquidity_transaction_data(
+    form_data: PositionFormData, request: Request
+) -> dict:
+    """
+    Build the loop_liquidity transaction data of a new position without storing it.
+    :param form_data: Position form data
+    :param request: Request object
+    :return: Dict containing the loop liquidity transaction data
+    """
+    borrowing_token = TokenParams.USDC.address
+    if form_data.token_symbol == TokenParams.USDC.name:
+        borrowing_token = TokenParams.ETH.address
+
+    # Get the transaction data for the deposit
+    deposit_data = await DepositMixin.get_transaction_data(
+        form_data.token_symbol,
+        form_data.amount,
+        form_data.multiplier,
+        form_data.wallet_id,
+        borrowing_token,
+        request.app.state.ekubo_contract,
+    )
+    deposit_data["contract_address"] = (
+        position_db_connector.get_contract_address_by_wallet_id(form_data.wallet_id)
+    )
+    return deposit_data
+
+
+@router.get(
+    "/api/get-loop-liquidity-data",
+    tags=["Position Operations"],
+    response_model=LoopLiquidityPreviewData,
+    summary="Get loop liquidity data",
+    response_description="Returns the transaction data of a new position.",
+)
+async def get_loop_liquidity_data(
+    form_data: Annotated[PositionFormData, Query()],
+    request: Request,
+) -> LoopLiquidityPreviewData:
+    """
+    This endpoint returns the transaction data of a new position without creating it,
+    so the frontend can preview and simulate the transaction.
+
+    ### Parameters:
+    - **wallet_id**: The wallet ID of the user.
+    - **token_symbol**: The symbol of the token used for the position.
+    - **amount**: The amount of the token being deposited.
+    - **multiplier**: The multiplier applied to the user's position.
+    - **request**: The FastAPI request object.
+
+    ### Returns:
+    The transaction data of the position.
+    """
+    deposit_data = await get_loop_liquidity_transaction_data(form_data, request)
+    return LoopLiquidityPreviewData(**deposit_data)
+
+
 @router.post(
     "/api/create-position",
     tags=["Position Operations"],
@@ -84,22 +143,7 @@ async def create_position_with_transaction_data(
         form_data.amount,
         form_data.multiplier,
     )
-    borrowing_token = TokenParams.USDC.address
-    if form_data.token_symbol == TokenParams.USDC.name:
-        borrowing_token = TokenParams.ETH.address
-
-    # Get the transaction data for the deposit
-    deposit_data = await DepositMixin.get_transaction_data(
-        form_data.token_symbol,
-        form_data.amount,
-        form_data.multiplier,
-        form_data.wallet_id,
-        borrowing_token,
-        request.app.state.ekubo_contract,
-    )
-    deposit_data["contract_address"] = (
-        position_db_connector.get_contract_address_by_wallet_id(form_data.wallet_id)
-    )
+    deposit_data = await get_loop_liquidity_transaction_data(form_data, request)
     deposit_data["position_id"] = str(position.id)
     return LoopLiquidityData(**deposit_data)
 
@@ -344,6 +388,33 @@ async def get_user_positions(
     )
 
 
+@router.get(
+    "/api/user-transactions/{wallet_id}",
+    tags=["Position Operations"],
+    response_model=UserTransactionHistoryResponse,
+    summary="Get all transactions for a user",
+    response_description="Returns the transactions recorded for the user's positions",
+)
+async def get_user_transactions(
+    wallet_id: str,
+    start: int = Query(0, ge=0),
+    limit: int = Query(50, ge=1, le=100),
+) -> UserTransactionHistoryResponse:
+    """
+    Get the open, extra deposit and close transactions recorded for a user.
+
+    :param wallet_id: Wallet ID of the user
+    :param start: Starting index for pagination (default: 0)
+    :param limit: Number of items to return (default: 50)
+
+    :return: UserTransactionHistoryResponse with the transactions, newest first
+    """
+    transactions = transaction_db_connector.get_transactions_by_wallet_id(
+        wallet_id, start=start, limit=limit
+    )
+    return UserTransactionHistoryResponse(transactions=transactions)
+
+
 @router.get(
     "/api/user-extra-positions",
     tags=["Position Operations"],
@@ -2,7 +2,7 @@
 Serializers for airdrop data.
 """
 
-from typing import List
+from typing import List, Optional
 from pydantic import BaseModel
 
 
@@ -13,6 +13,8 @@ class AirdropItem(BaseModel):
     proof: List[str]  # This needs to be List[str], not str
     is_claimed: bool
     recipient: str
+    claim_id: Optional[int] = None  # Claim id expected by the distributor contract
+    claim_contract: Optional[str] = None  # Address of the distributor contract
 
 
 class AirdropResponseModel(BaseModel):
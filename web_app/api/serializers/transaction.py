@@ -2,6 +2,7 @@
 This module defines the serializers for the transaction data.
 """
 
+from datetime import datetime
 from decimal import Decimal
 from pydantic import BaseModel, field_validator
 
@@ -54,16 +55,24 @@ class DepositData(BaseModel):
         return str(value)
 
 
-class LoopLiquidityData(BaseModel):
+class LoopLiquidityPreviewData(BaseModel):
     """
-    Pydantic model for the loop liquidity data.
+    Pydantic model for the loop liquidity data of a position that is not created yet.
     """
 
     pool_price: int  # Assuming this should remain an integer
     pool_key: PoolKey
     deposit_data: DepositData
-    contract_address: str
+    # None until the user's contract is deployed, e.g. when it is deployed in the same multicall
+    contract_address: str | None = None
     ekubo_limits: dict[str, str]
+
+
+class LoopLiquidityData(LoopLiquidityPreviewData):
+    """
+    Pydantic model for the loop liquidity data.
+    """
+
     position_id: str
 
 
@@ -108,3 +117,25 @@ class WithdrawAllData(BaseModel):
     """
     repay_data: RepayTransactionDataResponse
     tokens: list[str]
+
+
+class UserTransactionResponse(BaseModel):
+    """
+    A transaction recorded for one of the user's positions.
+    """
+
+    transaction_hash: str
+    status: str
+    position_id: str
+    token_symbol: str
+    # Only known for the transaction that opened the position
+    amount: str | None = None
+    created_at: datetime
+
+
+class UserTransactionHistoryResponse(BaseModel):
+    """
+    Response model for the user's transaction history.
+    """
+
+    transactions: list[UserTransactionResponse]
@@ -5,9 +5,11 @@ This module handles user-related API endpoints.
 import logging
 from decimal import Decimal
 
+import aiohttp
 import sentry_sdk
 from fastapi import APIRouter, HTTPException
 
+from web_app.api.serializers.airdrop import AirdropResponseModel
 from web_app.api.serializers.transaction import UpdateUserContractRequest
 from web_app.api.serializers.user import (
     BugReportRequest,
@@ -18,6 +20,7 @@ from web_app.api.serializers.user import (
     SubscribeToNotificationRequest,
     UpdateUserContractResponse,
 )
+from web_app.contract_tools.airdrop import ZkLendAirdrop
 from web_app.contract_tools.blockchain_call import CLIENT
 from web_app.contract_tools.mixins import DashboardMixin, PositionMixin
 from web_app.db.crud import (
@@ -32,6 +35,7 @@ telegram_db = TelegramUserDBConnector()
 
 user_db = UserDBConnector()
 position_db = PositionDBConnector()
+zklend_airdrop = ZkLendAirdrop()
 
 
 @router.get(
@@ -209,6 +213,39 @@ async def get_user_contract_address(wallet_id: str) -> GetUserContractAddressRes
         return {"contract_address": None}
 
 
+@router.get(
+    "/api/defispring-rewards",
+    tags=["User Operations"],
+    summary="Get unclaimed DeFi Spring rewards",
+    response_model=AirdropResponseModel,
+    response_description="Returns the unclaimed rewards with their Merkle proofs.",
+)
+async def get_defispring_rewards(wallet_id: str) -> AirdropResponseModel:
+    """
+    This endpoint retrieves the DeFi Spring rewards earned by the user's contract
+    that have not been claimed yet.
+
+    ### Parameters:
+    - **wallet_id**: User's wallet ID
+
+    ### Returns:
+    The unclaimed rewards, each with the claim data and proof needed by `claim_reward`.
+    """
+    contract_address = user_db.get_contract_address_by_wallet_id(wallet_id)
+    if not contract_address:
+        raise HTTPException(status_code=404, detail="Contract not deployed")
+
+    try:
+        rewards = await zklend_airdrop.get_contract_airdrop(contract_address)
+    except aiohttp.ClientError as e:
+        logger.error("Failed to fetch rewards for contract %s: %s", contract_address, e)
+        raise HTTPException(status_code=502, detail="Failed to fetch rewards")
+
+    return AirdropResponseModel(
+        airdrops=[airdrop for airdrop in rewards.airdrops if not airdrop.is_claimed]
+    )
+
+
 @router.get(
     "/api/get_stats",
     tags=["User Operations"],
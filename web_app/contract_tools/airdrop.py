@@ -60,6 +60,8 @@ class ZkLendAirdrop:
                 ],  # This is correct now as AirdropItem expects List[str]
                 is_claimed=item["is_claimed"],
                 recipient=item["recipient"],
+                claim_id=item.get("claim_id"),
+                claim_contract=item.get("claim_contract"),
             )
             validated_items.append(validated_item)
         return AirdropResponseModel(airdrops=validated_items)
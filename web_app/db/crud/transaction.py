@@ -2,13 +2,17 @@
 This module contains the transaction database configuration.
 """
 
+import logging
 import uuid
 from typing import TypeVar
 
-from web_app.db.models import Base, Transaction, TransactionStatus
+from sqlalchemy.exc import SQLAlchemyError
+
+from web_app.db.models import Base, Position, Transaction, TransactionStatus, User
 
 from .base import DBConnector
 
+logger = logging.getLogger(__name__)
 ModelType = TypeVar("ModelType", bound=Base)
 
 
@@ -30,3 +34,60 @@ class TransactionDBConnector(DBConnector):
         )
         transaction = self.write_to_db(transaction)
         return transaction
+
+    def get_transactions_by_wallet_id(
+        self, wallet_id: str, start: int = 0, limit: int = 50
+    ) -> list[dict]:
+        """
+        Retrieves the transactions recorded for all positions of a user,
+        newest first.
+        :param wallet_id: Wallet ID of the user
+        :param start: starting index for pagination
+        :param limit: number of records to return
+        :return: list of dict
+        """
+        with self.Session() as db:
+            try:
+                rows = (
+                    db.query(Transaction, Position)
+                    .join(Position, Transaction.position_id == Position.id)
+                    .join(User, Position.user_id == User.id)
+                    .filter(User.wallet_id == wallet_id)
+                    .order_by(Transaction.created_at.desc())
+                    .offset(start)
+                    .limit(limit)
+                    .all()
+                )
+            except SQLAlchemyError as e:
+                logger.error(f"Failed to get user transactions: {str(e)}")
+                return []
+
+            return [
+                self._transaction_to_dict(transaction, position)
+                for transaction, position in rows
+            ]
+
+    @staticmethod
+    def _transaction_to_dict(transaction: Transaction, position: Position) -> dict:
+        """
+        Serializes a transaction of a position. Only the transaction opening
+        the position has a known amount, the position's initial deposit.
+        :param transaction: Transaction instance
+        :param position: Position the transaction belongs to
+        :return: dict
+        """
+        status = (
+            transaction.status.value
+            if isinstance(transaction.status, TransactionStatus)
+            else transaction.status
+        )
+        return {
+            "transaction_hash": transaction.transaction_hash,
+            "status": status,
+            "position_id": str(position.id),
+            "token_symbol": position.token_symbol,
+            "amount": (
+                position.amount if status == TransactionStatus.OPENED.value else None
+            ),
+            "created_at": transaction.created_at,
+        }
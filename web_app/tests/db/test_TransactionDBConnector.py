@@ -0,0 +1,42 @@
+"""Test cases for TransactionDBConnector"""
+
+import uuid
+from datetime import datetime
+
+from web_app.db.crud import TransactionDBConnector
+from web_app.db.models import Position, Transaction, TransactionStatus
+
+
+def _make_transaction(status: TransactionStatus) -> tuple[Transaction, Position]:
+    """Builds a transaction of an ETH position opened with 100 ETH."""
+    position = Position(id=uuid.uuid4(), token_symbol="ETH", amount="100")
+    transaction = Transaction(
+        position_id=position.id,
+        transaction_hash=f"0x{status.value}",
+        status=status,
+        created_at=datetime.now(),
+    )
+    return transaction, position
+
+
+def test_transaction_to_dict_opened():
+    """The opening transaction carries the position's initial deposit."""
+    transaction, position = _make_transaction(TransactionStatus.OPENED)
+
+    result = TransactionDBConnector._transaction_to_dict(transaction, position)
+
+    assert result["status"] == "opened"
+    assert result["position_id"] == str(position.id)
+    assert result["token_symbol"] == "ETH"
+    assert result["amount"] == "100"
+
+
+def test_transaction_to_dict_without_known_amount():
+    """Extra deposits and closes do not report the position's initial deposit."""
+    for status in (TransactionStatus.EXTRA_DEPOSIT, TransactionStatus.CLOSED):
+        transaction, position = _make_transaction(status)
+
+        result = TransactionDBConnector._transaction_to_dict(transaction, position)
+
+        assert result["status"] == status.value
+        assert result["amount"] is None
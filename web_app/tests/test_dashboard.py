@@ -19,7 +19,7 @@ from fastapi.responses import JSONResponse
 from fastapi.testclient import TestClient
 from httpx import ASGITransport, AsyncClient
 
-from web_app.api.dashboard import get_dashboard, router
+from web_app.api.dashboard import get_dashboard, get_token_prices, router
 from web_app.api.serializers.dashboard import DashboardResponse
 from web_app.db.models import ExtraDeposit
 from web_app.contract_tools.mixins import HealthRatioMixin
@@ -332,6 +332,21 @@ async def test_external_service_errors(mock_db_connector):
         assert str(exc_info.value) == "External API error"
 
 
+
+@pytest.mark.asyncio
+async def test_get_token_prices():
+    """Test that the current token prices are returned."""
+
+    mock_prices = {"ETH": Decimal("3000.5"), "USDC": Decimal("1.0")}
+    with patch(
+        "web_app.contract_tools.mixins.dashboard.DashboardMixin.get_current_prices",
+        new_callable=AsyncMock,
+        return_value=mock_prices,
+    ):
+        response = await get_token_prices()
+
+    assert response == mock_prices
+
 # @pytest.mark.asyncio
 # async def test_zklend_service_error(mock_db_connector):
 #     """Test handling of ZkLend service failure."""
@@ -417,6 +417,116 @@ async def test_create_position_success(
         ), "Response JSON does not match expected response"
 
 
+@pytest.mark.anyio
+async def test_create_position_without_contract(client: TestClient) -> None:
+    """
+    Test that a position can be created before the user's contract is deployed.
+    """
+    mock_position = Mock()
+    mock_position.id = 123
+    mock_deposit_data = {
+        "pool_price": 100,
+        "pool_key": {
+            "token0": "mock_token0",
+            "token1": "mock_token1",
+            "fee": "mock_fee",
+            "tick_spacing": "mock_tick_spacing",
+            "extension": "mock_extension",
+        },
+        "deposit_data": {
+            "token": "mock_token",
+            "amount": "mock_amount",
+            "multiplier": "1",
+            "borrow_portion_percent": 0,
+        },
+        "ekubo_limits": {"mock_key": "mock_value"},
+    }
+
+    with (
+        patch(
+            "web_app.db.crud.PositionDBConnector.create_position"
+        ) as mock_create_position,
+        patch(
+            "web_app.contract_tools.mixins.deposit.DepositMixin.get_transaction_data"
+        ) as mock_get_transaction_data,
+        patch(
+            "web_app.db.crud.PositionDBConnector.get_contract_address_by_wallet_id"
+        ) as mock_get_contract_address,
+    ):
+        mock_create_position.return_value = mock_position
+        mock_get_transaction_data.return_value = mock_deposit_data
+        mock_get_contract_address.return_value = None
+
+        response = client.post(
+            "/api/create-position",
+            json={
+                "wallet_id": "new_wallet_id",
+                "token_symbol": "ETH",
+                "amount": "100",
+                "multiplier": 2,
+            },
+        )
+
+    assert response.is_success
+    assert response.json()["contract_address"] is None
+    assert response.json()["position_id"] == "123"
+
+
+@pytest.mark.anyio
+async def test_get_loop_liquidity_data_does_not_create_position(
+    client: TestClient,
+) -> None:
+    """
+    Test that previewing a position returns its transaction data without storing it.
+    """
+    mock_deposit_data = {
+        "pool_price": 100,
+        "pool_key": {
+            "token0": "mock_token0",
+            "token1": "mock_token1",
+            "fee": "mock_fee",
+            "tick_spacing": "mock_tick_spacing",
+            "extension": "mock_extension",
+        },
+        "deposit_data": {
+            "token": "mock_token",
+            "amount": "mock_amount",
+            "multiplier": "1",
+            "borrow_portion_percent": 0,
+        },
+        "ekubo_limits": {"mock_key": "mock_value"},
+    }
+
+    with (
+        patch(
+            "web_app.db.crud.PositionDBConnector.create_position"
+        ) as mock_create_position,
+        patch(
+            "web_app.contract_tools.mixins.deposit.DepositMixin.get_transaction_data"
+        ) as mock_get_transaction_data,
+        patch(
+            "web_app.db.crud.PositionDBConnector.get_contract_address_by_wallet_id"
+        ) as mock_get_contract_address,
+    ):
+        mock_get_transaction_data.return_value = mock_deposit_data
+        mock_get_contract_address.return_value = "mock_contract_address"
+
+        response = client.get(
+            "/api/get-loop-liquidity-data",
+            params={
+                "wallet_id": "mock_wallet_id",
+                "token_symbol": "ETH",
+                "amount": "100",
+                "multiplier": 2,
+            },
+        )
+
+    assert response.is_success
+    assert response.json()["contract_address"] == "mock_contract_address"
+    assert "position_id" not in response.json()
+    mock_create_position.assert_not_called()
+
+
 @pytest.mark.parametrize(
     "wallet_id, token_symbol, amount, multiplier, expected_status",
     [
@@ -515,6 +625,64 @@ async def test_get_user_positions_no_positions(client: AsyncClient) -> None:
         assert data == {"positions": [], "total_count": 0}
 
 
+@pytest.mark.asyncio
+async def test_get_user_transactions_success(client: AsyncClient) -> None:
+    """
+    Test retrieving the transactions recorded for a user's positions.
+    """
+    wallet_id = "valid_wallet_id"
+    mock_transactions = [
+        {
+            "transaction_hash": "0xabc",
+            "status": TransactionStatus.EXTRA_DEPOSIT.value,
+            "position_id": str(uuid.uuid4()),
+            "token_symbol": "ETH",
+            "amount": None,
+            "created_at": datetime.now(),
+        },
+        {
+            "transaction_hash": "0xdef",
+            "status": TransactionStatus.OPENED.value,
+            "position_id": str(uuid.uuid4()),
+            "token_symbol": "STRK",
+            "amount": "100",
+            "created_at": datetime.now(),
+        },
+    ]
+
+    with patch(
+        "web_app.db.crud.TransactionDBConnector.get_transactions_by_wallet_id"
+    ) as mock_get_transactions:
+        mock_get_transactions.return_value = mock_transactions
+
+        response = client.get(f"/api/user-transactions/{wallet_id}?limit=20")
+
+        assert response.status_code == 200
+        data = response.json()
+        assert len(data["transactions"]) == 2
+        assert data["transactions"][0]["transaction_hash"] == "0xabc"
+        assert data["transactions"][0]["status"] == "extra_deposit"
+        assert data["transactions"][0]["amount"] is None
+        assert data["transactions"][1]["amount"] == "100"
+        mock_get_transactions.assert_called_once_with(wallet_id, start=0, limit=20)
+
+
+@pytest.mark.asyncio
+async def test_get_user_transactions_empty(client: AsyncClient) -> None:
+    """
+    Test retrieving transactions for a wallet without positions.
+    """
+    with patch(
+        "web_app.db.crud.TransactionDBConnector.get_transactions_by_wallet_id"
+    ) as mock_get_transactions:
+        mock_get_transactions.return_value = []
+
+        response = client.get("/api/user-transactions/wallet_without_positions")
+
+        assert response.status_code == 200
+        assert response.json() == {"transactions": []}
+
+
 @pytest.mark.parametrize(
     "position_id, amount, token_symbol, mock_position, expected_response",
     [
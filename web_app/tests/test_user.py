@@ -2,10 +2,11 @@
 This module contains the tests for the user endpoints.
 """
 
-from unittest.mock import MagicMock, patch
+from unittest.mock import AsyncMock, MagicMock, patch
 
 import pytest
 
+from web_app.api.serializers.airdrop import AirdropItem, AirdropResponseModel
 from web_app.api.serializers.transaction import UpdateUserContractRequest
 from web_app.db.models import TelegramUser, User
 from web_app.tests.conftest import client
@@ -437,3 +438,57 @@ async def test_save_bug_report_validation(
 
     assert response.status_code == expected_status
     assert response.json()["detail"][0]["msg"] == error_message
+
+
+@pytest.mark.asyncio
+@patch("web_app.api.user.zklend_airdrop.get_contract_airdrop", new_callable=AsyncMock)
+@patch("web_app.api.user.user_db.get_contract_address_by_wallet_id")
+async def test_get_defispring_rewards(
+    mock_get_contract_address, mock_get_contract_airdrop, client: client
+) -> None:
+    """Test that only unclaimed rewards are returned"""
+    contract_address = "0x698b63df00be56ba39447c9b9ca576ffd0edba0526d98b3e8e4a902ffcf12f0"
+    mock_get_contract_address.return_value = contract_address
+    mock_get_contract_airdrop.return_value = AirdropResponseModel(
+        airdrops=[
+            AirdropItem(
+                amount="1000000000000000000",
+                proof=["0xabcd"],
+                is_claimed=True,
+                recipient=contract_address,
+                claim_id=1,
+                claim_contract="0x111",
+            ),
+            AirdropItem(
+                amount="2000000000000000000",
+                proof=["0x1234", "0x5678"],
+                is_claimed=False,
+                recipient=contract_address,
+                claim_id=2,
+                claim_contract="0x111",
+            ),
+        ]
+    )
+
+    response = client.get("/api/defispring-rewards", params={"wallet_id": "0x123"})
+
+    assert response.status_code == 200
+    airdrops = response.json()["airdrops"]
+    assert len(airdrops) == 1
+    assert airdrops[0]["claim_id"] == 2
+    assert airdrops[0]["proof"] == ["0x1234", "0x5678"]
+    mock_get_contract_airdrop.assert_called_once_with(contract_address)
+
+
+@pytest.mark.asyncio
+@patch("web_app.api.user.user_db.get_contract_address_by_wallet_id")
+async def test_get_defispring_rewards_without_contract(
+    mock_get_contract_address, client: client
+) -> None:
+    """Test that rewards cannot be fetched before the contract is deployed"""
+    mock_get_contract_address.return_value = None
+
+    response = client.get("/api/defispring-rewards", params={"wallet_id": "0x123"})
+
+    assert response.status_code == 404
+    assert response.json() == {"detail": "Contract not deployed"}